@@ -0,0 +1,165 @@
+/**
+ * Daily puzzle announcements
+ * Guilds that set an announcement channel (/bowldem announce) get a post from
+ * the bot when their new puzzle goes live: "Bowldem #N is live" for each pack
+ * they play, with yesterday's podium in the guild and the latest answer that
+ * can be revealed, pinging the guild's reminder role. /api/announce runs this every hour, so a
+ * guild is announced within the hour after its own midnight.
+ */
+
+import { getAnnouncingGuilds, setGuildAnnouncedDate } from './guildSettings.js';
+import { getDailyPuzzle, getPuzzleAnswer, isScheduledAfter } from './puzzles.js';
+import { postChannelMessage, getLaunchButtonRow } from './discordBot.js';
+import { queryPuzzleLeaderboard } from '../../src/lib/leaderboardQueries.js';
+import { getToday, addDays, getLastFinishedPuzzleDate } from '../../src/utils/dailyPuzzle.js';
+import { DEFAULT_PACK_ID, getPack, getGuildPackId, isGuildPackId } from '../../src/utils/packs.js';
+import { getEntryPoints } from '../../src/utils/scoring.js';
+
+// Brand blue used across the activity
+const EMBED_COLOR = 0x1e3a8a;
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+/**
+ * Get the date whose answer can be posted with a guild's puzzle
+ * Shared packs are played in every time zone, so their answers wait until the
+ * date has finished everywhere (like the archive): that's yesterday only for
+ * guilds on UTC-12, and an earlier date for everyone else. A guild's own pack is
+ * only played on the guild's dates, so yesterday's answer is always safe.
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+function getRevealDate(packId, today) {
+  const yesterday = addDays(today, -1);
+  if (isGuildPackId(packId)) return yesterday;
+
+  const lastFinished = getLastFinishedPuzzleDate();
+  return lastFinished < yesterday ? lastFinished : yesterday;
+}
+
+/**
+ * Get the answer field for a pack's latest finished puzzle
+ * @returns {Promise<Object|null>} - Embed field, or null if there's nothing to reveal
+ */
+async function getAnswerField(supabase, packId, today) {
+  const revealDate = getRevealDate(packId, today);
+  const previous = await getDailyPuzzle(supabase, packId, revealDate);
+  if (!previous) return null;
+
+  // A repeated puzzle could be today's (or a later) puzzle somewhere
+  if (await isScheduledAfter(supabase, previous.puzzle_id, revealDate) !== false) return null;
+
+  const answer = await getPuzzleAnswer(supabase, previous.puzzle_id);
+  if (!answer?.targetPlayerName) return null;
+
+  // Spoiler tags, for anyone still to play it from the archive
+  const team = answer.targetPlayerTeam ? ` (${answer.targetPlayerTeam})` : '';
+  const context = answer.matchContext ? `\n${answer.matchContext}` : '';
+  const label = revealDate === addDays(today, -1) ? 'Yesterday\'s answer' : 'Answer';
+  return {
+    name: `${label} · #${previous.puzzle_number}`,
+    value: `||${answer.targetPlayerName}${team}||${context}`
+  };
+}
+
+/**
+ * Get the top three winners of a puzzle in a guild
+ * @returns {Promise<string[]>} - One line per player
+ */
+async function getPodium(supabase, guildId, packId, puzzleDate) {
+  // Same query as getLeaderboardForPuzzle in the client
+  const entries = await queryPuzzleLeaderboard(supabase, packId, puzzleDate, guildId);
+  return entries
+    .filter(entry => entry.discord_user_id && entry.won)
+    .slice(0, MEDALS.length)
+    .map((entry, index) => `${MEDALS[index]} **${entry.discord_username}** — ${getEntryPoints(entry)} pts`);
+}
+
+/**
+ * Build the embed announcing one pack's puzzle
+ * @returns {Promise<Object|null>} - Embed, or null if the pack has no puzzle today
+ */
+async function buildPackEmbed(supabase, guildId, packId, today) {
+  const dailyPuzzle = await getDailyPuzzle(supabase, packId, today);
+  if (!dailyPuzzle) return null;
+
+  const yesterday = addDays(today, -1);
+  const fields = [];
+
+  const podium = await getPodium(supabase, guildId, packId, yesterday);
+  if (podium.length > 0) {
+    fields.push({ name: 'Yesterday\'s podium', value: podium.join('\n') });
+  }
+
+  const answerField = await getAnswerField(supabase, packId, today);
+  if (answerField) fields.push(answerField);
+
+  const packName = packId === DEFAULT_PACK_ID ? '' : ` · ${getPack(packId).name}`;
+  return {
+    title: `🏏 Bowldem #${dailyPuzzle.puzzle_number} is live${packName}`,
+    color: EMBED_COLOR,
+    fields
+  };
+}
+
+/**
+ * Build a guild's announcement for a puzzle date
+ * @param {Object} guild - From getAnnouncingGuilds
+ * @param {string} today - The guild's puzzle date
+ * @returns {Promise<Object|null>} - Message, or null if none of its packs has a puzzle
+ */
+export async function buildAnnouncement(supabase, guild, today) {
+  const packIds = [...guild.packs, getGuildPackId(guild.guildId)];
+  const embeds = (await Promise.all(
+    packIds.map(packId => buildPackEmbed(supabase, guild.guildId, packId, today))
+  )).filter(Boolean);
+
+  if (embeds.length === 0) return null;
+
+  const role = guild.reminderRoleId;
+  return {
+    content: role ? `<@&${role}> Today's Bowldem is live!` : 'Today\'s Bowldem is live!',
+    embeds,
+    components: [getLaunchButtonRow()],
+    allowed_mentions: { parse: [], roles: role ? [role] : [] }
+  };
+}
+
+/**
+ * Announce today's puzzle in every guild that hasn't had it yet
+ * @param {Object} supabase - Service role client
+ * @param {Object} options - { dryRun } logs the messages instead of posting them
+ * @returns {Promise<Object>} - { announced, failed } guild IDs
+ */
+export async function runAnnouncements(supabase, { dryRun = false } = {}) {
+  const guilds = await getAnnouncingGuilds(supabase);
+  if (!guilds) {
+    throw new Error('Could not load announcing guilds');
+  }
+
+  const announced = [];
+  const failed = [];
+
+  for (const guild of guilds) {
+    const today = getToday(guild.timeZone);
+    if (guild.announcedDate === today) continue;
+
+    const message = await buildAnnouncement(supabase, guild, today);
+    // Nothing scheduled yet; tried again on the next run
+    if (!message) continue;
+
+    if (dryRun) {
+      console.log(`[dry run] ${guild.guildId} #${guild.announceChannelId}:`, JSON.stringify(message, null, 2));
+      announced.push(guild.guildId);
+      continue;
+    }
+
+    const posted = await postChannelMessage(guild.announceChannelId, message);
+    if (posted && await setGuildAnnouncedDate(supabase, guild.guildId, today)) {
+      announced.push(guild.guildId);
+    } else {
+      failed.push(guild.guildId);
+    }
+  }
+
+  return { announced, failed };
+}
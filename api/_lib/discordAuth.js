@@ -0,0 +1,55 @@
+/**
+ * Discord identity checks for API routes
+ * Resolves the caller from their Discord OAuth access token.
+ */
+
+const DISCORD_API = 'https://discord.com/api';
+
+// Permission bits that let a member change server-wide settings
+const ADMINISTRATOR = 1n << 3n;
+const MANAGE_GUILD = 1n << 5n;
+
+async function discordGet(path, accessToken) {
+  const response = await fetch(`${DISCORD_API}${path}`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+
+  if (!response.ok) return null;
+  return response.json();
+}
+
+/**
+ * Get the Discord user for an access token
+ * @param {string} accessToken - Discord OAuth access token
+ * @returns {Promise<Object|null>} - { id, username, avatar, ... } or null if invalid
+ */
+export async function getDiscordUser(accessToken) {
+  if (!accessToken) return null;
+  return discordGet('/users/@me', accessToken);
+}
+
+/**
+ * Get the user's membership of a guild (needs the `guilds` scope)
+ * @param {string} accessToken - Discord OAuth access token
+ * @param {string} guildId - Guild ID to check
+ * @returns {Promise<Object|null>} - Partial guild { id, name, permissions, ... } or null if not a member
+ */
+export async function getGuildMembership(accessToken, guildId) {
+  const guilds = await discordGet('/users/@me/guilds', accessToken);
+  return (Array.isArray(guilds) && guilds.find(guild => guild.id === guildId)) || null;
+}
+
+/**
+ * Check a permission bitfield for Administrator or Manage Server
+ * @param {string|number|null} permissions - Bitfield as sent by Discord (a string)
+ * @returns {boolean}
+ */
+export function hasManageGuildPermission(permissions) {
+  if (permissions === undefined || permissions === null) return false;
+  try {
+    const bits = BigInt(permissions);
+    return (bits & ADMINISTRATOR) !== 0n || (bits & MANAGE_GUILD) !== 0n;
+  } catch {
+    return false;
+  }
+}
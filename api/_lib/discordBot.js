@@ -0,0 +1,136 @@
+/**
+ * Discord bot helpers for API routes
+ * Posts messages as the application's bot (DISCORD_BOT_TOKEN). The bot has to
+ * be in the server, with permission to view and send messages in the channel.
+ */
+
+const DISCORD_API = 'https://discord.com/api/v10';
+
+// custom_id of the button that opens the activity (answered in api/interactions.js)
+export const LAUNCH_ACTIVITY_ID = 'bowldem_launch';
+
+// Component types
+const ACTION_ROW = 1;
+const BUTTON = 2;
+const PRIMARY = 1;
+
+async function botRequest(path, { method = 'GET', body } = {}) {
+  const botToken = process.env.DISCORD_BOT_TOKEN;
+  if (!botToken) return null;
+
+  const response = await fetch(`${DISCORD_API}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bot ${botToken}`,
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    console.error(`Discord bot request failed (${method} ${path}):`, response.status, await response.text());
+    return null;
+  }
+  // Role changes answer 204 No Content
+  return response.status === 204 ? {} : response.json();
+}
+
+/**
+ * Whether the bot is configured
+ * @returns {boolean}
+ */
+export function hasBotToken() {
+  return !!process.env.DISCORD_BOT_TOKEN;
+}
+
+/**
+ * Get a channel the bot can see
+ * @param {string} channelId
+ * @returns {Promise<Object|null>} - { id, guild_id, type, ... } or null if unavailable
+ */
+export function getChannel(channelId) {
+  return botRequest(`/channels/${channelId}`);
+}
+
+/**
+ * Get a running instance of the activity
+ * @param {string} instanceId - From the Embedded App SDK
+ * @returns {Promise<Object|null>} - { location: { guild_id, channel_id }, users, ... } or null if unavailable
+ */
+export function getActivityInstance(instanceId) {
+  return botRequest(`/applications/${process.env.DISCORD_CLIENT_ID}/activity-instances/${encodeURIComponent(instanceId)}`);
+}
+
+/**
+ * Post a message to a channel
+ * Mentions in the content are shown but don't ping anyone unless the message
+ * sets its own allowed_mentions.
+ * @param {string} channelId
+ * @param {Object} message - { content, embeds, components, allowed_mentions }
+ * @returns {Promise<Object|null>} - The created message, or null if it couldn't be posted
+ */
+export function postChannelMessage(channelId, message) {
+  return botRequest(`/channels/${channelId}/messages`, {
+    method: 'POST',
+    body: { allowed_mentions: { parse: [] }, ...message }
+  });
+}
+
+/**
+ * Get a member of a guild
+ * @returns {Promise<Object|null>} - { user, roles, ... } or null if unavailable
+ */
+export function getGuildMember(guildId, userId) {
+  return botRequest(`/guilds/${guildId}/members/${userId}`);
+}
+
+/**
+ * Get a guild's roles
+ * @returns {Promise<Array|null>} - Role objects or null if unavailable
+ */
+export function getGuildRoles(guildId) {
+  return botRequest(`/guilds/${guildId}/roles`);
+}
+
+/**
+ * Check whether a role only pings, so anyone can be given it
+ * Roles with permissions, roles managed by an integration and @everyone (whose
+ * id is the guild's) are never handed out.
+ * @param {Object} role - Discord role object
+ * @param {string} guildId
+ * @returns {boolean}
+ */
+export function isPingOnlyRole(role, guildId) {
+  return !!role && role.id !== guildId && !role.managed && BigInt(role.permissions || '0') === 0n;
+}
+
+/**
+ * Give a member a role or take it away
+ * The bot needs Manage Roles, and its own role has to be above this one.
+ * @param {boolean} add - Add the role (true) or remove it (false)
+ * @returns {Promise<boolean>} - Whether the change was made
+ */
+export async function setMemberRole(guildId, userId, roleId, add) {
+  const result = await botRequest(`/guilds/${guildId}/members/${userId}/roles/${roleId}`, {
+    method: add ? 'PUT' : 'DELETE'
+  });
+  return result !== null;
+}
+
+/**
+ * Build a message row with a button that launches the activity
+ * @param {string} label - Button text
+ * @returns {Object} - Action row for a message's components
+ */
+export function getLaunchButtonRow(label = 'Play Bowldem') {
+  return {
+    type: ACTION_ROW,
+    components: [{
+      type: BUTTON,
+      style: PRIMARY,
+      label,
+      emoji: { name: '🏏' },
+      custom_id: LAUNCH_ACTIVITY_ID
+    }]
+  };
+}
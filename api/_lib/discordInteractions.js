@@ -0,0 +1,61 @@
+/**
+ * Discord interaction helpers
+ * Discord signs every interaction request with the application's Ed25519 key;
+ * requests that fail verification must be rejected with a 401.
+ */
+
+import { createPublicKey, verify } from 'node:crypto';
+
+// DER prefix that wraps a raw 32-byte Ed25519 public key as SPKI
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+export const InteractionType = {
+  PING: 1,
+  APPLICATION_COMMAND: 2,
+  MESSAGE_COMPONENT: 3
+};
+
+export const InteractionResponseType = {
+  PONG: 1,
+  CHANNEL_MESSAGE_WITH_SOURCE: 4,
+  LAUNCH_ACTIVITY: 12
+};
+
+// Message flag that only shows the reply to the invoking user
+export const EPHEMERAL_FLAG = 1 << 6;
+
+/**
+ * Read the unparsed request body (the signature covers the exact bytes)
+ * Vercel only parses req.body when it is accessed, so the stream is intact here.
+ * @returns {Promise<string>}
+ */
+export async function readRawBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Verify the X-Signature-Ed25519 / X-Signature-Timestamp headers
+ * @param {string} rawBody - Unparsed request body
+ * @param {string} signature - Hex signature header
+ * @param {string} timestamp - Timestamp header
+ * @param {string} publicKey - Application public key (hex)
+ * @returns {boolean}
+ */
+export function verifyDiscordRequest(rawBody, signature, timestamp, publicKey) {
+  if (!signature || !timestamp || !publicKey) return false;
+
+  try {
+    const key = createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'hex')]),
+      format: 'der',
+      type: 'spki'
+    });
+    return verify(null, Buffer.from(timestamp + rawBody), key, Buffer.from(signature, 'hex'));
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,344 @@
+/**
+ * Guild-authored puzzles
+ * Server admins enter a match their club or league played: both team sheets,
+ * the scorecard and the player of the match. The puzzle is scheduled in the
+ * guild's own pack (see src/utils/packs.js), next to the global daily puzzle.
+ *
+ * Club players live in the players table with guild_id set and the team name
+ * as their country, so check_guess gives the usual team/role feedback.
+ */
+
+import { getGuildPackId, GUILD_PUZZLE_MAX_DAYS_AHEAD, PLAYER_ROLES } from '../../src/utils/packs.js';
+import { addDays, getPuzzleNumber } from '../../src/utils/dailyPuzzle.js';
+import { isValidDate } from './http.js';
+
+// Players per team sheet (XI plus substitutes)
+const MIN_TEAM_SIZE = 2;
+const MAX_TEAM_SIZE = 15;
+
+// Longest free-text field
+const MAX_TEXT_LENGTH = 120;
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ').slice(0, MAX_TEXT_LENGTH) : '';
+}
+
+/**
+ * Uppercase letters and digits only, like the ids in all_players.json
+ */
+function toIdPart(value) {
+  return String(value).normalize('NFKD').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Id for a club player, unique per guild and team
+ * @returns {string} - e.g. G123456789_RIVERSIDECC_JSMITH
+ */
+function getGuildPlayerId(guildId, team, name) {
+  return `G${guildId}_${toIdPart(team)}_${toIdPart(name)}`;
+}
+
+/**
+ * Get the players a guild has added
+ * @returns {Promise<Array|null>} - players rows, or null on error
+ */
+export async function getGuildPlayers(supabase, guildId) {
+  const { data, error } = await supabase
+    .from('players')
+    .select('id, full_name, country, role')
+    .eq('guild_id', guildId);
+
+  if (error) {
+    console.error('Error fetching guild players:', error);
+    return null;
+  }
+
+  return data || [];
+}
+
+/**
+ * Check whether a player can be guessed in a guild
+ * Club players are only visible to their own guild; anyone else gets the same
+ * answer as for an unknown id, so their names, teams and roles don't leak.
+ * @param {string|null} guildId - Session guild (null outside a guild)
+ * @returns {Promise<boolean|null>} - null on error
+ */
+export async function isPlayerInGuild(supabase, playerId, guildId) {
+  const { data, error } = await supabase
+    .from('players')
+    .select('guild_id')
+    .eq('id', playerId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error checking player:', error);
+    return null;
+  }
+
+  return !data?.guild_id || data.guild_id === guildId;
+}
+
+/**
+ * Check whether a guild has any puzzles scheduled
+ * @returns {Promise<boolean>}
+ */
+export async function hasGuildPuzzles(supabase, guildId) {
+  if (!supabase || !guildId) return false;
+
+  const { count, error } = await supabase
+    .from('daily_puzzles')
+    .select('puzzle_date', { count: 'exact', head: true })
+    .eq('pack_id', getGuildPackId(guildId));
+
+  if (error) {
+    console.error('Error checking guild puzzles:', error);
+    return false;
+  }
+
+  return count > 0;
+}
+
+/**
+ * List a guild's scheduled puzzles, newest first
+ * @returns {Promise<Array|null>} - [{ puzzleDate, puzzleNumber, puzzleId, venue, teams, targetPlayer, createdBy }]
+ */
+export async function listGuildPuzzles(supabase, guildId) {
+  const { data: schedule, error: scheduleError } = await supabase
+    .from('daily_puzzles')
+    .select('puzzle_date, puzzle_number, puzzle_id')
+    .eq('pack_id', getGuildPackId(guildId))
+    .order('puzzle_date', { ascending: false });
+
+  if (scheduleError) {
+    console.error('Error fetching guild schedule:', scheduleError);
+    return null;
+  }
+
+  if (schedule.length === 0) return [];
+
+  const { data: puzzles, error: puzzlesError } = await supabase
+    .from('puzzles')
+    .select('id, target_player, match_data, created_by')
+    .in('id', schedule.map(entry => entry.puzzle_id));
+
+  if (puzzlesError) {
+    console.error('Error fetching guild puzzles:', puzzlesError);
+    return null;
+  }
+
+  const puzzlesById = new Map(puzzles.map(puzzle => [puzzle.id, puzzle]));
+  return schedule.map(entry => {
+    const puzzle = puzzlesById.get(entry.puzzle_id);
+    const scorecard = puzzle?.match_data?.scorecard || {};
+    return {
+      puzzleDate: entry.puzzle_date,
+      puzzleNumber: entry.puzzle_number,
+      puzzleId: entry.puzzle_id,
+      venue: scorecard.venue || null,
+      teams: [scorecard.team1Name, scorecard.team2Name].filter(Boolean),
+      targetPlayer: puzzle?.target_player || null,
+      createdBy: puzzle?.created_by || null
+    };
+  });
+}
+
+/**
+ * Check a puzzle submitted by an admin and resolve its players
+ * @param {Object} input - { puzzleDate, venue, result, matchContext,
+ *   teams: [{ name, score, players: [{ id } | { name, role }] }] x2, motm: { team, index } }
+ * @param {Object} options - { guildId, today, guildPlayers }
+ * @returns {Object} - { error } or { puzzleDate, scorecard, matchContext, teams, target, newPlayers }
+ */
+export function validateGuildPuzzle(input, { guildId, today, guildPlayers }) {
+  const { puzzleDate, teams, motm } = input || {};
+
+  if (!isValidDate(puzzleDate) || puzzleDate < today || puzzleDate > addDays(today, GUILD_PUZZLE_MAX_DAYS_AHEAD)) {
+    return { error: `Pick a date between today and ${GUILD_PUZZLE_MAX_DAYS_AHEAD} days from now` };
+  }
+
+  const venue = cleanText(input.venue);
+  const result = cleanText(input.result);
+  if (!venue) return { error: 'Venue is required' };
+  if (!result) return { error: 'Result is required' };
+
+  if (!Array.isArray(teams) || teams.length !== 2) {
+    return { error: 'Enter both teams' };
+  }
+
+  const playersById = new Map(guildPlayers.map(player => [player.id, player]));
+  const newPlayers = new Map();
+  const resolvedTeams = [];
+
+  for (const team of teams) {
+    const name = cleanText(team?.name);
+    const score = cleanText(team?.score);
+    const entries = Array.isArray(team?.players) ? team.players : [];
+
+    if (!name) return { error: 'Both teams need a name' };
+    if (!score) return { error: `Enter ${name}'s score` };
+    if (entries.length < MIN_TEAM_SIZE || entries.length > MAX_TEAM_SIZE) {
+      return { error: `${name} needs between ${MIN_TEAM_SIZE} and ${MAX_TEAM_SIZE} players` };
+    }
+
+    const players = [];
+    for (const entry of entries) {
+      let player;
+      if (entry?.id) {
+        player = playersById.get(entry.id);
+        if (!player) return { error: `Unknown player ${entry.id}` };
+        // Feedback compares the player's team with the answer's, so it has to be this team
+        if (player.country !== name) {
+          return { error: `${player.full_name} is registered with ${player.country}, add them to ${name} as a new player` };
+        }
+      } else {
+        const fullName = cleanText(entry?.name);
+        if (!fullName || !toIdPart(fullName)) return { error: `A player in ${name} has no name` };
+        if (!PLAYER_ROLES.includes(entry.role)) return { error: `Pick a role for ${fullName}` };
+
+        const id = getGuildPlayerId(guildId, name, fullName);
+        player = playersById.get(id) || newPlayers.get(id) || {
+          id,
+          full_name: fullName,
+          country: name,
+          role: entry.role,
+          guild_id: guildId
+        };
+        if (!playersById.has(id)) newPlayers.set(id, player);
+      }
+
+      if (players.some(p => p.id === player.id)) {
+        return { error: `${player.full_name} is listed twice in ${name}` };
+      }
+      players.push(player);
+    }
+
+    resolvedTeams.push({ name, score, players });
+  }
+
+  if (resolvedTeams[0].name === resolvedTeams[1].name) {
+    return { error: 'The teams need different names' };
+  }
+
+  const target = resolvedTeams[motm?.team]?.players[motm?.index];
+  if (!target) return { error: 'Pick the player of the match' };
+
+  return {
+    puzzleDate,
+    scorecard: {
+      venue,
+      team1Name: resolvedTeams[0].name,
+      team2Name: resolvedTeams[1].name,
+      team1Score: resolvedTeams[0].score,
+      team2Score: resolvedTeams[1].score,
+      result
+    },
+    matchContext: cleanText(input.matchContext) || null,
+    teams: resolvedTeams,
+    target,
+    newPlayers: [...newPlayers.values()]
+  };
+}
+
+/**
+ * Remove the puzzle scheduled for a guild and date
+ * Guesses and leaderboard entries stay, so only use this for future dates.
+ * @returns {Promise<boolean>} - Whether it was removed
+ */
+export async function deleteGuildPuzzle(supabase, guildId, puzzleDate) {
+  const packId = getGuildPackId(guildId);
+
+  const { data: scheduled, error: fetchError } = await supabase
+    .from('daily_puzzles')
+    .select('puzzle_id')
+    .eq('pack_id', packId)
+    .eq('puzzle_date', puzzleDate)
+    .maybeSingle();
+
+  if (fetchError || !scheduled) {
+    if (fetchError) console.error('Error fetching guild puzzle:', fetchError);
+    return false;
+  }
+
+  const { error: scheduleError } = await supabase
+    .from('daily_puzzles')
+    .delete()
+    .eq('pack_id', packId)
+    .eq('puzzle_date', puzzleDate);
+
+  if (scheduleError) {
+    console.error('Error unscheduling guild puzzle:', scheduleError);
+    return false;
+  }
+
+  const { error: puzzleError } = await supabase
+    .from('puzzles')
+    .delete()
+    .eq('id', scheduled.puzzle_id)
+    .eq('guild_id', guildId);
+
+  if (puzzleError) {
+    console.error('Error deleting guild puzzle:', puzzleError);
+  }
+
+  return true;
+}
+
+/**
+ * Save a validated puzzle and schedule it for its date
+ * @param {Object} puzzle - From validateGuildPuzzle
+ * @param {string} createdBy - Discord user ID of the admin
+ * @returns {Promise<Object|null>} - { puzzleId, puzzleDate, puzzleNumber } or null on error
+ */
+export async function saveGuildPuzzle(supabase, guildId, createdBy, puzzle) {
+  if (puzzle.newPlayers.length > 0) {
+    const { error: playersError } = await supabase.from('players').upsert(puzzle.newPlayers);
+    if (playersError) {
+      console.error('Error saving guild players:', playersError);
+      return null;
+    }
+  }
+
+  const targetTeam = puzzle.teams.find(team => team.players.includes(puzzle.target));
+
+  // id comes from guild_puzzle_id_seq (migration 008)
+  const { data: row, error: puzzleError } = await supabase
+    .from('puzzles')
+    .insert({
+      pack_id: getGuildPackId(guildId),
+      guild_id: guildId,
+      created_by: createdBy,
+      target_player: puzzle.target.id,
+      match_data: {
+        scorecard: puzzle.scorecard,
+        playersInMatch: puzzle.teams.flatMap(team => team.players.map(player => player.id)),
+        targetPlayerTeam: targetTeam.name,
+        targetPlayerRole: puzzle.target.role
+      },
+      match_context: puzzle.matchContext
+    })
+    .select('id')
+    .single();
+
+  if (puzzleError) {
+    console.error('Error saving guild puzzle:', puzzleError);
+    return null;
+  }
+
+  const puzzleNumber = getPuzzleNumber(puzzle.puzzleDate);
+  const { error: scheduleError } = await supabase
+    .from('daily_puzzles')
+    .insert({
+      pack_id: getGuildPackId(guildId),
+      puzzle_date: puzzle.puzzleDate,
+      puzzle_number: puzzleNumber,
+      puzzle_id: row.id
+    });
+
+  if (scheduleError) {
+    console.error('Error scheduling guild puzzle:', scheduleError);
+    await supabase.from('puzzles').delete().eq('id', row.id);
+    return null;
+  }
+
+  return { puzzleId: row.id, puzzleDate: puzzle.puzzleDate, puzzleNumber };
+}
@@ -0,0 +1,162 @@
+/**
+ * Per-guild settings
+ * Guilds pick the time zone their daily puzzle resets in, the puzzle packs
+ * they play, whether players can post results to the channel and where new
+ * puzzles are announced. Outside a guild (or before anyone sets them) puzzles
+ * reset at midnight UTC, only the default pack is played, channel sharing is
+ * on and nothing is announced.
+ *
+ * A guild's own pack (puzzles its admins write) isn't a setting: it's playable
+ * in that guild only, whenever it has puzzles.
+ */
+
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from '../../src/utils/dailyPuzzle.js';
+import { normalizePackIds, isGuildPackId, getGuildPackId } from '../../src/utils/packs.js';
+
+/**
+ * Get a guild's settings
+ * @param {Object|null} supabase - Service role client (defaults are returned without one)
+ * @param {string|null} guildId - Discord guild ID
+ * @returns {Promise<Object>} - { timeZone, packs, channelSharing, announceChannelId, reminderRoleId }
+ *   with packs in registry order
+ */
+export async function getGuildSettings(supabase, guildId) {
+  const defaults = {
+    timeZone: DEFAULT_TIME_ZONE,
+    packs: normalizePackIds(null),
+    channelSharing: true,
+    announceChannelId: null,
+    reminderRoleId: null
+  };
+  if (!supabase || !guildId) return defaults;
+
+  const { data, error } = await supabase
+    .from('guild_settings')
+    .select('reset_timezone, enabled_packs, channel_sharing, announce_channel_id, reminder_role_id')
+    .eq('guild_id', guildId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching guild settings:', error);
+    return defaults;
+  }
+
+  if (!data) return defaults;
+
+  return toSettings(data);
+}
+
+/**
+ * Convert a guild_settings row into settings
+ */
+function toSettings(data) {
+  return {
+    timeZone: isValidTimeZone(data.reset_timezone) ? data.reset_timezone : DEFAULT_TIME_ZONE,
+    packs: normalizePackIds(data.enabled_packs),
+    channelSharing: data.channel_sharing !== false,
+    announceChannelId: data.announce_channel_id || null,
+    reminderRoleId: data.reminder_role_id || null
+  };
+}
+
+/**
+ * Check that a pack can be played in a guild
+ * @param {Object} settings - From getGuildSettings
+ * @param {string|null} guildId - Guild from the session
+ * @param {string} packId - Pack id from getPackId
+ * @returns {boolean}
+ */
+export function isPackAvailable(settings, guildId, packId) {
+  if (isGuildPackId(packId)) return !!guildId && packId === getGuildPackId(guildId);
+  return settings.packs.includes(packId);
+}
+
+/**
+ * Update some of a guild's settings
+ * @param {Object} changes - Columns to set, e.g. { reset_timezone } or { enabled_packs }
+ * @returns {Promise<boolean>} - Whether the settings were saved
+ */
+async function updateGuildSettings(supabase, guildId, changes) {
+  const { error } = await supabase
+    .from('guild_settings')
+    .upsert({
+      guild_id: guildId,
+      ...changes,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'guild_id' });
+
+  if (error) {
+    console.error('Error saving guild settings:', error);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Set the puzzle reset time zone for a guild
+ * @returns {Promise<boolean>} - Whether the setting was saved
+ */
+export function setGuildTimeZone(supabase, guildId, timeZone) {
+  return updateGuildSettings(supabase, guildId, { reset_timezone: timeZone });
+}
+
+/**
+ * Set the puzzle packs a guild plays
+ * @param {string[]} packIds - Known pack ids (at least one)
+ * @returns {Promise<boolean>} - Whether the setting was saved
+ */
+export function setGuildPacks(supabase, guildId, packIds) {
+  const enabled = normalizePackIds(packIds).filter(id => !isGuildPackId(id));
+  return updateGuildSettings(supabase, guildId, { enabled_packs: enabled });
+}
+
+/**
+ * Allow or stop players posting their results to the channel (see /api/share)
+ * @returns {Promise<boolean>} - Whether the setting was saved
+ */
+export function setGuildChannelSharing(supabase, guildId, enabled) {
+  return updateGuildSettings(supabase, guildId, { channel_sharing: !!enabled });
+}
+
+/**
+ * Set where new puzzles are announced and the role pinged for them
+ * @param {string|null} channelId - Announcement channel, or null to stop announcing
+ * @param {string|null} roleId - Role players join with "Notify Me" (unchanged if undefined)
+ * @returns {Promise<boolean>} - Whether the setting was saved
+ */
+export function setGuildAnnouncements(supabase, guildId, channelId, roleId) {
+  const changes = { announce_channel_id: channelId };
+  if (roleId !== undefined) changes.reminder_role_id = roleId;
+  return updateGuildSettings(supabase, guildId, changes);
+}
+
+/**
+ * Get every guild that announces new puzzles
+ * @returns {Promise<Array|null>} - [{ guildId, announcedDate, ...settings }] or null on error
+ */
+export async function getAnnouncingGuilds(supabase) {
+  const { data, error } = await supabase
+    .from('guild_settings')
+    .select('guild_id, reset_timezone, enabled_packs, channel_sharing, announce_channel_id, reminder_role_id, announced_date')
+    .not('announce_channel_id', 'is', null);
+
+  if (error) {
+    console.error('Error fetching announcing guilds:', error);
+    return null;
+  }
+
+  return data.map(row => ({
+    guildId: row.guild_id,
+    announcedDate: row.announced_date,
+    ...toSettings(row)
+  }));
+}
+
+/**
+ * Record the puzzle date a guild was last announced
+ * @returns {Promise<boolean>} - Whether it was saved
+ */
+export function setGuildAnnouncedDate(supabase, guildId, puzzleDate) {
+  return updateGuildSettings(supabase, guildId, { announced_date: puzzleDate });
+}
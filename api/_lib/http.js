@@ -0,0 +1,59 @@
+/**
+ * Shared HTTP helpers for API routes
+ * Files under api/_lib are not deployed as routes by Vercel.
+ */
+
+import { DEFAULT_PACK_ID, isPackId, isGuildPackId } from '../../src/utils/packs.js';
+
+/**
+ * Set CORS headers and answer preflight requests
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {string[]} methods - Allowed methods (OPTIONS is added automatically)
+ * @returns {boolean} - True if the request was fully handled (preflight or bad method)
+ */
+export function handleCors(req, res, methods) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return true;
+  }
+
+  if (!methods.includes(req.method)) {
+    res.status(405).json({ error: 'Method not allowed' });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Read the bearer token from the Authorization header
+ * @returns {string|null}
+ */
+export function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Check a YYYY-MM-DD date string
+ */
+export function isValidDate(dateStr) {
+  return typeof dateStr === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateStr);
+}
+
+/**
+ * Read a puzzle pack id from a request, defaulting to the default pack
+ * @returns {string|null} - null for an unknown pack (guild packs are accepted
+ *   here, check them with isPackAvailable)
+ */
+export function getPackId(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_PACK_ID;
+  return isPackId(value) || isGuildPackId(value) ? value : null;
+}
@@ -0,0 +1,214 @@
+/**
+ * Server-side puzzle helpers
+ * Guesses are recorded per (user, puzzle_date) and replayed against the
+ * puzzle through the check_guess RPC, which only the service role can call.
+ */
+
+import { getMaxGuesses } from '../../src/utils/dailyPuzzle.js';
+import { getHardModeViolation } from '../../src/utils/hardMode.js';
+
+/**
+ * Get the puzzle scheduled for a pack and date
+ * @returns {Promise<Object|null>} - { pack_id, puzzle_date, puzzle_number, puzzle_id }
+ */
+export async function getDailyPuzzle(supabase, packId, puzzleDate) {
+  const { data, error } = await supabase
+    .from('daily_puzzles')
+    .select('pack_id, puzzle_date, puzzle_number, puzzle_id')
+    .eq('pack_id', packId)
+    .eq('puzzle_date', puzzleDate)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching daily puzzle:', error);
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Check whether a puzzle is scheduled again after a date, in any pack
+ * Same rule as puzzle_is_live: a repeated puzzle's answer stays secret until
+ * its last date has passed.
+ * @returns {Promise<boolean|null>} - null on failure
+ */
+export async function isScheduledAfter(supabase, puzzleId, puzzleDate) {
+  const { count, error } = await supabase
+    .from('daily_puzzles')
+    .select('puzzle_id', { count: 'exact', head: true })
+    .eq('puzzle_id', puzzleId)
+    .gt('puzzle_date', puzzleDate);
+
+  if (error) {
+    console.error('Error checking puzzle schedule:', error);
+    return null;
+  }
+
+  return count > 0;
+}
+
+/**
+ * Get the guesses recorded for a user, pack and date, in order
+ */
+export async function getRecordedGuesses(supabase, discordUserId, packId, puzzleDate) {
+  const { data, error } = await supabase
+    .from('puzzle_guesses')
+    .select('guess_number, player_id, feedback, hard_mode, created_at')
+    .eq('discord_user_id', discordUserId)
+    .eq('pack_id', packId)
+    .eq('puzzle_date', puzzleDate)
+    .order('guess_number', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching recorded guesses:', error);
+    return null;
+  }
+
+  return data || [];
+}
+
+/**
+ * Get the hints a user has unlocked for a puzzle, in order
+ * @returns {Promise<Array|null>} - [{ hint_number, created_at }] or null on failure
+ */
+export async function getRecordedHints(supabase, discordUserId, packId, puzzleDate) {
+  const { data, error } = await supabase
+    .from('puzzle_hints')
+    .select('hint_number, created_at')
+    .eq('discord_user_id', discordUserId)
+    .eq('pack_id', packId)
+    .eq('puzzle_date', puzzleDate)
+    .order('hint_number', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching recorded hints:', error);
+    return null;
+  }
+
+  return data || [];
+}
+
+/**
+ * Seconds from the first recorded guess or hint to the last guess
+ * @param {Array} recordedGuesses - From getRecordedGuesses
+ * @param {Array} recordedHints - From getRecordedHints
+ * @returns {number|null}
+ */
+export function getSolveSeconds(recordedGuesses, recordedHints = []) {
+  if (recordedGuesses.length === 0) return null;
+
+  const started = Math.min(...[recordedGuesses[0], recordedHints[0]]
+    .filter(Boolean)
+    .map(row => new Date(row.created_at).getTime()));
+  const finished = new Date(recordedGuesses[recordedGuesses.length - 1].created_at).getTime();
+
+  return Math.max(0, Math.round((finished - started) / 1000));
+}
+
+/**
+ * Get the first `count` hints for a puzzle, in unlock order (see src/utils/hints.js)
+ * @returns {Promise<Array|null>}
+ */
+export async function getPuzzleHints(supabase, puzzleId, count) {
+  if (count === 0) return [];
+
+  const { data, error } = await supabase.rpc('puzzle_hints', {
+    p_puzzle_id: puzzleId,
+    p_count: count
+  });
+
+  if (error || !Array.isArray(data)) {
+    console.error('Error fetching hints:', error);
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Check a single guess against a puzzle
+ * @returns {Promise<Object|null>} - PTRM feedback
+ */
+export async function checkGuess(supabase, puzzleId, playerId) {
+  const { data, error } = await supabase.rpc('check_guess', {
+    p_puzzle_id: puzzleId,
+    p_guessed_player_id: playerId
+  });
+
+  if (error || !data || data.error) {
+    console.error('Error checking guess:', error || data?.error);
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Get the answer and full match details for a puzzle
+ */
+export async function getPuzzleAnswer(supabase, puzzleId) {
+  const { data, error } = await supabase.rpc('puzzle_answer', {
+    p_puzzle_id: puzzleId
+  });
+
+  if (error) {
+    console.error('Error fetching puzzle answer:', error);
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Work out game status from a feedback list
+ * @param {Array} feedbackList - Feedback per guess, in order
+ * @param {string} packId - Pack the puzzle belongs to (sets the guess limit)
+ * @returns {string} - 'not_started' | 'in_progress' | 'won' | 'lost'
+ */
+export function getGameStatus(feedbackList, packId) {
+  if (feedbackList.length === 0) return 'not_started';
+  if (feedbackList[feedbackList.length - 1].isMVP) return 'won';
+  if (feedbackList.length >= getMaxGuesses(packId)) return 'lost';
+  return 'in_progress';
+}
+
+/**
+ * Check whether a recorded game is in hard mode (set by its first guess)
+ * @param {Array} recordedGuesses - From getRecordedGuesses
+ * @returns {boolean}
+ */
+export function isHardModeGame(recordedGuesses) {
+  return !!recordedGuesses[0]?.hard_mode;
+}
+
+/**
+ * Replay recorded guesses against the puzzle
+ * Feedback stored at record time is ignored; every guess is checked again,
+ * including the hard mode rules for hard mode games.
+ * @returns {Promise<Object|null>} - { feedback, gameStatus, guessesUsed, won, hardMode } or null on failure
+ */
+export async function replayGuesses(supabase, dailyPuzzle, recordedGuesses) {
+  const feedback = [];
+  let hardMode = isHardModeGame(recordedGuesses);
+  const isOver = () => ['won', 'lost'].includes(getGameStatus(feedback, dailyPuzzle.pack_id));
+
+  for (const guess of recordedGuesses) {
+    // Nothing counts after the game ended
+    if (isOver()) break;
+
+    const result = await checkGuess(supabase, dailyPuzzle.puzzle_id, guess.player_id);
+    if (!result) return null;
+    if (hardMode && getHardModeViolation(result, feedback)) hardMode = false;
+    feedback.push(result);
+  }
+
+  const gameStatus = getGameStatus(feedback, dailyPuzzle.pack_id);
+  return {
+    feedback,
+    gameStatus,
+    guessesUsed: feedback.length,
+    won: gameStatus === 'won',
+    hardMode
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * App session tokens
+ *
+ * Short-lived HS256 JWTs minted by /api/token once the Discord identity has
+ * been verified. Other API routes trust these claims instead of client ids.
+ *
+ * The token is signed with SESSION_JWT_SECRET. Set it to the Supabase project's
+ * JWT secret so PostgREST accepts the same token and RLS policies can read the
+ * Discord identity through auth.jwt().
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { getBearerToken } from './http.js';
+
+// Session lifetime in seconds
+export const SESSION_TTL_SECONDS = 60 * 60;
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function getSecret() {
+  const secret = process.env.SESSION_JWT_SECRET;
+  if (!secret) {
+    throw new Error('Missing SESSION_JWT_SECRET in environment');
+  }
+  return secret;
+}
+
+function sign(data) {
+  return createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Mint a session token for a verified Discord user
+ * @param {Object} user - Discord user from /users/@me
+ * @param {string|null} guildId - Guild the activity was launched in (membership already checked)
+ * @param {Object} options - { manageGuild, channelId } whether the user can manage that guild,
+ *   and the channel the activity is running in (checked with Discord)
+ * @returns {Object} - { token, expiresIn }
+ */
+export function createSession(user, guildId = null, { manageGuild = false, channelId = null } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    sub: user.id,
+    username: user.username,
+    avatar: user.avatar || null,
+    guild_id: guildId,
+    manage_guild: !!guildId && manageGuild,
+    channel_id: guildId ? channelId : null,
+    role: 'authenticated',
+    aud: 'authenticated',
+    iat: now,
+    exp: now + SESSION_TTL_SECONDS
+  }));
+
+  return {
+    token: `${header}.${payload}.${sign(`${header}.${payload}`)}`,
+    expiresIn: SESSION_TTL_SECONDS
+  };
+}
+
+/**
+ * Verify a session token
+ * @param {string} token
+ * @returns {Object|null} - Claims { sub, username, avatar, guild_id, manage_guild, channel_id, exp } or null if invalid/expired
+ */
+export function verifySession(token) {
+  if (!token) return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.sub || !claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read and verify the session from the Authorization header
+ * @returns {Object|null} - Session claims
+ */
+export function getSession(req) {
+  return verifySession(getBearerToken(req));
+}
@@ -0,0 +1,88 @@
+/**
+ * Server-side player stats
+ * Rebuilt from what the server recorded itself: finished games in puzzle_guesses
+ * (feedback there comes from /api/guess) plus leaderboard entries for older days
+ * without recorded guesses. Stats sent by devices are never stored, so nobody can
+ * raise their own numbers. Stats are kept per puzzle pack.
+ */
+
+import { queryEntriesByDiscordUser } from '../../src/lib/leaderboardQueries.js';
+import { buildStatsFromResults, getMaxGuesses } from '../../src/utils/dailyPuzzle.js';
+import { getGameStatus, isHardModeGame } from './puzzles.js';
+
+// Rows per request when paging through recorded guesses
+const PAGE_SIZE = 1000;
+
+/**
+ * Get every guess a user has recorded in a pack, ordered by day and guess
+ * @returns {Promise<Array|null>} - Recorded guesses or null on failure
+ */
+async function getAllRecordedGuesses(supabase, discordUserId, packId) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('puzzle_guesses')
+      .select('puzzle_date, guess_number, feedback, hard_mode')
+      .eq('discord_user_id', discordUserId)
+      .eq('pack_id', packId)
+      .order('puzzle_date', { ascending: true })
+      .order('guess_number', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      console.error('Error fetching recorded guesses:', error);
+      return null;
+    }
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Turn recorded guesses into one result per finished game
+ * @returns {Array} - { puzzle_date, won, guesses_used, hard_mode }
+ */
+function toResults(recordedGuesses, packId) {
+  const byDate = new Map();
+  recordedGuesses.forEach(guess => {
+    if (!byDate.has(guess.puzzle_date)) byDate.set(guess.puzzle_date, []);
+    byDate.get(guess.puzzle_date).push(guess);
+  });
+
+  const results = [];
+  byDate.forEach((guesses, puzzleDate) => {
+    const feedback = guesses.map(guess => guess.feedback);
+    const gameStatus = getGameStatus(feedback, packId);
+    if (gameStatus !== 'won' && gameStatus !== 'lost') return;
+
+    results.push({
+      puzzle_date: puzzleDate,
+      won: gameStatus === 'won',
+      guesses_used: feedback.length,
+      hard_mode: isHardModeGame(guesses)
+    });
+  });
+  return results;
+}
+
+/**
+ * Get a player's stats for a pack, rebuilt from their recorded games
+ * @returns {Promise<Object|null>} - Stats object or null on error
+ */
+export async function getUserStats(supabase, discordUserId, packId) {
+  const recorded = await getAllRecordedGuesses(supabase, discordUserId, packId);
+  if (!recorded) return null;
+
+  const results = toResults(recorded, packId);
+  const recordedDates = new Set(results.map(result => result.puzzle_date));
+
+  // Entries from before guesses were recorded on the server
+  const entries = await queryEntriesByDiscordUser(supabase, discordUserId, packId);
+  entries
+    .filter(entry => !entry.is_seed && !recordedDates.has(entry.puzzle_date))
+    .forEach(entry => results.push(entry));
+
+  return buildStatsFromResults(results, getMaxGuesses(packId));
+}
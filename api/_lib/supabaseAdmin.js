@@ -0,0 +1,30 @@
+/**
+ * Server-side Supabase client
+ * Uses the service role key, so it bypasses row level security.
+ * Never import this from client code.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+let client = null;
+
+/**
+ * Get the service role client (created lazily)
+ * @returns {Object|null} - Supabase client, or null if not configured
+ */
+export function getSupabaseAdmin() {
+  if (client) return client;
+
+  const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!url || !serviceRoleKey) {
+    console.error('Missing Supabase service credentials in environment');
+    return null;
+  }
+
+  client = createClient(url, serviceRoleKey, {
+    auth: { persistSession: false }
+  });
+  return client;
+}
@@ -0,0 +1,42 @@
+/**
+ * Vercel Serverless Function: Daily Announcements
+ *
+ * Cron route that posts "Bowldem #N is live" to each guild's announcement
+ * channel once its new puzzle starts (see _lib/announcements.js). Scheduled
+ * hourly in vercel.json; Vercel calls it with `Authorization: Bearer $CRON_SECRET`.
+ * Run it locally with `npm run announce`.
+ *
+ * GET [?dryRun=1] -> { announced, failed }
+ */
+
+import { handleCors, getBearerToken } from './_lib/http.js';
+import { getSupabaseAdmin } from './_lib/supabaseAdmin.js';
+import { hasBotToken } from './_lib/discordBot.js';
+import { runAnnouncements } from './_lib/announcements.js';
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, ['GET'])) return;
+
+  try {
+    const cronSecret = process.env.CRON_SECRET;
+    if (!cronSecret) {
+      return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    if (getBearerToken(req) !== cronSecret) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const supabase = getSupabaseAdmin();
+    if (!supabase || !hasBotToken()) {
+      return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    const result = await runAnnouncements(supabase, { dryRun: req.query?.dryRun === '1' });
+    return res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Announcement error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
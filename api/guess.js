@@ -0,0 +1,174 @@
+/**
+ * Vercel Serverless Function: Daily Guesses
+ *
+ * Records every guess for today's puzzle against the caller's session identity
+ * so leaderboard submissions can be replayed server-side.
+ *
+ * GET  ?puzzleDate=YYYY-MM-DD&packId=  -> { guesses, feedback, gameStatus, hardMode, hints, reveal }
+ * POST { puzzleDate, packId, playerId, hardMode } -> { feedback, gameStatus }
+ *
+ * `packId` defaults to the default pack and must be enabled in the session's guild
+ * (or be that guild's own pack).
+ * `hints` are the hints unlocked through /api/hint.
+ * `reveal` (answer and match details) is only returned once the game is over.
+ *
+ * `hardMode` is only read with the first guess; after that the game stays in
+ * the mode it started in, and hard mode guesses that break an earlier clue are
+ * rejected with { error, hardMode: true }.
+ */
+
+import { handleCors, isValidDate, getPackId } from './_lib/http.js';
+import { getSession } from './_lib/session.js';
+import { getSupabaseAdmin } from './_lib/supabaseAdmin.js';
+import {
+  getDailyPuzzle,
+  getRecordedGuesses,
+  checkGuess,
+  getPuzzleAnswer,
+  getGameStatus,
+  isHardModeGame,
+  getRecordedHints,
+  getPuzzleHints
+} from './_lib/puzzles.js';
+import { getGuildSettings, isPackAvailable } from './_lib/guildSettings.js';
+import { isPlayerInGuild } from './_lib/guildPuzzles.js';
+import { getToday } from '../src/utils/dailyPuzzle.js';
+import { getHardModeViolation } from '../src/utils/hardMode.js';
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, ['GET', 'POST'])) return;
+
+  try {
+    const session = getSession(req);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+
+    const supabase = getSupabaseAdmin();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    const params = req.method === 'GET' ? req.query : req.body || {};
+    const settings = await getGuildSettings(supabase, session.guild_id);
+
+    const packId = getPackId(params.packId);
+    if (!packId || !isPackAvailable(settings, session.guild_id, packId)) {
+      return res.status(400).json({ error: 'Puzzle pack not available' });
+    }
+
+    // "Today" is the puzzle day in the session guild's time zone
+    const today = getToday(settings.timeZone);
+
+    const { puzzleDate } = params;
+    if (!isValidDate(puzzleDate) || puzzleDate > today) {
+      return res.status(400).json({ error: 'Invalid puzzle date' });
+    }
+
+    const dailyPuzzle = await getDailyPuzzle(supabase, packId, puzzleDate);
+    if (!dailyPuzzle) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+
+    const recorded = await getRecordedGuesses(supabase, session.sub, packId, puzzleDate);
+    if (!recorded) {
+      return res.status(500).json({ error: 'Failed to load guesses' });
+    }
+
+    const feedback = recorded.map(guess => guess.feedback);
+
+    if (req.method === 'GET') {
+      const gameStatus = getGameStatus(feedback, packId);
+      const reveal = gameStatus === 'won' || gameStatus === 'lost'
+        ? await getPuzzleAnswer(supabase, dailyPuzzle.puzzle_id)
+        : null;
+
+      const recordedHints = await getRecordedHints(supabase, session.sub, packId, puzzleDate);
+      const hints = recordedHints && await getPuzzleHints(supabase, dailyPuzzle.puzzle_id, recordedHints.length);
+      if (!hints) {
+        return res.status(500).json({ error: 'Failed to load hints' });
+      }
+
+      return res.status(200).json({
+        guesses: recorded.map(guess => guess.player_id),
+        feedback,
+        gameStatus,
+        hardMode: isHardModeGame(recorded),
+        hints,
+        reveal
+      });
+    }
+
+    // Guesses can only be recorded for today's puzzle
+    if (puzzleDate !== today) {
+      return res.status(400).json({ error: 'Guesses can only be recorded for today\'s puzzle' });
+    }
+
+    const { playerId } = req.body;
+    if (!playerId || typeof playerId !== 'string') {
+      return res.status(400).json({ error: 'Missing player ID' });
+    }
+
+    // Repeated guess (e.g. a retried request) - return what was recorded
+    const existing = recorded.find(guess => guess.player_id === playerId);
+    if (existing) {
+      return res.status(200).json({
+        feedback: existing.feedback,
+        gameStatus: getGameStatus(feedback, packId)
+      });
+    }
+
+    const statusBefore = getGameStatus(feedback, packId);
+    if (statusBefore === 'won' || statusBefore === 'lost') {
+      return res.status(409).json({ error: 'Game already completed', gameStatus: statusBefore });
+    }
+
+    // Another guild's club player
+    const inGuild = await isPlayerInGuild(supabase, playerId, session.guild_id);
+    if (inGuild === null) {
+      return res.status(500).json({ error: 'Failed to check player' });
+    }
+    if (!inGuild) {
+      return res.status(400).json({ error: 'Unknown player' });
+    }
+
+    const guessFeedback = await checkGuess(supabase, dailyPuzzle.puzzle_id, playerId);
+    if (!guessFeedback) {
+      return res.status(400).json({ error: 'Unknown player' });
+    }
+
+    const hardMode = recorded.length > 0 ? isHardModeGame(recorded) : req.body.hardMode === true;
+    const violation = hardMode && getHardModeViolation(guessFeedback, feedback);
+    if (violation) {
+      return res.status(400).json({ error: violation, hardMode: true });
+    }
+
+    const { error: insertError } = await supabase
+      .from('puzzle_guesses')
+      .insert([{
+        discord_user_id: session.sub,
+        pack_id: packId,
+        puzzle_date: puzzleDate,
+        puzzle_id: dailyPuzzle.puzzle_id,
+        guess_number: recorded.length + 1,
+        player_id: playerId,
+        feedback: guessFeedback,
+        hard_mode: hardMode
+      }]);
+
+    if (insertError) {
+      // Unique constraint: another request recorded this guess slot first
+      console.error('Error recording guess:', insertError);
+      return res.status(409).json({ error: 'Guess could not be recorded' });
+    }
+
+    return res.status(200).json({
+      feedback: guessFeedback,
+      gameStatus: getGameStatus([...feedback, guessFeedback], packId)
+    });
+
+  } catch (error) {
+    console.error('Guess error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Vercel Serverless Function: Guild Puzzles
+ *
+ * Lets server admins (Administrator or Manage Server, checked when the session
+ * was minted) schedule puzzles from their own matches. They are played in the
+ * guild's own pack with its own leaderboard (see _lib/guildPuzzles.js).
+ *
+ * GET                         -> { puzzles, players }
+ * POST { puzzleDate, venue, result, matchContext, teams, motm }
+ *                             -> { puzzle }
+ * DELETE ?puzzleDate=YYYY-MM-DD -> { success }
+ *
+ * Dates run from the guild's today to GUILD_PUZZLE_MAX_DAYS_AHEAD days out. A
+ * future date that already has a puzzle is replaced; today's can't be once it exists.
+ */
+
+import { handleCors, isValidDate } from './_lib/http.js';
+import { getSession } from './_lib/session.js';
+import { getSupabaseAdmin } from './_lib/supabaseAdmin.js';
+import { getGuildSettings } from './_lib/guildSettings.js';
+import { getDailyPuzzle } from './_lib/puzzles.js';
+import {
+  getGuildPlayers,
+  listGuildPuzzles,
+  validateGuildPuzzle,
+  saveGuildPuzzle,
+  deleteGuildPuzzle
+} from './_lib/guildPuzzles.js';
+import { getToday } from '../src/utils/dailyPuzzle.js';
+import { getGuildPackId } from '../src/utils/packs.js';
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, ['GET', 'POST', 'DELETE'])) return;
+
+  try {
+    const session = getSession(req);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+
+    if (!session.guild_id || !session.manage_guild) {
+      return res.status(403).json({ error: 'Only server admins can manage server puzzles' });
+    }
+
+    const supabase = getSupabaseAdmin();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    const guildId = session.guild_id;
+    const { timeZone } = await getGuildSettings(supabase, guildId);
+    const today = getToday(timeZone);
+
+    if (req.method === 'GET') {
+      const [puzzles, players] = await Promise.all([
+        listGuildPuzzles(supabase, guildId),
+        getGuildPlayers(supabase, guildId)
+      ]);
+      if (!puzzles || !players) {
+        return res.status(500).json({ error: 'Failed to load server puzzles' });
+      }
+      return res.status(200).json({ puzzles, players });
+    }
+
+    if (req.method === 'DELETE') {
+      const { puzzleDate } = req.query;
+      if (!isValidDate(puzzleDate) || puzzleDate <= today) {
+        return res.status(400).json({ error: 'Only future puzzles can be removed' });
+      }
+      const removed = await deleteGuildPuzzle(supabase, guildId, puzzleDate);
+      if (!removed) {
+        return res.status(404).json({ error: 'Puzzle not found' });
+      }
+      return res.status(200).json({ success: true });
+    }
+
+    const guildPlayers = await getGuildPlayers(supabase, guildId);
+    if (!guildPlayers) {
+      return res.status(500).json({ error: 'Failed to load server players' });
+    }
+
+    const puzzle = validateGuildPuzzle(req.body, { guildId, today, guildPlayers });
+    if (puzzle.error) {
+      return res.status(400).json({ error: puzzle.error });
+    }
+
+    // Players may already be guessing today's puzzle
+    const existing = await getDailyPuzzle(supabase, getGuildPackId(guildId), puzzle.puzzleDate);
+    if (existing) {
+      if (puzzle.puzzleDate <= today) {
+        return res.status(409).json({ error: "Today's server puzzle is already live" });
+      }
+      if (!(await deleteGuildPuzzle(supabase, guildId, puzzle.puzzleDate))) {
+        return res.status(500).json({ error: 'Failed to replace puzzle' });
+      }
+    }
+
+    const saved = await saveGuildPuzzle(supabase, guildId, session.sub, puzzle);
+    if (!saved) {
+      return res.status(500).json({ error: 'Failed to save puzzle' });
+    }
+
+    return res.status(200).json({ puzzle: saved });
+
+  } catch (error) {
+    console.error('Guild puzzles error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
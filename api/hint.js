@@ -0,0 +1,101 @@
+/**
+ * Vercel Serverless Function: Daily Hints
+ *
+ * Unlocks the next hint for today's puzzle (see src/utils/hints.js) and records
+ * it against the caller's session identity, so /api/leaderboard can apply the
+ * hint penalty. Unlocked hints are returned with the game by GET /api/guess.
+ *
+ * POST { puzzleDate, packId } -> { hints }
+ */
+
+import { handleCors, isValidDate, getPackId } from './_lib/http.js';
+import { getSession } from './_lib/session.js';
+import { getSupabaseAdmin } from './_lib/supabaseAdmin.js';
+import {
+  getDailyPuzzle,
+  getRecordedGuesses,
+  getGameStatus,
+  getRecordedHints,
+  getPuzzleHints
+} from './_lib/puzzles.js';
+import { getGuildSettings, isPackAvailable } from './_lib/guildSettings.js';
+import { getToday } from '../src/utils/dailyPuzzle.js';
+import { MAX_HINTS } from '../src/utils/hints.js';
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, ['POST'])) return;
+
+  try {
+    const session = getSession(req);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+
+    const supabase = getSupabaseAdmin();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    const settings = await getGuildSettings(supabase, session.guild_id);
+
+    const packId = getPackId(req.body?.packId);
+    if (!packId || !isPackAvailable(settings, session.guild_id, packId)) {
+      return res.status(400).json({ error: 'Puzzle pack not available' });
+    }
+
+    // Hints can only be recorded for today's puzzle
+    const { puzzleDate } = req.body;
+    if (!isValidDate(puzzleDate) || puzzleDate !== getToday(settings.timeZone)) {
+      return res.status(400).json({ error: 'Hints can only be used on today\'s puzzle' });
+    }
+
+    const dailyPuzzle = await getDailyPuzzle(supabase, packId, puzzleDate);
+    if (!dailyPuzzle) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+
+    const recorded = await getRecordedGuesses(supabase, session.sub, packId, puzzleDate);
+    const recordedHints = await getRecordedHints(supabase, session.sub, packId, puzzleDate);
+    if (!recorded || !recordedHints) {
+      return res.status(500).json({ error: 'Failed to load game' });
+    }
+
+    const gameStatus = getGameStatus(recorded.map(guess => guess.feedback), packId);
+    if (gameStatus === 'won' || gameStatus === 'lost') {
+      return res.status(409).json({ error: 'Game already completed', gameStatus });
+    }
+
+    // Puzzles whose teams aren't known offer one hint fewer
+    const available = await getPuzzleHints(supabase, dailyPuzzle.puzzle_id, MAX_HINTS);
+    if (!available) {
+      return res.status(500).json({ error: 'Failed to load hints' });
+    }
+
+    const hintsUsed = recordedHints.length;
+    if (hintsUsed >= available.length) {
+      return res.status(409).json({ error: 'No hints left' });
+    }
+
+    const { error: insertError } = await supabase
+      .from('puzzle_hints')
+      .insert([{
+        discord_user_id: session.sub,
+        pack_id: packId,
+        puzzle_date: puzzleDate,
+        puzzle_id: dailyPuzzle.puzzle_id,
+        hint_number: hintsUsed + 1
+      }]);
+
+    if (insertError) {
+      // Unique constraint: another request unlocked this hint first
+      console.error('Error recording hint:', insertError);
+      return res.status(409).json({ error: 'Hint could not be recorded' });
+    }
+
+    return res.status(200).json({ hints: available.slice(0, hintsUsed + 1) });
+
+  } catch (error) {
+    console.error('Hint error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
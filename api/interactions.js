@@ -0,0 +1,412 @@
+/**
+ * Vercel Serverless Function: Discord Slash Commands
+ *
+ * Interactions endpoint for the /bowldem command, so standings can be checked
+ * without launching the activity. Register the command with
+ * `npm run register:commands`.
+ *
+ * /bowldem today [pack]              -> today's standings for this server + your grid
+ * /bowldem stats [user] [pack]       -> a player's record and today's grid
+ * /bowldem leaderboard [pack]        -> all-time standings for this server
+ * /bowldem timezone [zone]           -> show or set when this server's puzzle resets
+ * /bowldem packs [enable] [disable]  -> show or change the packs this server plays
+ * /bowldem sharing [enabled]         -> show or set whether results can be posted here
+ * /bowldem announce [channel] [role] [enabled] -> show or set where new puzzles are announced
+ *
+ * `pack` defaults to the first pack enabled in the server.
+ *
+ * Also answers the "Play Bowldem" button on results posted by /api/share.
+ *
+ * Set the Interactions Endpoint URL in the Developer Portal to /api/interactions.
+ */
+
+import { handleCors } from './_lib/http.js';
+import {
+  readRawBody,
+  verifyDiscordRequest,
+  InteractionType,
+  InteractionResponseType,
+  EPHEMERAL_FLAG
+} from './_lib/discordInteractions.js';
+import { getSupabaseAdmin } from './_lib/supabaseAdmin.js';
+import { getDailyPuzzle, getRecordedGuesses, getGameStatus, isHardModeGame, getRecordedHints } from './_lib/puzzles.js';
+import { getUserStats } from './_lib/stats.js';
+import { hasManageGuildPermission } from './_lib/discordAuth.js';
+import {
+  getGuildSettings,
+  setGuildTimeZone,
+  setGuildPacks,
+  setGuildChannelSharing,
+  setGuildAnnouncements
+} from './_lib/guildSettings.js';
+import { LAUNCH_ACTIVITY_ID, isPingOnlyRole, postChannelMessage } from './_lib/discordBot.js';
+import { queryPuzzleLeaderboard, queryAllTimeLeaderboard } from '../src/lib/leaderboardQueries.js';
+import { generateShareText } from '../src/utils/shareText.js';
+import { getToday, getPuzzleNumber, isValidTimeZone, getMaxGuesses } from '../src/utils/dailyPuzzle.js';
+import { DEFAULT_PACK_ID, PACKS, getPack } from '../src/utils/packs.js';
+import { getEntryPoints } from '../src/utils/scoring.js';
+
+// Brand blue used across the activity
+const EMBED_COLOR = 0x1e3a8a;
+
+// Rows shown in leaderboard embeds
+const LEADERBOARD_LIMIT = 10;
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, ['POST'])) return;
+
+  try {
+    const rawBody = await readRawBody(req);
+    const isValid = verifyDiscordRequest(
+      rawBody,
+      req.headers['x-signature-ed25519'],
+      req.headers['x-signature-timestamp'],
+      process.env.DISCORD_PUBLIC_KEY
+    );
+
+    if (!isValid) {
+      return res.status(401).json({ error: 'Invalid request signature' });
+    }
+
+    const interaction = JSON.parse(rawBody);
+
+    if (interaction.type === InteractionType.PING) {
+      return res.status(200).json({ type: InteractionResponseType.PONG });
+    }
+
+    // Opens the activity from a shared result
+    if (interaction.type === InteractionType.MESSAGE_COMPONENT && interaction.data?.custom_id === LAUNCH_ACTIVITY_ID) {
+      return res.status(200).json({ type: InteractionResponseType.LAUNCH_ACTIVITY });
+    }
+
+    if (interaction.type !== InteractionType.APPLICATION_COMMAND || interaction.data?.name !== 'bowldem') {
+      return res.status(400).json({ error: 'Unknown interaction' });
+    }
+
+    const supabase = getSupabaseAdmin();
+    if (!supabase) {
+      return res.status(200).json(reply('Bowldem is not configured yet.', true));
+    }
+
+    const subcommand = interaction.data.options?.[0];
+    const guildId = interaction.guild_id || null;
+    const invoker = interaction.member?.user || interaction.user;
+    const getOption = name => subcommand?.options?.find(option => option.name === name)?.value;
+    const settings = await getGuildSettings(supabase, guildId);
+    const today = getToday(settings.timeZone);
+
+    const packId = getOption('pack') || settings.packs[0];
+    if (!settings.packs.includes(packId)) {
+      return res.status(200).json(reply(`**${getPack(packId).name}** isn't played in this server. See \`/bowldem packs\`.`, true));
+    }
+
+    let message;
+    switch (subcommand?.name) {
+      case 'today':
+        message = await todayCommand(supabase, guildId, invoker, packId, today);
+        break;
+      case 'stats': {
+        const targetId = getOption('user');
+        const target = targetId
+          ? interaction.data.resolved?.users?.[targetId] || { id: targetId, username: 'Unknown' }
+          : invoker;
+        message = await statsCommand(supabase, target, packId, today);
+        break;
+      }
+      case 'leaderboard':
+        message = await leaderboardCommand(supabase, guildId, packId);
+        break;
+      case 'timezone':
+        message = await timezoneCommand(supabase, guildId, interaction.member, getOption('zone'), settings.timeZone);
+        break;
+      case 'packs':
+        message = await packsCommand(supabase, guildId, interaction.member, settings.packs, {
+          enable: getOption('enable'),
+          disable: getOption('disable')
+        });
+        break;
+      case 'sharing':
+        message = await sharingCommand(supabase, guildId, interaction.member, getOption('enabled'), settings.channelSharing);
+        break;
+      case 'announce':
+        message = await announceCommand(supabase, guildId, interaction.member, settings, {
+          channel: getOption('channel'),
+          role: getOption('role'),
+          enabled: getOption('enabled'),
+          resolvedRoles: interaction.data.resolved?.roles
+        });
+        break;
+      default:
+        message = reply('Unknown command.', true);
+    }
+
+    return res.status(200).json(message);
+
+  } catch (error) {
+    console.error('Interaction error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Build an interaction response
+ * @param {string|Object} content - Plain text or an embed
+ * @param {boolean} ephemeral - Only show the reply to the invoking user
+ */
+function reply(content, ephemeral = false) {
+  const data = typeof content === 'string' ? { content } : { embeds: [content] };
+  if (ephemeral) data.flags = EPHEMERAL_FLAG;
+  return { type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE, data };
+}
+
+function formatScore(entry, packId) {
+  const maxGuesses = getMaxGuesses(packId);
+  let score = entry.won ? `${entry.guesses_used}/${maxGuesses}` : `X/${maxGuesses}`;
+  if (entry.hints_used > 0) score += ` 💡${entry.hints_used}`;
+  if (entry.hard_mode) score += ' (hard)';
+  return `${score} · ${getEntryPoints(entry)} pts`;
+}
+
+/**
+ * Pack name for embed titles (the default pack isn't named)
+ */
+function formatPack(packId) {
+  return packId === DEFAULT_PACK_ID ? '' : ` · ${getPack(packId).name}`;
+}
+
+/**
+ * Get the share text for a user's finished game today, or null if unfinished
+ */
+async function getTodayShareText(supabase, discordUserId, packId, today, currentStreak) {
+  const recorded = await getRecordedGuesses(supabase, discordUserId, packId, today) || [];
+  const feedback = recorded.map(guess => guess.feedback);
+  const gameStatus = getGameStatus(feedback, packId);
+
+  if (gameStatus !== 'won' && gameStatus !== 'lost') return null;
+  const recordedHints = await getRecordedHints(supabase, discordUserId, packId, today) || [];
+  return generateShareText(getPuzzleNumber(today), feedback, currentStreak, packId, {
+    hardMode: isHardModeGame(recorded),
+    hintsUsed: recordedHints.length
+  });
+}
+
+async function todayCommand(supabase, guildId, invoker, packId, today) {
+  const dailyPuzzle = await getDailyPuzzle(supabase, packId, today);
+  if (!dailyPuzzle) {
+    return reply(`No ${getPack(packId).name} puzzle is scheduled for today.`, true);
+  }
+
+  const entries = await queryPuzzleLeaderboard(supabase, packId, today, guildId);
+  const standings = entries
+    .filter(entry => entry.discord_user_id)
+    .slice(0, LEADERBOARD_LIMIT)
+    .map((entry, index) => `${index + 1}. **${entry.discord_username}** — ${formatScore(entry, packId)}`);
+
+  const shareText = await getTodayShareText(supabase, invoker.id, packId, today);
+
+  return reply({
+    title: `🏏 Bowldem #${dailyPuzzle.puzzle_number}${formatPack(packId)}`,
+    color: EMBED_COLOR,
+    description: standings.length > 0
+      ? standings.join('\n')
+      : 'Nobody has finished today\'s puzzle yet.',
+    fields: [{
+      name: 'Your game',
+      value: shareText || 'Not finished yet — launch the activity to play!'
+    }]
+  });
+}
+
+async function statsCommand(supabase, target, packId, today) {
+  // Same numbers the activity's stats modal shows
+  const stats = await getUserStats(supabase, target.id, packId);
+  if (!stats) {
+    return reply('Could not load stats right now.', true);
+  }
+
+  if (stats.gamesPlayed === 0) {
+    return reply(`**${target.username}** hasn't played Bowldem${formatPack(packId)} yet.`, true);
+  }
+
+  const winRate = Math.round((stats.gamesWon / stats.gamesPlayed) * 100);
+  const distribution = stats.guessDistribution
+    .map((count, index) => `${index + 1}: ${count}`)
+    .join(' · ');
+  const shareText = await getTodayShareText(supabase, target.id, packId, today, stats.currentStreak);
+
+  const fields = [
+    { name: 'Played', value: String(stats.gamesPlayed), inline: true },
+    { name: 'Win %', value: `${winRate}%`, inline: true },
+    { name: 'Streak', value: stats.currentStreak > 0 ? `🔥 ${stats.currentStreak}` : '0', inline: true },
+    { name: 'Max streak', value: String(stats.maxStreak), inline: true },
+    { name: 'Guess distribution', value: distribution }
+  ];
+
+  if (stats.hardModeWins > 0) {
+    fields.splice(4, 0, { name: 'Hard mode wins', value: String(stats.hardModeWins), inline: true });
+  }
+
+  if (shareText) {
+    fields.push({ name: 'Today', value: shareText });
+  }
+
+  return reply({
+    title: `📊 ${target.username}'s Bowldem stats${formatPack(packId)}`,
+    color: EMBED_COLOR,
+    fields
+  });
+}
+
+async function leaderboardCommand(supabase, guildId, packId) {
+  const players = await queryAllTimeLeaderboard(supabase, packId, guildId, { limit: LEADERBOARD_LIMIT });
+  const standings = players
+    .map(player => {
+      const avg = player.avg_guesses !== null ? ` · avg ${Number(player.avg_guesses).toFixed(1)}` : '';
+      const streak = player.current_streak > 1 ? ` · 🔥${player.current_streak}` : '';
+      return `${player.rank}. **${player.discord_username}** — ${player.total_points} pts · ${player.total_wins} wins / ${player.games_played} played${avg}${streak}`;
+    });
+
+  return reply({
+    title: (guildId ? '🏆 All-time leaderboard (this server)' : '🏆 All-time leaderboard') + formatPack(packId),
+    color: EMBED_COLOR,
+    description: standings.length > 0 ? standings.join('\n') : 'No results yet.'
+  });
+}
+
+function canManageGuild(member) {
+  return hasManageGuildPermission(member?.permissions);
+}
+
+async function timezoneCommand(supabase, guildId, member, zone, current) {
+  if (!guildId) {
+    return reply('Outside a server the puzzle resets at midnight UTC.', true);
+  }
+
+  if (!zone) {
+    return reply(`The daily puzzle resets at midnight **${current}** in this server.`, true);
+  }
+
+  if (!canManageGuild(member)) {
+    return reply('You need the Manage Server permission to change the reset time zone.', true);
+  }
+
+  if (!isValidTimeZone(zone)) {
+    return reply(`**${zone}** isn't a time zone I know. Use an IANA name like \`Asia/Kolkata\` or \`Europe/London\`.`, true);
+  }
+
+  const saved = await setGuildTimeZone(supabase, guildId, zone);
+  if (!saved) {
+    return reply('Could not save the time zone right now.', true);
+  }
+
+  return reply(`The daily puzzle now resets at midnight **${zone}** (today here is ${getToday(zone)}).`);
+}
+
+async function packsCommand(supabase, guildId, member, enabled, { enable, disable }) {
+  if (!guildId) {
+    return reply(`Outside a server only **${getPack(DEFAULT_PACK_ID).name}** is played.`, true);
+  }
+
+  if (!enable && !disable) {
+    const lines = PACKS.map(pack => `${enabled.includes(pack.id) ? '✅' : '▫️'} **${pack.name}** (${pack.maxGuesses} guesses)`);
+    return reply({
+      title: '🏏 Puzzle packs in this server',
+      color: EMBED_COLOR,
+      description: lines.join('\n')
+    }, true);
+  }
+
+  if (!canManageGuild(member)) {
+    return reply('You need the Manage Server permission to change the puzzle packs.', true);
+  }
+
+  const packs = [...enabled, ...(enable ? [enable] : [])].filter(id => id !== disable);
+  if (packs.length === 0) {
+    return reply('A server needs at least one puzzle pack.', true);
+  }
+
+  const saved = await setGuildPacks(supabase, guildId, packs);
+  if (!saved) {
+    return reply('Could not save the puzzle packs right now.', true);
+  }
+
+  const names = PACKS.filter(pack => packs.includes(pack.id)).map(pack => pack.name);
+  return reply(`This server now plays **${names.join('**, **')}**.`);
+}
+
+async function sharingCommand(supabase, guildId, member, enabled, current) {
+  if (!guildId) {
+    return reply('Results can only be shared to a server channel.', true);
+  }
+
+  if (enabled === undefined) {
+    return reply(current
+      ? 'Players can post their results to the channel they play in.'
+      : 'Posting results to channels is turned off in this server.', true);
+  }
+
+  if (!canManageGuild(member)) {
+    return reply('You need the Manage Server permission to change result sharing.', true);
+  }
+
+  const saved = await setGuildChannelSharing(supabase, guildId, enabled);
+  if (!saved) {
+    return reply('Could not save the sharing setting right now.', true);
+  }
+
+  return reply(enabled
+    ? 'Players can now post their results to the channel they play in.'
+    : 'Posting results to channels is now turned off in this server.');
+}
+
+async function announceCommand(supabase, guildId, member, settings, { channel, role, enabled, resolvedRoles }) {
+  if (!guildId) {
+    return reply('New puzzles can only be announced in a server.', true);
+  }
+
+  if (!channel && !role && enabled === undefined) {
+    if (!settings.announceChannelId) {
+      return reply('New puzzles aren\'t announced in this server. Set a channel with `/bowldem announce channel:`.', true);
+    }
+    const ping = settings.reminderRoleId ? `, pinging <@&${settings.reminderRoleId}>` : '';
+    return reply(`New puzzles are announced in <#${settings.announceChannelId}>${ping}.`, true);
+  }
+
+  if (!canManageGuild(member)) {
+    return reply('You need the Manage Server permission to change announcements.', true);
+  }
+
+  if (enabled === false) {
+    const saved = await setGuildAnnouncements(supabase, guildId, null);
+    return saved
+      ? reply('New puzzles are no longer announced in this server.')
+      : reply('Could not save the announcement settings right now.', true);
+  }
+
+  const channelId = channel || settings.announceChannelId;
+  if (!channelId) {
+    return reply('Pick a channel to announce new puzzles in.', true);
+  }
+
+  // Anyone can join the role with "Notify Me", so it mustn't grant anything
+  if (role && !isPingOnlyRole(resolvedRoles?.[role], guildId)) {
+    return reply('Pick a role with no permissions that isn\'t managed by a bot or integration. Anyone can join it with "Notify Me".', true);
+  }
+
+  // Check the bot can post in a new channel now rather than failing every hour
+  if (channel && channel !== settings.announceChannelId) {
+    const posted = await postChannelMessage(channel, { content: '🏏 New Bowldem puzzles will be announced here.' });
+    if (!posted) {
+      return reply(`Bowldem can't post in <#${channel}>. Give the bot View Channel and Send Messages there and try again.`, true);
+    }
+  }
+
+  const saved = await setGuildAnnouncements(supabase, guildId, channelId, role);
+  if (!saved) {
+    return reply('Could not save the announcement settings right now.', true);
+  }
+
+  const roleId = role || settings.reminderRoleId;
+  const ping = roleId ? `, pinging <@&${roleId}> (players join it with "Notify Me" in the activity)` : '';
+  return reply(`New puzzles will be announced in <#${channelId}>${ping}.`);
+}
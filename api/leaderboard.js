@@ -0,0 +1,128 @@
+/**
+ * Vercel Serverless Function: Leaderboard Submission
+ *
+ * Writes a leaderboard entry for the caller. The client only says which puzzle;
+ * identity and guild come from the signed session and the result comes from
+ * replaying the guesses recorded by /api/guess against the puzzle, plus the
+ * hints unlocked through /api/hint. Points (src/utils/scoring.js) are worked
+ * out here and stored with the entry.
+ *
+ * POST { puzzleDate, packId } -> { success, data } | { error, duplicate? }
+ */
+
+import { handleCors, isValidDate, getPackId } from './_lib/http.js';
+import { getSession } from './_lib/session.js';
+import { getSupabaseAdmin } from './_lib/supabaseAdmin.js';
+import {
+  getDailyPuzzle,
+  getRecordedGuesses,
+  replayGuesses,
+  getRecordedHints,
+  getSolveSeconds
+} from './_lib/puzzles.js';
+import { getGuildSettings, isPackAvailable } from './_lib/guildSettings.js';
+import { calculatePoints } from '../src/utils/scoring.js';
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, ['POST'])) return;
+
+  try {
+    const session = getSession(req);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+
+    const { puzzleDate } = req.body || {};
+    if (!isValidDate(puzzleDate)) {
+      return res.status(400).json({ error: 'Invalid puzzle date' });
+    }
+
+    const supabase = getSupabaseAdmin();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    const packId = getPackId(req.body.packId);
+    const settings = await getGuildSettings(supabase, session.guild_id);
+    if (!packId || !isPackAvailable(settings, session.guild_id, packId)) {
+      return res.status(400).json({ error: 'Puzzle pack not available' });
+    }
+
+    const dailyPuzzle = await getDailyPuzzle(supabase, packId, puzzleDate);
+    if (!dailyPuzzle) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+
+    // Check if Discord user already submitted for this puzzle
+    const { data: existing } = await supabase
+      .from('leaderboard_entries')
+      .select('id')
+      .eq('pack_id', packId)
+      .eq('puzzle_date', puzzleDate)
+      .eq('discord_user_id', session.sub)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json({ error: 'Already submitted for this puzzle', duplicate: true });
+    }
+
+    // Replay the recorded guesses to get the result
+    const recorded = await getRecordedGuesses(supabase, session.sub, packId, puzzleDate);
+    const result = recorded && await replayGuesses(supabase, dailyPuzzle, recorded);
+    if (!result) {
+      return res.status(500).json({ error: 'Failed to verify guesses' });
+    }
+
+    if (result.gameStatus !== 'won' && result.gameStatus !== 'lost') {
+      return res.status(409).json({ error: 'Game not finished' });
+    }
+
+    const recordedHints = await getRecordedHints(supabase, session.sub, packId, puzzleDate);
+    if (!recordedHints) {
+      return res.status(500).json({ error: 'Failed to verify hints' });
+    }
+
+    const solveSeconds = getSolveSeconds(recorded, recordedHints);
+    const points = calculatePoints({
+      won: result.won,
+      guessesUsed: result.guessesUsed,
+      packId,
+      hintsUsed: recordedHints.length,
+      hardMode: result.hardMode,
+      solveSeconds
+    });
+
+    const { data, error } = await supabase
+      .from('leaderboard_entries')
+      .insert([{
+        pack_id: packId,
+        puzzle_date: puzzleDate,
+        puzzle_number: dailyPuzzle.puzzle_number,
+        discord_user_id: session.sub,
+        discord_username: session.username,
+        discord_avatar: session.avatar,
+        guild_id: session.guild_id,
+        display_name: session.username, // For backwards compatibility
+        guesses_used: result.guessesUsed,
+        won: result.won,
+        hard_mode: result.hardMode,
+        hints_used: recordedHints.length,
+        points,
+        solve_seconds: solveSeconds,
+        is_seed: false
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error submitting leaderboard entry:', error);
+      return res.status(500).json({ error: 'Failed to submit entry' });
+    }
+
+    return res.status(200).json({ success: true, data });
+
+  } catch (error) {
+    console.error('Leaderboard submission error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
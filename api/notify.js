@@ -0,0 +1,74 @@
+/**
+ * Vercel Serverless Function: Puzzle Reminders
+ *
+ * "Notify Me" in the activity gives the caller the guild's reminder role, which
+ * the daily announcement pings (see _lib/announcements.js). Server admins pick
+ * the role with /bowldem announce; it's only handed out while it has no
+ * permissions and isn't managed.
+ *
+ * GET    -> { subscribed }
+ * POST   -> { subscribed: true }
+ * DELETE -> { subscribed: false }
+ */
+
+import { handleCors } from './_lib/http.js';
+import { getSession } from './_lib/session.js';
+import { getSupabaseAdmin } from './_lib/supabaseAdmin.js';
+import { getGuildSettings } from './_lib/guildSettings.js';
+import { hasBotToken, getGuildMember, getGuildRoles, isPingOnlyRole, setMemberRole } from './_lib/discordBot.js';
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, ['GET', 'POST', 'DELETE'])) return;
+
+  try {
+    const session = getSession(req);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+
+    if (!session.guild_id) {
+      return res.status(400).json({ error: 'Reminders are only available in a server' });
+    }
+
+    const supabase = getSupabaseAdmin();
+    if (!supabase || !hasBotToken()) {
+      return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    const { announceChannelId, reminderRoleId } = await getGuildSettings(supabase, session.guild_id);
+    if (!announceChannelId || !reminderRoleId) {
+      return res.status(404).json({ error: 'This server doesn\'t have puzzle reminders set up' });
+    }
+
+    if (req.method === 'GET') {
+      const member = await getGuildMember(session.guild_id, session.sub);
+      if (!member) {
+        return res.status(502).json({ error: 'Could not load your reminders' });
+      }
+      return res.status(200).json({ subscribed: member.roles.includes(reminderRoleId) });
+    }
+
+    const subscribe = req.method === 'POST';
+    if (subscribe) {
+      // The role may have been given permissions since it was picked
+      const roles = await getGuildRoles(session.guild_id);
+      if (!roles) {
+        return res.status(502).json({ error: 'Could not update your reminders' });
+      }
+      if (!isPingOnlyRole(roles.find(r => r.id === reminderRoleId), session.guild_id)) {
+        return res.status(409).json({ error: 'This server\'s reminder role can\'t be joined from the activity' });
+      }
+    }
+
+    const changed = await setMemberRole(session.guild_id, session.sub, reminderRoleId, subscribe);
+    if (!changed) {
+      return res.status(502).json({ error: 'Could not update your reminders' });
+    }
+
+    return res.status(200).json({ subscribed: subscribe });
+
+  } catch (error) {
+    console.error('Notify error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
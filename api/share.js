@@ -0,0 +1,124 @@
+/**
+ * Vercel Serverless Function: Share to Channel
+ *
+ * Posts the caller's finished game for today into the channel the activity was
+ * launched from, as the bot, with a button that opens the activity. The channel
+ * comes from the session (checked with Discord by /api/token), never the client. The grid is
+ * built from the recorded guesses, so it can't be faked. Each game is posted at
+ * most once, and servers can turn this off with /bowldem sharing.
+ *
+ * POST { puzzleDate, packId } -> { messageId } | { error, duplicate? }
+ */
+
+import { handleCors, isValidDate, getPackId } from './_lib/http.js';
+import { getSession } from './_lib/session.js';
+import { getSupabaseAdmin } from './_lib/supabaseAdmin.js';
+import { getDailyPuzzle, getRecordedGuesses, getRecordedHints, getGameStatus, isHardModeGame } from './_lib/puzzles.js';
+import { getUserStats } from './_lib/stats.js';
+import { getGuildSettings, isPackAvailable } from './_lib/guildSettings.js';
+import { hasBotToken, postChannelMessage, getLaunchButtonRow } from './_lib/discordBot.js';
+import { generateShareText } from '../src/utils/shareText.js';
+import { getToday } from '../src/utils/dailyPuzzle.js';
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, ['POST'])) return;
+
+  try {
+    const session = getSession(req);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+
+    const channelId = session.channel_id;
+    if (!session.guild_id || !channelId) {
+      return res.status(400).json({ error: 'Results can only be shared to a server channel' });
+    }
+
+    const supabase = getSupabaseAdmin();
+    if (!supabase || !hasBotToken()) {
+      return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    const settings = await getGuildSettings(supabase, session.guild_id);
+    if (!settings.channelSharing) {
+      return res.status(403).json({ error: 'Sharing to channels is turned off in this server' });
+    }
+
+    const packId = getPackId(req.body?.packId);
+    if (!packId || !isPackAvailable(settings, session.guild_id, packId)) {
+      return res.status(400).json({ error: 'Puzzle pack not available' });
+    }
+
+    const { puzzleDate } = req.body;
+    if (!isValidDate(puzzleDate) || puzzleDate !== getToday(settings.timeZone)) {
+      return res.status(400).json({ error: 'Only today\'s game can be shared' });
+    }
+
+    const dailyPuzzle = await getDailyPuzzle(supabase, packId, puzzleDate);
+    if (!dailyPuzzle) {
+      return res.status(404).json({ error: 'Puzzle not found' });
+    }
+
+    const recorded = await getRecordedGuesses(supabase, session.sub, packId, puzzleDate);
+    const recordedHints = await getRecordedHints(supabase, session.sub, packId, puzzleDate);
+    if (!recorded || !recordedHints) {
+      return res.status(500).json({ error: 'Failed to load game' });
+    }
+
+    const feedback = recorded.map(guess => guess.feedback);
+    const gameStatus = getGameStatus(feedback, packId);
+    if (gameStatus !== 'won' && gameStatus !== 'lost') {
+      return res.status(409).json({ error: 'Finish the puzzle before sharing it' });
+    }
+
+    // Claim the share first, so a double click can't post twice
+    const { error: insertError } = await supabase
+      .from('channel_shares')
+      .insert([{
+        discord_user_id: session.sub,
+        pack_id: packId,
+        puzzle_date: puzzleDate,
+        guild_id: session.guild_id,
+        channel_id: channelId
+      }]);
+
+    if (insertError) {
+      return res.status(409).json({ error: 'Already shared', duplicate: true });
+    }
+
+    const stats = await getUserStats(supabase, session.sub, packId);
+    const shareText = generateShareText(dailyPuzzle.puzzle_number, feedback, stats?.currentStreak || 0, packId, {
+      hardMode: isHardModeGame(recorded),
+      hintsUsed: recordedHints.length
+    });
+
+    const message = await postChannelMessage(channelId, {
+      content: `<@${session.sub}> ${gameStatus === 'won' ? 'solved' : 'played'} today's Bowldem\n\n${shareText}`,
+      components: [getLaunchButtonRow()]
+    });
+
+    if (!message) {
+      // Let them try again
+      await supabase
+        .from('channel_shares')
+        .delete()
+        .eq('discord_user_id', session.sub)
+        .eq('pack_id', packId)
+        .eq('puzzle_date', puzzleDate);
+      return res.status(502).json({ error: 'Could not post to the channel' });
+    }
+
+    await supabase
+      .from('channel_shares')
+      .update({ message_id: message.id })
+      .eq('discord_user_id', session.sub)
+      .eq('pack_id', packId)
+      .eq('puzzle_date', puzzleDate);
+
+    return res.status(200).json({ messageId: message.id });
+
+  } catch (error) {
+    console.error('Share error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
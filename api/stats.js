@@ -0,0 +1,48 @@
+/**
+ * Vercel Serverless Function: Player Stats
+ *
+ * Keeps stats and streaks the same on every device. The server rebuilds them
+ * from the games it recorded (see _lib/stats.js); each device merges the result
+ * into its local copy. Devices can't send stats, so they can't be forged.
+ *
+ * GET ?packId= -> { stats }
+ *
+ * Stats are per puzzle pack; `packId` defaults to the default pack.
+ */
+
+import { handleCors, getPackId } from './_lib/http.js';
+import { getSession } from './_lib/session.js';
+import { getSupabaseAdmin } from './_lib/supabaseAdmin.js';
+import { getUserStats } from './_lib/stats.js';
+
+export default async function handler(req, res) {
+  if (handleCors(req, res, ['GET'])) return;
+
+  try {
+    const session = getSession(req);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+
+    const supabase = getSupabaseAdmin();
+    if (!supabase) {
+      return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    const packId = getPackId(req.query.packId);
+    if (!packId) {
+      return res.status(400).json({ error: 'Unknown puzzle pack' });
+    }
+
+    const stats = await getUserStats(supabase, session.sub, packId);
+    if (!stats) {
+      return res.status(500).json({ error: 'Failed to load stats' });
+    }
+
+    return res.status(200).json({ stats });
+
+  } catch (error) {
+    console.error('Stats error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -3,65 +3,116 @@
  *
  * Exchanges Discord authorization code for access token.
  * The client_secret is kept server-side only for security.
+ *
+ * Also resolves the Discord user and mints a short-lived signed app session
+ * (see _lib/session.js) holding the user id, guild id and, when Discord confirms
+ * the user is in the activity instance, the channel it's running in.
+ *
+ * POST { code, guildId?, instanceId? }         -> initial exchange
+ * POST { access_token, guildId?, instanceId? } -> refresh the app session with an existing Discord token
+ *
+ * Response: { access_token, expires_in, session_token, session_expires_in, time_zone, packs,
+ *   can_manage_guild, channel_sharing, reminders }
+ *
+ * `time_zone` is the guild's puzzle reset time zone (UTC outside a guild) and
+ * `packs` the puzzle pack ids the guild plays (the default pack outside a guild),
+ * plus the guild's own pack once its admins have scheduled a puzzle.
+ * `can_manage_guild` unlocks the server puzzle editor (api/guild-puzzles.js) and
+ * `channel_sharing` whether results can be posted to that channel (api/share.js)
+ * and `reminders` whether the guild has a role pinged for new puzzles (api/notify.js).
  */
 
-export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-  // Handle preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+import { handleCors } from './_lib/http.js';
+import { getDiscordUser, getGuildMembership, hasManageGuildPermission } from './_lib/discordAuth.js';
+import { createSession } from './_lib/session.js';
+import { getSupabaseAdmin } from './_lib/supabaseAdmin.js';
+import { getGuildSettings } from './_lib/guildSettings.js';
+import { hasGuildPuzzles } from './_lib/guildPuzzles.js';
+import { hasBotToken, getActivityInstance } from './_lib/discordBot.js';
+import { getGuildPackId } from '../src/utils/packs.js';
 
-  // Only allow POST
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+export default async function handler(req, res) {
+  if (handleCors(req, res, ['POST'])) return;
 
   try {
-    const { code } = req.body;
+    const { code, access_token: existingToken, guildId = null, instanceId = null } = req.body || {};
 
-    if (!code) {
+    if (!code && !existingToken) {
       return res.status(400).json({ error: 'Missing authorization code' });
     }
 
     // Validate environment variables
-    if (!process.env.DISCORD_CLIENT_ID || !process.env.DISCORD_CLIENT_SECRET) {
-      console.error('Missing Discord credentials in environment');
+    if (!process.env.DISCORD_CLIENT_ID || !process.env.DISCORD_CLIENT_SECRET || !process.env.SESSION_JWT_SECRET) {
+      console.error('Missing Discord credentials or session secret in environment');
       return res.status(500).json({ error: 'Server configuration error' });
     }
 
-    // Exchange code for token with Discord
-    const tokenResponse = await fetch('https://discord.com/api/oauth2/token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: new URLSearchParams({
-        client_id: process.env.DISCORD_CLIENT_ID,
-        client_secret: process.env.DISCORD_CLIENT_SECRET,
-        grant_type: 'authorization_code',
-        code: code,
-      }),
-    });
-
-    const data = await tokenResponse.json();
+    let accessToken = existingToken;
+    let expiresIn = null;
 
-    if (data.error) {
-      console.error('Discord token error:', data);
-      return res.status(400).json({
-        error: data.error_description || data.error,
+    if (code) {
+      // Exchange code for token with Discord
+      const tokenResponse = await fetch('https://discord.com/api/oauth2/token', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: new URLSearchParams({
+          client_id: process.env.DISCORD_CLIENT_ID,
+          client_secret: process.env.DISCORD_CLIENT_SECRET,
+          grant_type: 'authorization_code',
+          code: code,
+        }),
       });
+
+      const data = await tokenResponse.json();
+
+      if (data.error) {
+        console.error('Discord token error:', data);
+        return res.status(400).json({
+          error: data.error_description || data.error,
+        });
+      }
+
+      accessToken = data.access_token;
+      expiresIn = data.expires_in;
     }
 
+    // Resolve the user behind the token
+    const user = await getDiscordUser(accessToken);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid Discord access token' });
+    }
+
+    // Only put a guild in the session if the user is actually in it
+    const membership = guildId ? await getGuildMembership(accessToken, guildId) : null;
+    if (guildId && !membership) {
+      return res.status(403).json({ error: 'Not a member of this server' });
+    }
+
+    const canManageGuild = hasManageGuildPermission(membership?.permissions);
+    const channelId = await getLaunchChannelId(guildId, instanceId, user.id);
+    const session = createSession(user, guildId, { manageGuild: canManageGuild, channelId });
+
+    const supabase = getSupabaseAdmin();
+    const [settings, guildPuzzles] = await Promise.all([
+      getGuildSettings(supabase, guildId),
+      hasGuildPuzzles(supabase, guildId)
+    ]);
+    const packs = guildPuzzles ? [...settings.packs, getGuildPackId(guildId)] : settings.packs;
+
     // Only return access_token to client
     // Do NOT expose refresh_token or other sensitive data
     return res.status(200).json({
-      access_token: data.access_token,
-      expires_in: data.expires_in,
+      access_token: accessToken,
+      expires_in: expiresIn,
+      session_token: session.token,
+      session_expires_in: session.expiresIn,
+      time_zone: settings.timeZone,
+      packs,
+      can_manage_guild: canManageGuild,
+      channel_sharing: !!channelId && settings.channelSharing,
+      reminders: !!guildId && !!settings.announceChannelId && !!settings.reminderRoleId,
     });
 
   } catch (error) {
@@ -69,3 +120,20 @@ export default async function handler(req, res) {
     return res.status(500).json({ error: 'Internal server error' });
   }
 }
+
+/**
+ * Get the channel an activity instance is running in
+ * The id comes from Discord rather than the client, so the session can't be
+ * pointed at a channel the user didn't launch from.
+ * @returns {Promise<string|null>} - Channel id, or null outside a guild or if it can't be confirmed
+ */
+async function getLaunchChannelId(guildId, instanceId, userId) {
+  if (!guildId || typeof instanceId !== 'string' || !instanceId || !hasBotToken()) return null;
+
+  const instance = await getActivityInstance(instanceId);
+  const location = instance?.location;
+  if (!location || location.guild_id !== guildId || !instance.users?.includes(userId)) {
+    return null;
+  }
+  return location.channel_id || null;
+}
@@ -0,0 +1,33 @@
+/**
+ * Announce Script
+ *
+ * Runs the daily announcements (api/_lib/announcements.js) once, the same as
+ * the hourly /api/announce cron. Guilds already announced today are skipped.
+ *
+ * Usage:
+ *   SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... DISCORD_BOT_TOKEN=... npm run announce [-- --dry-run]
+ *
+ *   --dry-run  Print the messages instead of posting them
+ */
+
+import { getSupabaseAdmin } from '../api/_lib/supabaseAdmin.js';
+import { hasBotToken } from '../api/_lib/discordBot.js';
+import { runAnnouncements } from '../api/_lib/announcements.js';
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const supabase = getSupabaseAdmin();
+
+  if (!supabase || (!dryRun && !hasBotToken())) {
+    console.error('Missing SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY or DISCORD_BOT_TOKEN');
+    process.exit(1);
+  }
+
+  const { announced, failed } = await runAnnouncements(supabase, { dryRun });
+  console.log(`Announced in ${announced.length} server(s)${failed.length > 0 ? `, failed in ${failed.length}: ${failed.join(', ')}` : ''}`);
+}
+
+main().catch(err => {
+  console.error('Announcing failed:', err.message || err);
+  process.exit(1);
+});
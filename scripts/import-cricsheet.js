@@ -0,0 +1,130 @@
+/**
+ * Cricsheet Import Script
+ *
+ * Builds a puzzle pack from Cricsheet match files (https://cricsheet.org),
+ * using the player of the match as the answer. Names are mapped to
+ * all_players.json ids; players that aren't there yet are added to it with a
+ * role guessed from the match, so review the new entries before pushing.
+ *
+ * Usage:
+ *   npm run import:cricsheet -- <files or directories...> --out pack.json [--start-id 1000]
+ *
+ *   --out       Pack to write ({ puzzles, highlights })
+ *   --players   Player directory to map against and extend (default src/data/all_players.json)
+ *   --start-id  First puzzle id (default: one past the highest id in src/data packs)
+ *
+ * Then: npm run puzzles -- push pack.json --highlights pack.json
+ */
+
+import { readdirSync, statSync, writeFileSync } from 'node:fs';
+import { join, extname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { readJson, lintPack, getMatchKey } from './lib/puzzlePack.js';
+import {
+  CRICSHEET_EXTENSIONS,
+  readCricsheetMatch,
+  createPlayerResolver,
+  toPuzzle
+} from './lib/cricsheet.js';
+
+const DATA_DIR = fileURLToPath(new URL('../src/data/', import.meta.url));
+const DEFAULT_PLAYERS = join(DATA_DIR, 'all_players.json');
+
+function parseArgs(argv) {
+  const args = { paths: [], flags: {} };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args.flags[argv[i].slice(2)] = argv[++i];
+    } else {
+      args.paths.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function listMatchFiles(paths) {
+  return paths.flatMap(path => {
+    if (statSync(path).isDirectory()) {
+      return readdirSync(path)
+        .filter(name => CRICSHEET_EXTENSIONS.includes(extname(name)))
+        .sort()
+        .map(name => join(path, name));
+    }
+    return [path];
+  });
+}
+
+/**
+ * Puzzles already in the bundled packs, for ids and duplicate matches
+ */
+function readBundledPuzzles() {
+  return readdirSync(DATA_DIR)
+    .filter(name => /^match_puzzles_.*\.json$/.test(name))
+    .flatMap(name => readJson(join(DATA_DIR, name)).puzzles || []);
+}
+
+function main() {
+  const { paths, flags } = parseArgs(process.argv.slice(2));
+
+  if (paths.length === 0 || !flags.out) {
+    console.error('Usage: npm run import:cricsheet -- <files or directories...> --out pack.json');
+    process.exit(1);
+  }
+
+  const playersPath = flags.players || DEFAULT_PLAYERS;
+  const playersFile = readJson(playersPath);
+  const { resolve, created } = createPlayerResolver(playersFile.players);
+
+  const bundled = readBundledPuzzles();
+  const knownMatches = new Set(bundled.map(getMatchKey));
+  let nextId = parseInt(flags['start-id'], 10) ||
+    bundled.reduce((max, puzzle) => Math.max(max, puzzle.id), 0) + 1;
+
+  const puzzles = [];
+  const highlights = [];
+
+  for (const file of listMatchFiles(paths)) {
+    let result;
+    try {
+      result = toPuzzle(readCricsheetMatch(file), nextId, resolve);
+    } catch (err) {
+      result = { skipped: err.message };
+    }
+
+    if (!result.skipped && knownMatches.has(getMatchKey(result.puzzle))) {
+      result = { skipped: 'already in a bundled pack' };
+    }
+
+    if (result.skipped) {
+      console.log(`skip  ${file}: ${result.skipped}`);
+      continue;
+    }
+
+    knownMatches.add(getMatchKey(result.puzzle));
+    puzzles.push(result.puzzle);
+    if (result.highlight) highlights.push(result.highlight);
+    nextId++;
+  }
+
+  writeFileSync(flags.out, JSON.stringify({ puzzles, highlights }, null, 2) + '\n');
+  console.log(`Wrote ${puzzles.length} puzzles to ${flags.out}`);
+
+  // Players are resolved while the puzzle is built, before a duplicate match is
+  // spotted, so only keep new players that a written puzzle refers to
+  const referenced = new Set(puzzles.flatMap(puzzle => [puzzle.targetPlayer, ...puzzle.matchData.playersInMatch]));
+  const added = created.filter(player => referenced.has(player.id));
+  playersFile.players = playersFile.players.filter(player => !created.includes(player) || referenced.has(player.id));
+
+  if (added.length > 0) {
+    writeFileSync(playersPath, JSON.stringify(playersFile, null, 2) + '\n');
+    console.log(`Added ${added.length} players to ${playersPath} (roles are guessed, please review):`);
+    added.forEach(player => console.log(`  ${player.id} - ${player.fullName} (${player.country}, ${player.role})`));
+  }
+
+  const errors = lintPack({ puzzles }, playersFile.players).issues.filter(issue => issue.level === 'error');
+  if (errors.length > 0) {
+    console.log(`${errors.length} lint error(s), see npm run puzzles -- lint ${flags.out}`);
+  }
+}
+
+main();
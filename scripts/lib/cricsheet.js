@@ -0,0 +1,286 @@
+/**
+ * Cricsheet match parsing
+ *
+ * Reads Cricsheet match files (https://cricsheet.org/format/) in the current
+ * JSON/YAML format (`innings[].overs[].deliveries[]`) or the legacy YAML format
+ * (`innings[]["1st innings"].deliveries[]`) and turns them into puzzles in the
+ * match_puzzles_*.json shape.
+ */
+
+import { readFileSync } from 'node:fs';
+import { basename, extname } from 'node:path';
+import { parse as parseYaml } from 'yaml';
+
+// Dismissals that don't count as a wicket
+const NOT_OUT_KINDS = ['retired hurt', 'retired not out'];
+
+// Balls bowled before a new player counts as a bowler
+const BOWLER_MIN_BALLS = 12;
+
+// Batting position up to which a bowler counts as an all-rounder
+const ALL_ROUNDER_MAX_POSITION = 7;
+
+export const CRICSHEET_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Uppercase letters and digits only, the id style of all_players.json
+ * ('MN Samuels' -> 'MNSAMUELS')
+ */
+export function toPlayerId(name) {
+  return String(name).normalize('NFKD').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function normalizeDelivery(delivery) {
+  const wickets = delivery.wickets || (delivery.wicket ? [delivery.wicket] : []);
+  return {
+    batter: delivery.batter || delivery.batsman,
+    nonStriker: delivery.non_striker,
+    bowler: delivery.bowler,
+    runs: delivery.runs?.total || 0,
+    legal: !delivery.extras?.wides && !delivery.extras?.noballs,
+    wickets: wickets.map(wicket => ({
+      kind: wicket.kind,
+      playerOut: wicket.player_out,
+      fielders: (wicket.fielders || []).map(fielder => (typeof fielder === 'string' ? fielder : fielder.name))
+    }))
+  };
+}
+
+function normalizeInnings(entry) {
+  // Legacy YAML wraps each innings in a { "1st innings": {...} } object
+  const [label, innings] = entry.team ? [null, entry] : Object.entries(entry)[0];
+  const deliveries = innings.overs
+    ? innings.overs.flatMap(over => over.deliveries)
+    : (innings.deliveries || []).map(ball => Object.values(ball)[0]);
+
+  return {
+    team: innings.team,
+    superOver: !!innings.super_over || /super over/i.test(label || ''),
+    declared: !!innings.declared,
+    deliveries: deliveries.map(normalizeDelivery)
+  };
+}
+
+/**
+ * Read a Cricsheet file
+ * @param {string} path - .json, .yaml or .yml file
+ * @returns {Object} - { matchId, info, innings }
+ */
+export function readCricsheetMatch(path) {
+  const text = readFileSync(path, 'utf8');
+  const data = extname(path) === '.json' ? JSON.parse(text) : parseYaml(text);
+
+  if (!data?.info || !Array.isArray(data.innings)) {
+    throw new Error('not a Cricsheet match file');
+  }
+
+  return {
+    // Cricsheet names files after the ESPNcricinfo match id
+    matchId: basename(path, extname(path)),
+    info: data.info,
+    innings: data.innings.map(normalizeInnings).filter(innings => !innings.superOver)
+  };
+}
+
+/**
+ * Format one innings like the bundled packs: "155/9 (19.1 overs)"
+ */
+function formatInnings(innings, withOvers) {
+  const runs = innings.deliveries.reduce((sum, ball) => sum + ball.runs, 0);
+  const wickets = innings.deliveries
+    .flatMap(ball => ball.wickets)
+    .filter(wicket => !NOT_OUT_KINDS.includes(wicket.kind)).length;
+  const balls = innings.deliveries.filter(ball => ball.legal).length;
+  const overs = balls % 6 === 0 ? `${balls / 6}` : `${Math.floor(balls / 6)}.${balls % 6}`;
+
+  return `${runs}/${wickets}${innings.declared ? 'd' : ''}` + (withOvers ? ` (${overs} overs)` : '');
+}
+
+function formatScore(innings, team) {
+  const teamInnings = innings.filter(i => i.team === team);
+  // Overs are only shown for one-innings matches, like the bundled packs
+  const withOvers = innings.length <= 2;
+  return teamInnings.map(i => formatInnings(i, withOvers)).join(' & ') || 'DNB';
+}
+
+/**
+ * Result line with teams as "Team 1"/"Team 2" (names stay hidden until reveal)
+ * @returns {string|null} - null for matches without a result
+ */
+function formatResult(outcome = {}, teams) {
+  const label = team => `Team ${teams.indexOf(team) + 1}`;
+
+  if (outcome.eliminator) return `${label(outcome.eliminator)} won the Super Over`;
+  if (outcome.bowl_out) return `${label(outcome.bowl_out)} won the bowl-out`;
+  if (outcome.result === 'tie') return 'Match tied';
+  if (outcome.result === 'draw') return 'Match drawn';
+  if (!outcome.winner) return null;
+
+  const by = outcome.by || {};
+  let margin = '';
+  if (by.innings) {
+    margin = ` by an innings and ${by.runs} runs`;
+  } else if (by.runs != null) {
+    margin = ` by ${by.runs} runs`;
+  } else if (by.wickets != null) {
+    margin = ` by ${by.wickets} wickets`;
+  }
+  const method = outcome.method ? ` (${outcome.method})` : '';
+
+  return `${label(outcome.winner)} won${margin}${method}`;
+}
+
+/**
+ * Players per team: the listed XIs, or everyone seen in the deliveries for
+ * older files without `info.players`
+ */
+function getSquads(info, innings, teams) {
+  if (info.players) {
+    return Object.fromEntries(teams.map(team => [team, info.players[team] || []]));
+  }
+
+  const squads = Object.fromEntries(teams.map(team => [team, new Set()]));
+  innings.forEach(({ team, deliveries }) => {
+    const bowlingTeam = teams.find(t => t !== team);
+    deliveries.forEach(ball => {
+      squads[team].add(ball.batter);
+      squads[team].add(ball.nonStriker);
+      squads[bowlingTeam]?.add(ball.bowler);
+      ball.wickets.forEach(wicket => wicket.fielders.forEach(name => squads[bowlingTeam]?.add(name)));
+    });
+  });
+  return Object.fromEntries(teams.map(team => [team, [...squads[team]].filter(Boolean)]));
+}
+
+/**
+ * Guess a role from what a player did in this match
+ * Only used for players missing from the directory, so review them.
+ */
+function inferRole(name, team, innings) {
+  let ballsBowled = 0;
+  let stumpings = 0;
+  let battingPosition = null;
+
+  innings.forEach(({ team: battingTeam, deliveries }) => {
+    const order = [];
+    deliveries.forEach(ball => {
+      [ball.batter, ball.nonStriker].forEach(batter => {
+        if (batter && !order.includes(batter)) order.push(batter);
+      });
+      if (battingTeam !== team) {
+        if (ball.bowler === name && ball.legal) ballsBowled++;
+        ball.wickets
+          .filter(wicket => wicket.kind === 'stumped' && wicket.fielders.includes(name))
+          .forEach(() => stumpings++);
+      }
+    });
+    if (battingTeam === team && battingPosition === null && order.includes(name)) {
+      battingPosition = order.indexOf(name) + 1;
+    }
+  });
+
+  if (stumpings > 0) return 'Wicketkeeper';
+  if (ballsBowled >= BOWLER_MIN_BALLS) {
+    return battingPosition !== null && battingPosition <= ALL_ROUNDER_MAX_POSITION ? 'All-rounder' : 'Bowler';
+  }
+  return 'Batsman';
+}
+
+/**
+ * Map Cricsheet names to all_players.json ids, creating records for new players
+ * Names are matched by id ('MN Samuels' -> MNSAMUELS) or full name, within the
+ * player's team. A clashing id from another country gets the team appended.
+ */
+export function createPlayerResolver(players) {
+  const byId = new Map(players.map(player => [player.id, player]));
+  const created = [];
+
+  function resolve(name, team, innings) {
+    const baseId = toPlayerId(name);
+    const sameTeam = player => player?.country === team;
+
+    if (sameTeam(byId.get(baseId))) return byId.get(baseId);
+
+    const byName = players.find(player => sameTeam(player) && toPlayerId(player.fullName) === baseId);
+    if (byName) return byName;
+
+    const id = byId.has(baseId) ? baseId + toPlayerId(team) : baseId;
+    if (byId.has(id)) return byId.get(id);
+
+    const player = { id, fullName: name, country: team, role: inferRole(name, team, innings) };
+    byId.set(id, player);
+    players.push(player);
+    created.push(player);
+    return player;
+  }
+
+  return { resolve, created };
+}
+
+/**
+ * Build a puzzle from a parsed match
+ * @param {Object} match - From readCricsheetMatch
+ * @param {number} id - Puzzle id
+ * @param {Function} resolvePlayer - From createPlayerResolver
+ * @returns {Object} - { puzzle, highlight } or { skipped: reason }
+ */
+export function toPuzzle(match, id, resolvePlayer) {
+  const { info, innings, matchId } = match;
+  const playerOfMatch = info.player_of_match?.[0];
+
+  if (!playerOfMatch) return { skipped: 'no player of the match' };
+  if (innings.length === 0) return { skipped: 'no innings' };
+
+  // Team 1 batted first
+  const firstTeam = innings[0].team;
+  const teams = [firstTeam, ...(info.teams || []).filter(team => team !== firstTeam)];
+  if (teams.length !== 2) return { skipped: 'expected two teams' };
+
+  const result = formatResult(info.outcome, teams);
+  if (!result) return { skipped: 'no result' };
+
+  const squads = getSquads(info, innings, teams);
+  const targetTeam = teams.find(team => squads[team].includes(playerOfMatch));
+  if (!targetTeam) return { skipped: `player of the match ${playerOfMatch} isn't in either XI` };
+
+  const playersInMatch = teams.flatMap(team => squads[team].map(name => resolvePlayer(name, team, innings).id));
+  const target = resolvePlayer(playerOfMatch, targetTeam, innings);
+
+  const venue = info.city && !String(info.venue).includes(info.city)
+    ? `${info.venue}, ${info.city}`
+    : info.venue;
+
+  const puzzle = {
+    id,
+    targetPlayer: target.id,
+    matchData: {
+      scorecard: {
+        venue,
+        team1Name: teams[0],
+        team2Name: teams[1],
+        team1Score: formatScore(innings, teams[0]),
+        team2Score: formatScore(innings, teams[1]),
+        result
+      },
+      playersInMatch,
+      targetPlayerTeam: targetTeam,
+      targetPlayerRole: target.role
+    }
+  };
+
+  if (/^\d+$/.test(matchId)) {
+    puzzle.cricinfoUrl = `https://www.espncricinfo.com/matches/engine/match/${matchId}.html`;
+  }
+
+  const event = info.event || {};
+  const stage = event.stage || (event.match_number ? `Match ${event.match_number}` : null);
+  const season = info.season && !String(event.name).includes(String(info.season).slice(0, 4)) ? info.season : null;
+  const matchContext = event.name
+    ? [event.name, season].filter(Boolean).join(' ') + (stage ? `, ${stage}` : '')
+    : null;
+
+  return {
+    puzzle,
+    highlight: matchContext ? { puzzleId: id, matchContext } : null
+  };
+}
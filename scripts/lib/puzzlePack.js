@@ -0,0 +1,161 @@
+/**
+ * Puzzle pack helpers shared by the seed, puzzles and Cricsheet import scripts
+ *
+ * A pack is `{ puzzles: [...] }` in the match_puzzles_t20wc.json format. Guess
+ * feedback compares against the players table (country -> sameTeam,
+ * role -> sameRole), so a puzzle whose answer doesn't line up with its player
+ * record gives wrong feedback rather than failing loudly. lintPack catches that.
+ */
+
+import { readFileSync } from 'node:fs';
+import { DEFAULT_PACK_ID } from '../../src/utils/packs.js';
+
+const REQUIRED_SCORECARD_FIELDS = ['venue', 'team1Score', 'team2Score'];
+
+export function readJson(path) {
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+/**
+ * Key identifying the real match behind a puzzle, used to find duplicates
+ * @returns {string}
+ */
+export function getMatchKey(puzzle) {
+  const url = (puzzle.cricinfoUrl || puzzle.cricinfo_url || '').toLowerCase().split(/[?#]/)[0];
+  if (url) {
+    // ESPNcricinfo URLs come in several shapes but all end with the match id
+    // (".../england-vs-west-indies-final-951373/full-scorecard", ".../match/951373.html")
+    const matchId = url.match(/(\d{5,})(?:\.html|\/[a-z-]*)?\/*$/)?.[1];
+    return matchId ? `cricinfo:${matchId}` : url.replace(/\/+$/, '');
+  }
+
+  const scorecard = (puzzle.matchData || puzzle.match_data)?.scorecard || {};
+  return [scorecard.venue, scorecard.team1Score, scorecard.team2Score]
+    .map(value => String(value || '').trim().toLowerCase())
+    .join('|');
+}
+
+/**
+ * Check a pack against the player directory
+ * @param {Object} pack - { puzzles }
+ * @param {Array} players - Entries from all_players.json
+ * @returns {Object} - { valid, issues } where valid holds the puzzles without
+ *   errors (first puzzle per match only) and issues is
+ *   [{ puzzleId, level: 'error' | 'warning', message }]
+ */
+export function lintPack(pack, players) {
+  const issues = [];
+  const valid = [];
+  const playersById = new Map(players.map(player => [player.id, player]));
+  const seenIds = new Set();
+  const seenMatches = new Map();
+
+  if (!pack || !Array.isArray(pack.puzzles)) {
+    issues.push({ puzzleId: null, level: 'error', message: 'Pack has no "puzzles" array' });
+    return { valid, issues };
+  }
+
+  pack.puzzles.forEach((puzzle, index) => {
+    const puzzleId = puzzle?.id ?? `#${index}`;
+    const errors = [];
+    const warn = message => issues.push({ puzzleId, level: 'warning', message });
+
+    if (!Number.isInteger(puzzle?.id) || puzzle.id <= 0) {
+      errors.push('id must be a positive integer');
+    } else if (seenIds.has(puzzle.id)) {
+      errors.push('duplicate id');
+    }
+
+    const matchData = puzzle?.matchData || {};
+    const scorecard = matchData.scorecard || {};
+    const playersInMatch = Array.isArray(matchData.playersInMatch) ? matchData.playersInMatch : [];
+
+    REQUIRED_SCORECARD_FIELDS
+      .filter(field => !scorecard[field])
+      .forEach(field => errors.push(`scorecard.${field} is missing`));
+
+    if (playersInMatch.length === 0) {
+      errors.push('playersInMatch is empty');
+    }
+
+    const unknown = playersInMatch.filter(id => !playersById.has(id));
+    if (unknown.length > 0) {
+      errors.push(`unknown players in playersInMatch: ${unknown.join(', ')}`);
+    }
+
+    const duplicates = playersInMatch.filter((id, i) => playersInMatch.indexOf(id) !== i);
+    if (duplicates.length > 0) {
+      warn(`players listed twice in playersInMatch: ${[...new Set(duplicates)].join(', ')}`);
+    }
+
+    const target = playersById.get(puzzle?.targetPlayer);
+    if (!puzzle?.targetPlayer) {
+      errors.push('targetPlayer is missing');
+    } else if (!target) {
+      errors.push(`unknown targetPlayer ${puzzle.targetPlayer}`);
+    } else {
+      if (!playersInMatch.includes(puzzle.targetPlayer)) {
+        errors.push(`targetPlayer ${puzzle.targetPlayer} is not in playersInMatch`);
+      }
+      if (matchData.targetPlayerTeam !== target.country) {
+        errors.push(`targetPlayerTeam "${matchData.targetPlayerTeam}" doesn't match ${target.id}'s country "${target.country}"`);
+      }
+      if (matchData.targetPlayerRole !== target.role) {
+        errors.push(`targetPlayerRole "${matchData.targetPlayerRole}" doesn't match ${target.id}'s role "${target.role}"`);
+      }
+    }
+
+    const teams = [scorecard.team1Name, scorecard.team2Name].filter(Boolean);
+    if (teams.length === 0) {
+      warn('scorecard has no team1Name/team2Name, team checks skipped');
+    } else if (matchData.targetPlayerTeam && !teams.includes(matchData.targetPlayerTeam)) {
+      errors.push(`targetPlayerTeam "${matchData.targetPlayerTeam}" is not a team in the scorecard (${teams.join(' v ')})`);
+    }
+
+    errors.forEach(message => issues.push({ puzzleId, level: 'error', message }));
+    if (Number.isInteger(puzzle?.id)) seenIds.add(puzzle.id);
+    if (errors.length > 0) return;
+
+    const matchKey = getMatchKey(puzzle);
+    if (seenMatches.has(matchKey)) {
+      warn(`same match as puzzle ${seenMatches.get(matchKey)}, skipped`);
+      return;
+    }
+
+    seenMatches.set(matchKey, puzzle.id);
+    valid.push(puzzle);
+  });
+
+  return { valid, issues };
+}
+
+/**
+ * Convert a pack puzzle to a `puzzles` table row
+ * @param {Object} puzzle - Pack puzzle
+ * @param {Object} highlight - Matching entry from match_highlights.json, if any
+ * @param {string} packId - Registry pack the puzzle is played in (src/utils/packs.js)
+ */
+export function toPuzzleRow(puzzle, highlight = {}, packId = DEFAULT_PACK_ID) {
+  return {
+    id: puzzle.id,
+    pack_id: packId,
+    target_player: puzzle.targetPlayer,
+    match_data: puzzle.matchData,
+    cricinfo_url: puzzle.cricinfoUrl || null,
+    match_context: highlight.matchContext || null,
+    trivia_fact: highlight.triviaFact || null,
+    player_highlight: highlight.playerHighlight || null
+  };
+}
+
+/**
+ * Convert an all_players.json entry to a `players` table row
+ */
+export function toPlayerRow(player) {
+  return {
+    id: player.id,
+    full_name: player.fullName,
+    country: player.country,
+    role: player.role
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Puzzle Authoring CLI
+ *
+ * Lints a puzzle pack against the player directory and pushes the valid
+ * puzzles to the Supabase `puzzles` table. Scheduling is left to
+ * `npm run seed:puzzles`.
+ *
+ * Usage:
+ *   npm run puzzles -- lint [pack.json]
+ *   npm run puzzles -- push [pack.json] [--pack odi] [--highlights file.json] [--local] [--dry-run]
+ *
+ *   pack.json     Defaults to src/data/match_puzzles_t20wc.json
+ *   --pack        Registry pack the puzzles are played in (default t20wc, see src/utils/packs.js)
+ *   --players     Player directory (default src/data/all_players.json)
+ *   --highlights  Highlights to attach (default src/data/match_highlights.json)
+ *   --local       Push to the local Supabase stack (`supabase start`) instead of SUPABASE_URL
+ *   --dry-run     Report what would be pushed without writing
+ *
+ * push needs SUPABASE_SERVICE_ROLE_KEY (`supabase status` prints the local one).
+ * Puzzles whose match is already in the table under another id, or whose id
+ * belongs to another pack, are skipped.
+ */
+
+import { fileURLToPath } from 'node:url';
+import { createClient } from '@supabase/supabase-js';
+import { readJson, lintPack, getMatchKey, toPuzzleRow, toPlayerRow } from './lib/puzzlePack.js';
+import { DEFAULT_PACK_ID, PACKS, isPackId } from '../src/utils/packs.js';
+
+const DATA_DIR = new URL('../src/data/', import.meta.url);
+const DEFAULT_PACK = fileURLToPath(new URL('match_puzzles_t20wc.json', DATA_DIR));
+const DEFAULT_PLAYERS = fileURLToPath(new URL('all_players.json', DATA_DIR));
+const DEFAULT_HIGHLIGHTS = fileURLToPath(new URL('match_highlights.json', DATA_DIR));
+
+// API URL of `supabase start`
+const LOCAL_SUPABASE_URL = 'http://127.0.0.1:54321';
+
+function parseArgs(argv) {
+  const args = { positional: [], flags: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--local' || arg === '--dry-run') {
+      args.flags[arg.slice(2)] = true;
+    } else if (arg.startsWith('--')) {
+      args.flags[arg.slice(2)] = argv[++i];
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  return args;
+}
+
+/**
+ * Lint a pack and print the report
+ * @returns {Object} - { valid, errorCount, players }
+ */
+function lint(packPath, playersPath) {
+  const { players } = readJson(playersPath);
+  const pack = readJson(packPath);
+  const { valid, issues } = lintPack(pack, players);
+
+  // One line per message, so a warning shared by many puzzles isn't repeated
+  const grouped = new Map();
+  issues.forEach(({ puzzleId, level, message }) => {
+    const key = `${level}:${message}`;
+    if (!grouped.has(key)) grouped.set(key, { level, message, puzzleIds: [] });
+    grouped.get(key).puzzleIds.push(puzzleId ?? '-');
+  });
+  grouped.forEach(({ level, message, puzzleIds }) => {
+    const label = level === 'error' ? 'ERROR' : 'warn ';
+    const noun = puzzleIds.length > 1 ? 'puzzles' : 'puzzle';
+    console.log(`${label} ${noun} ${puzzleIds.join(', ')}: ${message}`);
+  });
+
+  const errorCount = issues.filter(issue => issue.level === 'error').length;
+  const total = Array.isArray(pack.puzzles) ? pack.puzzles.length : 0;
+  console.log(`${packPath}: ${valid.length}/${total} puzzles valid, ${errorCount} error(s), ${issues.length - errorCount} warning(s)`);
+
+  return { valid, errorCount, players };
+}
+
+async function push(packPath, playersPath, flags) {
+  const packId = flags.pack || DEFAULT_PACK_ID;
+  if (!isPackId(packId)) {
+    console.error(`Unknown pack "${packId}" (known: ${PACKS.map(pack => pack.id).join(', ')})`);
+    process.exit(1);
+  }
+
+  const { valid, players } = lint(packPath, playersPath);
+  if (valid.length === 0) {
+    console.log('Nothing to push');
+    return;
+  }
+
+  const supabaseUrl = flags.local
+    ? LOCAL_SUPABASE_URL
+    : process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !serviceRoleKey) {
+    console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY');
+    process.exit(1);
+  }
+
+  const supabase = createClient(supabaseUrl, serviceRoleKey);
+
+  // Dedupe against matches already in the table
+  const { data: existing, error: existingError } = await supabase
+    .from('puzzles')
+    .select('id, pack_id, cricinfo_url, match_data');
+  if (existingError) throw existingError;
+
+  const existingMatches = new Map(existing.map(row => [getMatchKey(row), row.id]));
+  const existingPacks = new Map(existing.map(row => [row.id, row.pack_id]));
+  const toPush = valid.filter(puzzle => {
+    const existingId = existingMatches.get(getMatchKey(puzzle));
+    if (existingId !== undefined && existingId !== puzzle.id) {
+      console.log(`skip  puzzle ${puzzle.id}: same match as puzzle ${existingId} in the database`);
+      return false;
+    }
+    const existingPack = existingPacks.get(puzzle.id);
+    if (existingPack !== undefined && existingPack !== packId) {
+      console.log(`skip  puzzle ${puzzle.id}: id is already used by the ${existingPack} pack`);
+      return false;
+    }
+    return true;
+  });
+
+  const { highlights = [] } = readJson(flags.highlights || DEFAULT_HIGHLIGHTS);
+  const rows = toPush.map(puzzle => toPuzzleRow(puzzle, highlights.find(h => h.puzzleId === puzzle.id), packId));
+
+  // Players the new puzzles refer to
+  const playerIds = new Set(toPush.flatMap(puzzle => puzzle.matchData.playersInMatch));
+  const playerRows = players.filter(player => playerIds.has(player.id)).map(toPlayerRow);
+
+  const updated = rows.filter(row => existing.some(e => e.id === row.id)).length;
+  console.log(`${flags['dry-run'] ? 'Would push' : 'Pushing'} ${rows.length} ${packId} puzzles (${rows.length - updated} new, ${updated} updated) and ${playerRows.length} players to ${supabaseUrl}`);
+  if (flags['dry-run'] || rows.length === 0) return;
+
+  const { error: playersError } = await supabase.from('players').upsert(playerRows);
+  if (playersError) throw playersError;
+
+  const { error: puzzlesError } = await supabase.from('puzzles').upsert(rows);
+  if (puzzlesError) throw puzzlesError;
+
+  console.log('Done. Run `npm run seed:puzzles` to schedule new puzzles.');
+}
+
+async function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  const [command, packPath = DEFAULT_PACK] = positional;
+  const playersPath = flags.players || DEFAULT_PLAYERS;
+
+  switch (command) {
+    case 'lint': {
+      const { errorCount } = lint(packPath, playersPath);
+      if (errorCount > 0) process.exit(1);
+      break;
+    }
+    case 'push':
+      await push(packPath, playersPath, flags);
+      break;
+    default:
+      console.error('Usage: npm run puzzles -- <lint|push> [pack.json] [--local] [--dry-run]');
+      process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error('Puzzles command failed:', err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,172 @@
+/**
+ * Register Slash Commands Script
+ *
+ * Registers the global /bowldem command answered by api/interactions.js.
+ * Global commands can take a few minutes to show up in Discord clients.
+ *
+ * Usage:
+ *   DISCORD_CLIENT_ID=... DISCORD_BOT_TOKEN=... npm run register:commands
+ */
+
+import { PACKS } from '../src/utils/packs.js';
+
+// Discord option types
+const SUB_COMMAND = 1;
+const STRING = 3;
+const BOOLEAN = 5;
+const USER = 6;
+const CHANNEL = 7;
+const ROLE = 8;
+
+// Text and announcement channels
+const MESSAGE_CHANNEL_TYPES = [0, 5];
+
+const PACK_CHOICES = PACKS.map(pack => ({ name: pack.name, value: pack.id }));
+
+// Optional pack picker for commands that show one pack's results
+const PACK_OPTION = {
+  type: STRING,
+  name: 'pack',
+  description: 'Puzzle pack (defaults to this server\'s first pack)',
+  required: false,
+  choices: PACK_CHOICES
+};
+
+const COMMANDS = [
+  {
+    name: 'bowldem',
+    description: 'Bowldem daily cricket puzzle',
+    options: [
+      {
+        type: SUB_COMMAND,
+        name: 'today',
+        description: 'Today\'s standings in this server',
+        options: [PACK_OPTION]
+      },
+      {
+        type: SUB_COMMAND,
+        name: 'stats',
+        description: 'A player\'s Bowldem record',
+        options: [
+          {
+            type: USER,
+            name: 'user',
+            description: 'Player to look up (defaults to you)',
+            required: false
+          },
+          PACK_OPTION
+        ]
+      },
+      {
+        type: SUB_COMMAND,
+        name: 'leaderboard',
+        description: 'All-time standings in this server',
+        options: [PACK_OPTION]
+      },
+      {
+        type: SUB_COMMAND,
+        name: 'timezone',
+        description: 'Show or set when the daily puzzle resets in this server',
+        options: [
+          {
+            type: STRING,
+            name: 'zone',
+            description: 'IANA time zone, e.g. Asia/Kolkata (requires Manage Server)',
+            required: false
+          }
+        ]
+      },
+      {
+        type: SUB_COMMAND,
+        name: 'packs',
+        description: 'Show or change the puzzle packs played in this server',
+        options: [
+          {
+            type: STRING,
+            name: 'enable',
+            description: 'Pack to add (requires Manage Server)',
+            required: false,
+            choices: PACK_CHOICES
+          },
+          {
+            type: STRING,
+            name: 'disable',
+            description: 'Pack to remove (requires Manage Server)',
+            required: false,
+            choices: PACK_CHOICES
+          }
+        ]
+      },
+      {
+        type: SUB_COMMAND,
+        name: 'sharing',
+        description: 'Show or set whether players can post their results to the channel',
+        options: [
+          {
+            type: BOOLEAN,
+            name: 'enabled',
+            description: 'Allow posting results (requires Manage Server)',
+            required: false
+          }
+        ]
+      },
+      {
+        type: SUB_COMMAND,
+        name: 'announce',
+        description: 'Show or set where new puzzles are announced in this server',
+        options: [
+          {
+            type: CHANNEL,
+            name: 'channel',
+            description: 'Channel for the daily announcement (requires Manage Server)',
+            required: false,
+            channel_types: MESSAGE_CHANNEL_TYPES
+          },
+          {
+            type: ROLE,
+            name: 'role',
+            description: 'Role with no permissions to ping, joined with "Notify Me" in the activity',
+            required: false
+          },
+          {
+            type: BOOLEAN,
+            name: 'enabled',
+            description: 'Set to false to stop announcing',
+            required: false
+          }
+        ]
+      }
+    ]
+  }
+];
+
+async function main() {
+  const clientId = process.env.DISCORD_CLIENT_ID || process.env.VITE_DISCORD_CLIENT_ID;
+  const botToken = process.env.DISCORD_BOT_TOKEN;
+
+  if (!clientId || !botToken) {
+    console.error('Missing DISCORD_CLIENT_ID or DISCORD_BOT_TOKEN');
+    process.exit(1);
+  }
+
+  const response = await fetch(`https://discord.com/api/v10/applications/${clientId}/commands`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bot ${botToken}`
+    },
+    body: JSON.stringify(COMMANDS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Discord API error ${response.status}: ${await response.text()}`);
+  }
+
+  const registered = await response.json();
+  console.log(`Registered ${registered.length} command(s): ${registered.map(c => '/' + c.name).join(', ')}`);
+}
+
+main().catch(err => {
+  console.error('Registering commands failed:', err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,132 @@
+/**
+ * Seed Puzzles Script
+ *
+ * Uploads the bundled puzzle packs to Supabase so the client can run without
+ * any answers in its bundle:
+ * - players       <- src/data/all_players.json
+ * - puzzles       <- the `files` of each pack in src/utils/packs.js
+ * - daily_puzzles <- one entry per pack and day from EPOCH_DATE, picked from the
+ *                    pack's rows in `puzzles` by the scheduler
+ *                    (src/utils/puzzleScheduler.js)
+ *
+ * Dates that have already started in some time zone are never changed, so the
+ * archive matches what people played. Later dates are replanned on every run.
+ * Packs with no puzzles yet are skipped.
+ *
+ * Usage:
+ *   SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... npm run seed:puzzles [-- --days 90 --window 30]
+ *
+ *   --days    Days to schedule ahead of today (default 60)
+ *   --window  Days before a puzzle may repeat (default and cap: see DEFAULT_SCHEDULE_OPTIONS)
+ */
+
+import { readFileSync } from 'node:fs';
+import { createClient } from '@supabase/supabase-js';
+import { getTodayUTC, getDateInTimeZone, addDays } from '../src/utils/dailyPuzzle.js';
+import { replanSchedule, DEFAULT_SCHEDULE_OPTIONS } from '../src/utils/puzzleScheduler.js';
+import { PACKS } from '../src/utils/packs.js';
+import { toPlayerRow, toPuzzleRow } from './lib/puzzlePack.js';
+
+const DATA_DIR = new URL('../src/data/', import.meta.url);
+
+function readJson(fileName) {
+  return JSON.parse(readFileSync(new URL(fileName, DATA_DIR), 'utf8'));
+}
+
+function parseFlag(argv, name, fallback) {
+  const index = argv.indexOf(name);
+  const value = index >= 0 ? parseInt(argv[index + 1], 10) : fallback;
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Replan one pack's schedule from today's last visible date through endDate
+ * @returns {Promise<Object|null>} - { kept, scheduled } or null if the pack has no puzzles
+ */
+async function schedulePack(supabase, packId, { lastVisible, endDate, repeatWindow }) {
+  // Plan from the pack's whole pool, including puzzles pushed with `npm run puzzles`
+  const { data: pool, error: poolError } = await supabase
+    .from('puzzles')
+    .select('id, target_player, match_data')
+    .eq('pack_id', packId)
+    .order('id', { ascending: true });
+  if (poolError) throw poolError;
+  if (pool.length === 0) return null;
+
+  // Keep every date already visible somewhere (UTC+14 is first to reach each
+  // date), replan the rest
+  const { data: existing, error: existingError } = await supabase
+    .from('daily_puzzles')
+    .select('puzzle_date, puzzle_id')
+    .eq('pack_id', packId)
+    .order('puzzle_date', { ascending: true });
+  if (existingError) throw existingError;
+
+  const { kept, schedule } = replanSchedule(pool, existing, { lastVisible, endDate, repeatWindow });
+  const rows = schedule.map(entry => ({ ...entry, pack_id: packId }));
+
+  // Drop the old plan for dates nobody has seen yet
+  const { error: deleteError } = await supabase
+    .from('daily_puzzles')
+    .delete()
+    .eq('pack_id', packId)
+    .gt('puzzle_date', lastVisible);
+  if (deleteError) throw deleteError;
+
+  const { error: scheduleError } = await supabase.from('daily_puzzles').upsert(rows);
+  if (scheduleError) throw scheduleError;
+
+  return { kept: kept.length, scheduled: rows.length };
+}
+
+async function main() {
+  const supabaseUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !serviceRoleKey) {
+    console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY');
+    process.exit(1);
+  }
+
+  const supabase = createClient(supabaseUrl, serviceRoleKey);
+  const { players } = readJson('all_players.json');
+
+  // Players
+  const { error: playersError } = await supabase.from('players').upsert(
+    players.map(toPlayerRow)
+  );
+  if (playersError) throw playersError;
+  console.log(`Upserted ${players.length} players`);
+
+  // Bundled puzzle pools
+  for (const pack of PACKS.filter(p => p.files)) {
+    const { puzzles } = readJson(pack.files.puzzles);
+    const { highlights = [] } = pack.files.highlights ? readJson(pack.files.highlights) : {};
+
+    const { error: puzzlesError } = await supabase.from('puzzles').upsert(
+      puzzles.map(puzzle => toPuzzleRow(puzzle, highlights.find(h => h.puzzleId === puzzle.id), pack.id))
+    );
+    if (puzzlesError) throw puzzlesError;
+    console.log(`Upserted ${puzzles.length} ${pack.id} puzzles`);
+  }
+
+  const options = {
+    lastVisible: getDateInTimeZone(new Date(), 'Etc/GMT-14'),
+    endDate: addDays(getTodayUTC(), parseFlag(process.argv, '--days', 60)),
+    repeatWindow: parseFlag(process.argv, '--window', DEFAULT_SCHEDULE_OPTIONS.repeatWindow)
+  };
+
+  for (const pack of PACKS) {
+    const result = await schedulePack(supabase, pack.id, options);
+    if (!result) {
+      console.log(`${pack.id}: no puzzles yet, skipped`);
+      continue;
+    }
+    console.log(`${pack.id}: kept ${result.kept} played days, scheduled ${result.scheduled} (through ${options.endDate})`);
+  }
+}
+
+main().catch(err => {
+  console.error('Seeding failed:', err.message || err);
+  process.exit(1);
+});
@@ -14,13 +14,19 @@
 
 import React, { useState, useMemo, useEffect, useCallback } from "react";
 import allPlayersData from "./data/all_players.json";
-import matchPuzzlesData from "./data/match_puzzles_t20wc.json";
-import matchHighlightsData from "./data/match_highlights.json";
 import { useDailyPuzzle } from "./hooks/useDailyPuzzle.js";
 import { useLeaderboard } from "./hooks/useLeaderboard.js";
+import { useRace } from "./hooks/useRace.js";
+import { useRichPresence } from "./hooks/useRichPresence.js";
 import { useDiscord } from "./lib/discord.jsx";
-import { checkAutoReset, getEffectiveDate } from "./utils/dailyPuzzle.js";
+import { checkAutoReset, getEffectiveDate, getActivePack, setActivePack, isHardModeEnabled, setHardModeEnabled } from "./utils/dailyPuzzle.js";
+import { getHardModeViolation } from "./utils/hardMode.js";
+import { findHint, getAvailableHints, MAX_HINTS, HINT_PENALTY } from "./utils/hints.js";
+import { generateShareText as buildShareText, getFeedbackGridLines } from "./utils/shareText.js";
+import { renderShareImage } from "./utils/shareImage.js";
 import { PlayerAutocomplete } from "./components/PlayerAutocomplete.jsx";
+import { HardModeToggle } from "./components/HardModeToggle.jsx";
+import { HintPanel } from "./components/HintPanel.jsx";
 import { ThirdUmpireFeedback } from "./components/ThirdUmpireFeedback.jsx";
 import { StatsModal } from "./components/StatsModal.jsx";
 import { CountdownTimer } from "./components/CountdownTimer.jsx";
@@ -28,41 +34,61 @@ import { ArchiveModal, saveArchiveCompletion } from "./components/ArchiveModal.j
 import { LeaderboardModal } from "./components/community/LeaderboardModal.jsx";
 import { CompletedStateBanner, LiveLeaderboard, CompletedMobileView } from "./components/home/WinStateBanner.jsx";
 import { TutorialOverlay, hasTutorialBeenSeen } from "./components/onboarding/TutorialOverlay.jsx";
+import { RacePanel } from "./components/race/RacePanel.jsx";
+import { PackPicker } from "./components/packs/PackPicker.jsx";
+import { GuildPuzzleEditor } from "./components/guild/GuildPuzzleEditor.jsx";
 import { Icon } from "./components/ui/Icon.jsx";
-import { validateGuess } from "./lib/supabase.js";
-import { getPuzzleIndex } from "./utils/dailyPuzzle.js";
+import { ToastContainer, useToast } from "./components/ui/Toast.jsx";
+import { useOutbox } from "./hooks/useOutbox.js";
+import { useReminders } from "./hooks/useReminders.js";
+import {
+  fetchPuzzle,
+  checkGuess,
+  submitDailyGuess,
+  unlockDailyHint,
+  unlockArchiveHint,
+  revealPuzzle,
+  fetchPriorityPlayerIds
+} from "./lib/puzzles.js";
+import { getGuildPlayers } from "./lib/supabase.js";
+import { shareToChannel } from "./lib/api.js";
+import { isGuildPackId, getGuildPackId } from "./utils/packs.js";
 import { Confetti } from "./components/effects/Confetti.jsx";
 import "./App.css";
 
-// Feature flag for Supabase validation (set to true to enable server-side validation)
-const USE_SUPABASE_VALIDATION = true;
-
 // Auto-reset if ?reset=true is in URL
 checkAutoReset();
 
-// Load puzzle data - each puzzle represents one historic match
-const PUZZLES = matchPuzzlesData.puzzles || [];
-
 function App() {
   // Discord context - user identity and guild info
-  const { user, guildId, openInvite } = useDiscord();
+  const { discordSdk, user, guildId, channelSharing, reminders, packs, canManageGuild, addPack, participants, openInvite, shareImage } = useDiscord();
 
   // Use Discord user ID for state persistence
   const discordUserId = user?.id;
   const discordUsername = user?.username;
 
+  // Puzzle pack being played (DiscordProvider starts on the guild's first pack)
+  const [packId, setPackId] = useState(() => getActivePack());
+
   const {
     puzzle: currentPuzzle,
     puzzleNumber,
+    puzzleLoading,
+    puzzleError,
     gameState,
     guesses,
+    feedback: savedFeedback,
     guessedPlayers,
     guessesRemaining,
     gameStatus,
     alreadyCompleted,
+    hardMode: gameHardMode,
+    hints: dailyHints,
     modalShown,
     stats,
     recordGuess,
+    recordHints,
+    reconcileProgress,
     setModalShown,
     debugMode,
     debugOffset,
@@ -70,8 +96,9 @@ function App() {
     changeDebugDate,
     resetDebugDate,
     resetAllData,
+    refreshPuzzle,
     maxGuesses
-  } = useDailyPuzzle(PUZZLES, discordUserId);
+  } = useDailyPuzzle(discordUserId, packId);
 
   const [feedbackList, setFeedbackList] = useState([]);
   const [usedPlayers, setUsedPlayers] = useState(new Set());
@@ -84,12 +111,15 @@ function App() {
   const [showStatsModal, setShowStatsModal] = useState(false);
   const [showArchiveModal, setShowArchiveModal] = useState(false);
   const [showLeaderboardModal, setShowLeaderboardModal] = useState(false);
+  const [showGuildEditor, setShowGuildEditor] = useState(false);
   const [showTutorial, setShowTutorial] = useState(() => !hasTutorialBeenSeen());
   const [isChecking, setIsChecking] = useState(false);
+  const [hintLoading, setHintLoading] = useState(false);
   const [pendingFeedback, setPendingFeedback] = useState(null);
   const [newFeedbackIndex, setNewFeedbackIndex] = useState(-1);
   const [modalMinimized, setModalMinimized] = useState(false);
   const [copyButtonState, setCopyButtonState] = useState('idle'); // 'idle' | 'copied'
+  const [channelShares, setChannelShares] = useState({}); // `${packId}:${puzzleDate}` -> 'posting' | 'posted'
 
   // Leaderboard view mode: 'guild' or 'global'
   const [leaderboardMode, setLeaderboardMode] = useState('guild');
@@ -106,6 +136,23 @@ function App() {
   const [archiveUsedPlayers, setArchiveUsedPlayers] = useState(new Set());
   const [archiveGameWon, setArchiveGameWon] = useState(false);
   const [archiveGameOver, setArchiveGameOver] = useState(false);
+  const [archiveHints, setArchiveHints] = useState([]);
+
+  // Answer and match details, fetched from the server once a game is over
+  const [reveal, setReveal] = useState(null);
+
+  const { toasts, removeToast, showSuccess, showInfo, showError } = useToast();
+
+  // Guesses and leaderboard submissions that couldn't reach the server yet
+  const { offline, items: outboxItems } = useOutbox(discordUserId, handleOutboxSettled);
+  const { subscribed: remindersOn, updating: remindersUpdating, toggle: toggleReminders } = useReminders(reminders, discordUserId);
+
+  // Toast other players' wins as they land on the leaderboard
+  const handleNewLeaderboardEntry = (entry) => {
+    if (!entry.won) return;
+    const name = entry.discord_username || entry.display_name || 'Someone';
+    showInfo(`🏏 ${name} just solved it in ${entry.guesses_used}/${maxGuesses}`);
+  };
 
   // Initialize leaderboard hook with Discord identity
   const {
@@ -113,12 +160,40 @@ function App() {
     puzzleLeaderboardLoading,
     fetchPuzzleLeaderboard,
     getTopEntries,
+    newEntries: newLeaderboardEntries,
     userRanking,
     calculatePercentile,
     submitToLeaderboard,
     isSubmitting: isLeaderboardSubmitting,
     hasSubmitted: hasLeaderboardSubmitted,
-  } = useLeaderboard(puzzleNumber, puzzleDate, discordUserId, discordUsername, guildId, leaderboardMode);
+  } = useLeaderboard(puzzleNumber, puzzleDate, discordUserId, discordUsername, guildId, leaderboardMode, packId, handleNewLeaderboardEntry);
+
+  // Today's game outcome, including a game finished in an earlier session
+  const dailyStatus = (gameWon || gameStatus === 'won') ? 'won' : ((gameOver || gameStatus === 'lost') ? 'lost' : 'playing');
+
+  // Race everyone in this activity instance on today's puzzle
+  const { racers, roundOver: raceRoundOver } = useRace({
+    instanceId: discordSdk.instanceId,
+    user,
+    participants,
+    packId,
+    puzzleNumber,
+    feedbackList,
+    status: dailyStatus
+  });
+
+  // Show the current game on the player's Discord profile
+  useRichPresence({
+    archiveMode,
+    puzzleNumber: archiveMode ? archivePuzzleNumber : puzzleNumber,
+    gameStatus: archiveMode
+      ? (archiveGameWon ? 'won' : (archiveGameOver ? 'lost' : 'playing'))
+      : dailyStatus,
+    guessesUsed: archiveMode ? archiveFeedbackList.length : feedbackList.length,
+    maxGuesses,
+    streak: stats.currentStreak,
+    partySize: participants.length
+  });
 
   // Fetch leaderboard on mount and when game ends
   useEffect(() => {
@@ -132,78 +207,104 @@ function App() {
     }
   }, [gameWon, gameOver, alreadyCompleted, fetchPuzzleLeaderboard]);
 
-  // Get match highlights for current puzzle
-  const matchHighlight = useMemo(() => {
-    const puzzle = archiveMode ? archivePuzzle : currentPuzzle;
-    if (!puzzle) return matchHighlightsData.defaultHighlight;
+  // Reveal the answer once the active game is over
+  const revealPuzzleTarget = archiveMode
+    ? ((archiveGameWon || archiveGameOver) ? archivePuzzle : null)
+    : ((gameWon || gameOver || alreadyCompleted) ? currentPuzzle : null);
+
+  useEffect(() => {
+    if (!revealPuzzleTarget) {
+      setReveal(null);
+      return;
+    }
+
+    let cancelled = false;
+    revealPuzzle(revealPuzzleTarget).then(data => {
+      if (!cancelled) setReveal(data);
+    });
 
-    const highlight = matchHighlightsData.highlights.find(h => h.puzzleId === puzzle.id);
-    return highlight || matchHighlightsData.defaultHighlight;
-  }, [currentPuzzle, archivePuzzle, archiveMode]);
+    return () => {
+      cancelled = true;
+    };
+  }, [revealPuzzleTarget]);
+
+  // Get match highlights for the revealed puzzle
+  const matchHighlight = useMemo(() => {
+    if (!reveal) return null;
+    return {
+      matchContext: reveal.matchContext,
+      triviaFact: reveal.triviaFact,
+      playerHighlight: reveal.playerHighlight
+    };
+  }, [reveal]);
 
   // Handle leaderboard submission with Discord identity
-  const handleLeaderboardSubmit = useCallback(async (guessCount, won) => {
-    await submitToLeaderboard(guessCount, won);
+  const handleLeaderboardSubmit = useCallback(async () => {
+    await submitToLeaderboard();
     setModalMinimized(true);
   }, [submitToLeaderboard]);
 
-  // Create a lookup map for O(1) player access by ID
-  const playersLookup = useMemo(() => {
-    const map = {};
-    allPlayersData.players.forEach(player => {
-      map[player.id] = player;
-    });
-    return map;
-  }, []);
+  // Player IDs that appear in the puzzle pool (ranked first in autocomplete)
+  const [priorityPlayerIds, setPriorityPlayerIds] = useState(() => new Set());
 
-  // Create a Set of all player IDs that appear in puzzles (active T20 players)
-  const priorityPlayerIds = useMemo(() => {
-    const ids = new Set();
-    PUZZLES.forEach(puzzle => {
-      const playersInMatch = puzzle.matchData?.playersInMatch || [];
-      playersInMatch.forEach(id => ids.add(id));
-      if (puzzle.targetPlayer) {
-        ids.add(puzzle.targetPlayer);
-      }
-    });
-    return ids;
+  useEffect(() => {
+    fetchPriorityPlayerIds().then(setPriorityPlayerIds);
   }, []);
 
-  // Helper to find player by ID from the lookup map
-  const findPlayer = (playerId) => {
-    return playersLookup[playerId] || null;
+  // Server puzzles are guessed from the server's own club players
+  const [guildPlayers, setGuildPlayers] = useState([]);
+  const isGuildPack = isGuildPackId(packId);
+
+  const loadGuildPlayers = useCallback(() => {
+    getGuildPlayers(guildId).then(setGuildPlayers);
+  }, [guildId]);
+
+  useEffect(() => {
+    if (isGuildPack) loadGuildPlayers();
+  }, [isGuildPack, loadGuildPlayers]);
+
+  const autocompletePlayers = isGuildPack ? guildPlayers : allPlayersData.players;
+
+  // Hard mode setting; a daily game keeps the mode of its first guess
+  const [hardModeEnabled, setHardModeEnabledState] = useState(() => isHardModeEnabled());
+  const dailyHardMode = guesses.length > 0 ? gameHardMode : hardModeEnabled;
+
+  const handleHardModeChange = (enabled) => {
+    setHardModeEnabled(enabled);
+    setHardModeEnabledState(enabled);
   };
 
+  // Flag players that break an earlier clue (see utils/hardMode.js)
+  const dailyPlayerWarning = useMemo(
+    () => (dailyHardMode ? player => getHardModeViolation(player, feedbackList) : null),
+    [dailyHardMode, feedbackList]
+  );
+  const archivePlayerWarning = useMemo(
+    () => (hardModeEnabled ? player => getHardModeViolation(player, archiveFeedbackList) : null),
+    [hardModeEnabled, archiveFeedbackList]
+  );
+
   /**
-   * Generate Y/N feedback for a guessed player
+   * A server puzzle was scheduled from the editor
    */
-  const generateNewFeedback = (guessedPlayerKey, puzzleToUse = null) => {
-    const guessedPlayer = findPlayer(guessedPlayerKey);
-    const puzzle = puzzleToUse || currentPuzzle;
-    if (!guessedPlayer || !puzzle) return null;
-
-    const matchData = puzzle.matchData;
-    const playersInMatch = matchData.playersInMatch || [];
-    const targetPlayerTeam = matchData.targetPlayerTeam;
-    const targetPlayerRole = matchData.targetPlayerRole;
-
-    return {
-      playerName: guessedPlayer.fullName,
-      country: guessedPlayer.country,
-      role: guessedPlayer.role,
-      playedInGame: playersInMatch.includes(guessedPlayerKey),
-      sameTeam: guessedPlayer.country === targetPlayerTeam,
-      sameRole: guessedPlayer.role === targetPlayerRole,
-      isMVP: guessedPlayerKey === puzzle.targetPlayer
-    };
+  const handleGuildPuzzleScheduled = () => {
+    const guildPackId = getGuildPackId(guildId);
+    addPack(guildPackId);
+    if (packId === guildPackId) {
+      loadGuildPlayers();
+      refreshPuzzle();
+    }
   };
 
   /**
    * Handle selecting an archive puzzle to play
    */
-  const handleSelectArchivePuzzle = (puzzleDate, puzzleNum) => {
-    const puzzleIndex = getPuzzleIndex(puzzleNum, PUZZLES.length);
-    const puzzle = PUZZLES[puzzleIndex];
+  const handleSelectArchivePuzzle = async (puzzleDate, puzzleNum) => {
+    const puzzle = await fetchPuzzle(puzzleDate, packId);
+    if (!puzzle) {
+      console.warn('Archive puzzle unavailable:', puzzleDate);
+      return;
+    }
 
     setArchiveMode(true);
     setArchivePuzzleDate(puzzleDate);
@@ -213,6 +314,7 @@ function App() {
     setArchiveUsedPlayers(new Set());
     setArchiveGameWon(false);
     setArchiveGameOver(false);
+    setArchiveHints([]);
   };
 
   /**
@@ -227,6 +329,25 @@ function App() {
     setArchiveUsedPlayers(new Set());
     setArchiveGameWon(false);
     setArchiveGameOver(false);
+    setArchiveHints([]);
+  };
+
+  /**
+   * Switch to another puzzle pack's daily game
+   */
+  const handleSelectPack = (nextPackId) => {
+    // Storage has to point at the new pack before the hooks reload from it
+    setActivePack(nextPackId);
+    setPackId(nextPackId);
+
+    handleExitArchiveMode();
+    setFeedbackList([]);
+    setUsedPlayers(new Set());
+    setGameWon(false);
+    setGameOver(false);
+    setShowSuccessModal(false);
+    setShowGameOverModal(false);
+    setModalMinimized(false);
   };
 
   /**
@@ -238,9 +359,15 @@ function App() {
     setIsChecking(true);
     setArchiveUsedPlayers(prev => new Set([...prev, playerKey]));
 
-    const feedback = generateNewFeedback(playerKey, archivePuzzle);
+    const feedback = await checkGuess(archivePuzzle, playerKey);
 
     if (!feedback) {
+      // Let the player retry the same guess
+      setArchiveUsedPlayers(prev => {
+        const next = new Set(prev);
+        next.delete(playerKey);
+        return next;
+      });
       setIsChecking(false);
       return;
     }
@@ -271,16 +398,33 @@ function App() {
     }, 300);
   };
 
+  /**
+   * Unlock the next hint for the puzzle being played
+   */
+  const handleRequestHint = async () => {
+    if (hintLoading) return;
+    setHintLoading(true);
+
+    if (archiveMode) {
+      const hints = await unlockArchiveHint(archivePuzzle, archiveHints.length);
+      if (hints) setArchiveHints(hints);
+    } else {
+      const hints = await unlockDailyHint(currentPuzzle, dailyHints.length);
+      if (hints) recordHints(hints);
+    }
+
+    setHintLoading(false);
+  };
+
   // Track if this is initial load to prevent duplicate modal opening
   const [isInitialLoad, setIsInitialLoad] = useState(true);
 
   useEffect(() => {
-    if (guesses.length > 0 && currentPuzzle) {
-      const rebuiltFeedback = guesses.map(playerKey => {
-        return generateNewFeedback(playerKey);
-      }).filter(Boolean);
+    // Saved progress (including games resumed from another device) is final once the puzzle loads
+    if (!currentPuzzle) return;
 
-      setFeedbackList(rebuiltFeedback);
+    if (guesses.length > 0 && savedFeedback.length >= guesses.length) {
+      setFeedbackList(savedFeedback);
       setUsedPlayers(new Set(guesses));
 
       if (isInitialLoad && alreadyCompleted && !modalShown) {
@@ -296,42 +440,51 @@ function App() {
       }
     }
     setIsInitialLoad(false);
-  }, [gameStatus, guesses.length, currentPuzzle, alreadyCompleted, modalShown, setModalShown]);
+  }, [gameStatus, guesses.length, savedFeedback.length, currentPuzzle, alreadyCompleted, modalShown, setModalShown]);
+
+  // Today's guesses waiting in the outbox for a connection (see lib/outbox.js)
+  const queuedGuessIds = outboxItems
+    .filter(item => item.kind === 'guess' && item.body.packId === packId && item.body.puzzleDate === currentPuzzle?.puzzleDate)
+    .map(item => item.body.playerId);
 
   const handlePlayerGuess = async (playerKey) => {
-    if (gameWon || gameOver || usedPlayers.has(playerKey) || alreadyCompleted || isChecking) return;
+    if (gameWon || gameOver || usedPlayers.has(playerKey) || alreadyCompleted || isChecking || queuedGuessIds.length > 0) return;
 
     setIsChecking(true);
     setUsedPlayers(prev => new Set([...prev, playerKey]));
 
-    let feedback;
+    const { feedback, queued } = await submitDailyGuess(currentPuzzle, playerKey, dailyHardMode);
 
-    if (USE_SUPABASE_VALIDATION && currentPuzzle?.id) {
-      try {
-        feedback = await validateGuess(currentPuzzle.id, playerKey);
-        if (!feedback || feedback.error) {
-          console.error('Server validation error:', feedback?.error);
-          feedback = generateNewFeedback(playerKey);
-        }
-      } catch (err) {
-        console.error('Supabase error:', err);
-        feedback = generateNewFeedback(playerKey);
-      }
-    } else {
-      feedback = generateNewFeedback(playerKey);
+    if (queued) {
+      // Checked once we're back online (see handleOutboxSettled)
+      setIsChecking(false);
+      return;
     }
 
     if (!feedback) {
-      console.warn('Player not found:', playerKey);
+      console.warn('Could not check guess:', playerKey);
+      // Let the player retry the same guess
+      setUsedPlayers(prev => {
+        const next = new Set(prev);
+        next.delete(playerKey);
+        return next;
+      });
       setIsChecking(false);
       return;
     }
 
+    revealDailyFeedback(playerKey, feedback);
+  };
+
+  /**
+   * Show the server's feedback for a daily guess and end the game if it's over
+   */
+  const revealDailyFeedback = (playerKey, feedback) => {
     setPendingFeedback(feedback);
 
     setTimeout(() => {
       const isWin = feedback.isMVP;
-      const { newState, isGameOver } = recordGuess(playerKey, isWin);
+      recordGuess(playerKey, feedback, dailyHardMode);
 
       const newFeedbackList = [...feedbackList, feedback];
       setNewFeedbackIndex(newFeedbackList.length - 1);
@@ -351,37 +504,70 @@ function App() {
     }, 300);
   };
 
-  const handleCloseModal = () => {
-    setShowSuccessModal(false);
-    setShowGameOverModal(false);
+  /**
+   * Take today's game from the server when it doesn't match ours
+   */
+  const applyServerProgress = async () => {
+    const progress = await reconcileProgress();
+    if (!progress) return;
+
+    setFeedbackList(progress.feedback);
+    setUsedPlayers(new Set(progress.guesses));
+    if (progress.gameStatus === 'won') {
+      setGameWon(true);
+      setShowSuccessModal(true);
+    } else if (progress.gameStatus === 'lost') {
+      setGameOver(true);
+      setShowGameOverModal(true);
+    }
   };
 
-  const generateShareText = () => {
-    const feedbackLines = feedbackList.map(feedback => {
-      const played = feedback.playedInGame ? '🟢' : '🔴';
-      const team = feedback.sameTeam ? '🟢' : '🔴';
-      const role = feedback.sameRole ? '🟢' : '🔴';
-      const motm = feedback.isMVP ? '🏆' : '🔴';
-      return played + team + role + motm;
-    });
+  /**
+   * A queued guess for today's puzzle reached the server (or was refused)
+   * Its feedback is shown as usual if it follows on from the game we have;
+   * otherwise (e.g. guesses were made on another device meanwhile) the
+   * server's game replaces ours.
+   */
+  function handleOutboxSettled({ type, item, response }) {
+    if (item.kind !== 'guess' || item.body.packId !== packId || item.body.puzzleDate !== currentPuzzle?.puzzleDate) return;
+
+    const { playerId } = item.body;
+    const feedback = type === 'delivered' ? response.data?.feedback : null;
 
-    const gridPattern = feedbackLines.join('\n');
-    const streakText = stats.currentStreak > 1 ? '🔥' + stats.currentStreak : '';
+    if (feedback && !guesses.includes(playerId)) {
+      const expectedStatus = feedback.isMVP ? 'won' : (guesses.length + 1 >= maxGuesses ? 'lost' : 'in_progress');
+      if (response.data.gameStatus === expectedStatus) {
+        revealDailyFeedback(playerId, feedback);
+        return;
+      }
+    }
+
+    if (!feedback) {
+      showError(`Couldn't record your guess: ${response.data?.error || 'please try again'}`);
+      setUsedPlayers(prev => {
+        const next = new Set(prev);
+        next.delete(playerId);
+        return next;
+      });
+    }
+    applyServerProgress();
+  }
 
-    return '🏏 Bowldem #' + puzzleNumber + '\n\n' + gridPattern + (streakText ? '\n\n' + streakText : '') + '\n\nbowldem.com';
+  const handleCloseModal = () => {
+    setShowSuccessModal(false);
+    setShowGameOverModal(false);
   };
 
+  const generateShareText = () => buildShareText(puzzleNumber, feedbackList, stats.currentStreak, packId, {
+    hardMode: gameHardMode,
+    hintsUsed: dailyHints.length
+  });
+
   // GameRadar component - renders emoji feedback grid in modals
   const GameRadar = ({ feedback }) => {
     if (!feedback || feedback.length === 0) return null;
 
-    const feedbackLines = feedback.map(fb => {
-      const played = fb.playedInGame ? '🟢' : '🔴';
-      const team = fb.sameTeam ? '🟢' : '🔴';
-      const role = fb.sameRole ? '🟢' : '🔴';
-      const motm = fb.isMVP ? '🏆' : '🔴';
-      return played + team + role + motm;
-    });
+    const feedbackLines = getFeedbackGridLines(feedback);
 
     return (
       <div className="game-radar">
@@ -404,6 +590,88 @@ function App() {
     });
   };
 
+  // Share the result as a picture: through Discord's share dialog, or copied
+  // (downloaded if the clipboard won't take images) outside Discord
+  const handleShareImage = async () => {
+    const blob = await renderShareImage({
+      puzzleNumber,
+      feedbackList,
+      packId,
+      won: dailyStatus === 'won',
+      maxGuesses,
+      currentStreak: stats.currentStreak,
+      rank: userRanking,
+      rankLabel: leaderboardMode === 'guild' && guildId ? 'in this server' : 'worldwide',
+      matchContext: reveal?.matchContext,
+      hardMode: gameHardMode,
+      hintsUsed: dailyHints.length
+    });
+    if (!blob) {
+      showError("Couldn't create the image");
+      return;
+    }
+
+    const fileName = `bowldem-${puzzleNumber}.png`;
+    if (await shareImage(blob, fileName)) return;
+
+    try {
+      await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+      showSuccess('Image copied to clipboard');
+    } catch (e) {
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      showInfo('Image downloaded');
+    }
+  };
+
+  // Post the result into the channel the activity was launched from (see api/share.js)
+  // Tracked per puzzle, so switching packs or closing the modal keeps "Posted"
+  const channelShareKey = `${packId}:${puzzleDate}`;
+  const channelShareState = channelShares[channelShareKey] || 'idle';
+
+  const handleShareToChannel = async () => {
+    const key = channelShareKey;
+    const setShareState = state => setChannelShares(prev => ({ ...prev, [key]: state }));
+
+    setShareState('posting');
+    const result = await shareToChannel(puzzleDate, packId);
+    if (result.success) {
+      setShareState('posted');
+      if (!result.duplicate) showSuccess('Posted to the channel');
+    } else {
+      setShareState(undefined);
+      showError(result.error);
+    }
+  };
+
+  const canShareToChannel = channelSharing;
+
+  // Notify Me: join or leave the role pinged by the daily announcement
+  const handleToggleReminders = async () => {
+    const result = await toggleReminders();
+    if (!result.success) {
+      showError(result.error);
+    } else if (remindersOn) {
+      showInfo('Reminders off');
+    } else {
+      showSuccess('You\'ll be pinged when the next puzzle is live');
+    }
+  };
+
+  const channelShareButton = canShareToChannel && (
+    <button
+      className={`btn-share-channel ${channelShareState === 'posted' ? 'posted' : ''}`}
+      onClick={handleShareToChannel}
+      disabled={channelShareState !== 'idle'}
+    >
+      {channelShareState === 'posted' ? 'Posted ✓' : channelShareState === 'posting' ? 'Posting…' : 'Share to channel'}
+    </button>
+  );
+
   const handleShareX = () => {
     const shareText = generateShareText();
     const url = `https://twitter.com/intent/tweet?text=${encodeURIComponent(shareText)}`;
@@ -426,10 +694,13 @@ function App() {
     const venue = scorecard.venue || "Unknown Venue";
     const team1Score = scorecard.team1Score;
     const team2Score = scorecard.team2Score;
-    const result = scorecard.result;
+    const result = reveal?.scorecard?.result;
+    const gameFinished = archiveMode ? (archiveGameOver || archiveGameWon) : (gameOver || gameWon || alreadyCompleted);
 
-    const puzzleHighlight = matchHighlightsData.highlights.find(h => h.puzzleId === puzzle.id);
-    const matchContext = puzzleHighlight?.matchContext;
+    // Team names and the match context stay hidden unless unlocked as hints
+    const hints = archiveMode ? archiveHints : dailyHints;
+    const teamsHint = findHint(hints, 'teams');
+    const matchContext = findHint(hints, 'context')?.matchContext || (gameFinished ? reveal?.matchContext : null);
 
     return (
       <div className="scorecard-simplified">
@@ -448,17 +719,17 @@ function App() {
         {team1Score && team2Score && (
           <div className="match-scores">
             <div className="team-score">
-              <span className="team-label">Team 1</span>
+              <span className="team-label">{teamsHint?.team1Name || 'Team 1'}</span>
               <span className="score-value">{team1Score}</span>
             </div>
             <div className="vs-divider">vs</div>
             <div className="team-score">
-              <span className="team-label">Team 2</span>
+              <span className="team-label">{teamsHint?.team2Name || 'Team 2'}</span>
               <span className="score-value">{team2Score}</span>
             </div>
           </div>
         )}
-        {result && (archiveMode ? (archiveGameOver || archiveGameWon) : (gameOver || gameWon || alreadyCompleted)) && (
+        {result && gameFinished && (
           <div className="match-result">{result}</div>
         )}
       </div>
@@ -466,11 +737,9 @@ function App() {
   };
 
   const SuccessModal = () => {
-    const puzzle = archiveMode ? archivePuzzle : currentPuzzle;
     const currentFeedbackList = archiveMode ? archiveFeedbackList : feedbackList;
     const displayPuzzleNumber = archiveMode ? archivePuzzleNumber : puzzleNumber;
-    const targetPlayerKey = puzzle?.targetPlayer;
-    const targetPlayer = findPlayer(targetPlayerKey);
+    const targetPlayerName = reveal?.targetPlayerName;
 
     if (archiveMode) {
       return (
@@ -481,7 +750,7 @@ function App() {
           <div className="result-emoji">🏆</div>
           <h2 className="result-title">Archive Complete!</h2>
           <p className="result-subtitle">
-            Found <strong>{targetPlayer?.fullName}</strong> in {currentFeedbackList.length}/{maxGuesses}
+            Found <strong>{targetPlayerName}</strong> in {currentFeedbackList.length}/{maxGuesses}
           </p>
           <div className="result-actions">
             <button className="btn-result-secondary" onClick={() => {
@@ -514,7 +783,12 @@ function App() {
 
         <GameRadar feedback={currentFeedbackList} />
 
-        <p className="result-text">Solved in {currentFeedbackList.length}/{maxGuesses}!</p>
+        <p className="result-text">
+          Solved in {currentFeedbackList.length}/{maxGuesses}!
+          {dailyHints.length > 0 && ` 💡 ${dailyHints.length} ${dailyHints.length === 1 ? 'hint' : 'hints'}`}
+        </p>
+
+        {channelShareButton}
 
         <div className="modal-share-buttons">
           <button className="modal-share-btn share-btn-x" onClick={handleShareX} title="Share on X">
@@ -527,6 +801,13 @@ function App() {
               <path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413z"/>
             </svg>
           </button>
+          <button className="modal-share-btn share-btn-image" onClick={handleShareImage} title="Share as image">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect>
+              <circle cx="8.5" cy="8.5" r="1.5"></circle>
+              <polyline points="21 15 16 10 5 21"></polyline>
+            </svg>
+          </button>
           <button
             className={`modal-share-btn share-btn-copy ${copyButtonState === 'copied' ? 'copied' : ''}`}
             onClick={handleShare}
@@ -559,11 +840,9 @@ function App() {
   };
 
   const GameOverModal = () => {
-    const puzzle = archiveMode ? archivePuzzle : currentPuzzle;
     const currentFeedbackList = archiveMode ? archiveFeedbackList : feedbackList;
     const displayPuzzleNumber = archiveMode ? archivePuzzleNumber : puzzleNumber;
-    const targetPlayerKey = puzzle?.targetPlayer;
-    const targetPlayer = findPlayer(targetPlayerKey);
+    const targetPlayerName = reveal?.targetPlayerName;
 
     if (archiveMode) {
       return (
@@ -574,7 +853,7 @@ function App() {
           <div className="result-emoji">😔</div>
           <h2 className="result-title">Game Over</h2>
           <p className="result-subtitle">
-            The answer was <strong>{targetPlayer?.fullName || "Unknown"}</strong>
+            The answer was <strong>{targetPlayerName || "Unknown"}</strong>
           </p>
           <div className="result-actions">
             <button className="btn-result-secondary" onClick={() => {
@@ -609,12 +888,17 @@ function App() {
 
         <p className="result-text">Better luck tomorrow!</p>
 
+        {channelShareButton}
+
         <button
           className={`btn-copy-result ${copyButtonState === 'copied' ? 'copied' : ''}`}
           onClick={handleShare}
         >
           {copyButtonState === 'copied' ? 'Copied ✓' : 'Copy Result'}
         </button>
+        <button className="btn-share-image" onClick={handleShareImage}>
+          Share as Image
+        </button>
       </div>
     );
   };
@@ -669,7 +953,8 @@ function App() {
                 • The venue can hint at which teams played<br/>
                 • Y on "Played" means you're getting closer<br/>
                 • Y on "Team" narrows it to 11 players<br/>
-                • Y on "Role" narrows it by position
+                • Y on "Role" narrows it by position<br/>
+                • Stuck? Unlock up to {MAX_HINTS} hints, each adds {HINT_PENALTY} to your guess count on the leaderboard
               </div>
             </div>
           </div>
@@ -703,6 +988,7 @@ function App() {
     <div className={shouldShowConfetti ? 'page-celebrating' : ''}>
       {/* Confetti celebration on win */}
       <Confetti trigger={shouldShowConfetti} duration={3500} />
+      <ToastContainer toasts={toasts} onDismiss={removeToast} />
 
       <div className="page-background">
         <div className="game-layout">
@@ -715,6 +1001,15 @@ function App() {
                 {archiveMode && (
                   <span className="archive-badge">Archive</span>
                 )}
+                {(offline || outboxItems.length > 0) && (
+                  <span
+                    className={`connection-badge ${offline ? 'offline' : ''}`}
+                    title={offline ? "Can't reach the server - your moves are saved and sent when you reconnect" : 'Sending saved moves'}
+                  >
+                    {offline ? 'Offline' : 'Syncing'}
+                    {outboxItems.length > 0 && ` · ${outboxItems.length} queued`}
+                  </span>
+                )}
               </div>
               <div className="header-right">
                 {/* Discord invite button */}
@@ -756,6 +1051,16 @@ function App() {
                     </button>
                   </>
                 )}
+                {canManageGuild && !archiveMode && (
+                  <button
+                    className="icon-btn"
+                    onClick={() => setShowGuildEditor(true)}
+                    title="Server Puzzles"
+                    aria-label="Server Puzzles"
+                  >
+                    <Icon name="settings" size={20} />
+                  </button>
+                )}
                 <button
                   className="icon-btn"
                   onClick={() => setShowHowToPlay(true)}
@@ -775,7 +1080,21 @@ function App() {
               </div>
             </div>
 
+            {!archiveMode && (
+              <PackPicker
+                packs={packs}
+                activePackId={packId}
+                onSelect={handleSelectPack}
+                disabled={isChecking}
+              />
+            )}
+
             {/* Clue Card */}
+            {!archiveMode && !currentPuzzle && (
+              <div className="puzzle-status">
+                {puzzleLoading ? 'Loading puzzle...' : (puzzleError || 'Puzzle unavailable')}
+              </div>
+            )}
             {renderSimplifiedScorecard()}
 
             {/* Hero Section - Input */}
@@ -785,27 +1104,62 @@ function App() {
                   <div className="hero-prompt">
                     <span className="hero-text">Who's the Man of the Match?</span>
                   </div>
+                  <HardModeToggle
+                    enabled={hardModeEnabled}
+                    active={hardModeEnabled}
+                    locked={archiveFeedbackList.length > 0}
+                    onChange={handleHardModeChange}
+                  />
                   <PlayerAutocomplete
-                    players={allPlayersData.players}
+                    players={autocompletePlayers}
                     onSelectPlayer={handleArchiveGuess}
                     disabled={archiveGameWon || archiveGameOver}
                     usedPlayers={archiveUsedPlayers}
                     priorityPlayerIds={priorityPlayerIds}
+                    getPlayerWarning={archivePlayerWarning}
+                  />
+                  <HintPanel
+                    hints={archiveHints}
+                    available={getAvailableHints(archivePuzzle?.hasTeamsHint)}
+                    onRequestHint={handleRequestHint}
+                    loading={hintLoading}
+                    disabled={isChecking}
+                    showPenalty={false}
                   />
                 </div>
               )
             ) : (
-              !gameWon && !gameOver && !alreadyCompleted && (
+              currentPuzzle && !gameWon && !gameOver && !alreadyCompleted && (
                 <div className="hero-section">
                   <div className="hero-prompt">
                     <span className="hero-text">Who's the Man of the Match?</span>
                   </div>
+                  <HardModeToggle
+                    enabled={hardModeEnabled}
+                    active={gameHardMode}
+                    locked={guesses.length > 0}
+                    onChange={handleHardModeChange}
+                  />
                   <PlayerAutocomplete
-                    players={allPlayersData.players}
+                    players={autocompletePlayers}
                     onSelectPlayer={handlePlayerGuess}
-                    disabled={gameWon || gameOver}
+                    disabled={gameWon || gameOver || queuedGuessIds.length > 0}
                     usedPlayers={usedPlayers}
                     priorityPlayerIds={priorityPlayerIds}
+                    getPlayerWarning={dailyPlayerWarning}
+                  />
+                  {queuedGuessIds.length > 0 && (
+                    <div className="queued-guess-notice">
+                      📡 {autocompletePlayers.find(p => p.id === queuedGuessIds[0])?.fullName || 'Your guess'} will
+                      be checked as soon as you're back online
+                    </div>
+                  )}
+                  <HintPanel
+                    hints={dailyHints}
+                    available={getAvailableHints(currentPuzzle?.hasTeamsHint)}
+                    onRequestHint={handleRequestHint}
+                    loading={hintLoading}
+                    disabled={isChecking}
                   />
                 </div>
               )
@@ -818,9 +1172,12 @@ function App() {
                 guessesUsed={feedbackList.length}
                 maxGuesses={maxGuesses}
                 streak={stats.currentStreak}
-                playerName={findPlayer(currentPuzzle?.targetPlayer)?.fullName}
+                playerName={reveal?.targetPlayerName}
                 displayName={discordUsername}
                 hasSubmitted={hasLeaderboardSubmitted}
+                onNotifyMe={remindersOn === null ? null : handleToggleReminders}
+                notifySubscribed={!!remindersOn}
+                notifyUpdating={remindersUpdating}
                 onShareX={handleShareX}
                 onShareWhatsApp={handleShareWhatsApp}
                 onCopy={handleShare}
@@ -830,12 +1187,17 @@ function App() {
                 onViewLeaderboard={() => setShowLeaderboardModal(true)}
                 onOpenArchive={() => setShowArchiveModal(true)}
                 matchHighlight={matchHighlight}
-                scorecard={currentPuzzle?.matchData?.scorecard}
-                targetPlayerTeam={currentPuzzle?.matchData?.targetPlayerTeam}
-                cricinfoUrl={currentPuzzle?.cricinfoUrl}
+                scorecard={reveal?.scorecard}
+                targetPlayerTeam={reveal?.targetPlayerTeam}
+                cricinfoUrl={reveal?.cricinfoUrl}
               />
             )}
 
+            {/* Race - everyone in this activity instance */}
+            {!archiveMode && (
+              <RacePanel racers={racers} roundOver={raceRoundOver} maxGuesses={maxGuesses} />
+            )}
+
             {/* Feedback */}
             <ThirdUmpireFeedback
               feedbackList={archiveMode ? archiveFeedbackList : feedbackList}
@@ -860,21 +1222,24 @@ function App() {
                     leaderboardEntries={puzzleLeaderboard}
                     leaderboardLoading={puzzleLeaderboardLoading}
                     onSubmitToLeaderboard={async () => {
-                      await submitToLeaderboard(feedbackList.length, gameStatus === 'won');
+                      await submitToLeaderboard();
                       fetchPuzzleLeaderboard();
                     }}
                     isSubmitting={isLeaderboardSubmitting}
                     onViewLeaderboard={() => setShowLeaderboardModal(true)}
+                    onNotifyMe={remindersOn === null ? null : handleToggleReminders}
+                    notifySubscribed={!!remindersOn}
+                    notifyUpdating={remindersUpdating}
                     onShareX={handleShareX}
                     onShareWhatsApp={handleShareWhatsApp}
                     onCopy={handleShare}
                     copyState={copyButtonState}
                     onOpenArchive={() => setShowArchiveModal(true)}
                     matchHighlight={matchHighlight}
-                    scorecard={currentPuzzle?.matchData?.scorecard}
-                    targetPlayerTeam={currentPuzzle?.matchData?.targetPlayerTeam}
-                    playerName={findPlayer(currentPuzzle?.targetPlayer)?.fullName}
-                    cricinfoUrl={currentPuzzle?.cricinfoUrl}
+                    scorecard={reveal?.scorecard}
+                    targetPlayerTeam={reveal?.targetPlayerTeam}
+                    playerName={reveal?.targetPlayerName}
+                    cricinfoUrl={reveal?.cricinfoUrl}
                     leaderboardMode={leaderboardMode}
                     onToggleLeaderboardMode={() => setLeaderboardMode(m => m === 'guild' ? 'global' : 'guild')}
                     guildId={guildId}
@@ -891,6 +1256,7 @@ function App() {
                 ) : (
                   <LiveLeaderboard
                     entries={puzzleLeaderboard}
+                    newEntries={newLeaderboardEntries}
                     loading={puzzleLeaderboardLoading}
                     gameCompleted={gameWon || gameOver}
                     won={gameWon}
@@ -899,7 +1265,7 @@ function App() {
                     userRanking={userRanking}
                     guessesUsed={feedbackList.length}
                     onSubmit={async () => {
-                      await submitToLeaderboard(feedbackList.length, gameWon);
+                      await submitToLeaderboard();
                       fetchPuzzleLeaderboard();
                     }}
                     isSubmitting={isLeaderboardSubmitting}
@@ -951,6 +1317,7 @@ function App() {
             <div className="game-sidebar">
               <LiveLeaderboard
                 entries={puzzleLeaderboard}
+                newEntries={newLeaderboardEntries}
                 loading={puzzleLeaderboardLoading}
                 gameCompleted={gameWon || gameOver || alreadyCompleted}
                 won={gameWon || gameStatus === 'won'}
@@ -959,7 +1326,7 @@ function App() {
                 userRanking={userRanking}
                 guessesUsed={feedbackList.length}
                 onSubmit={async () => {
-                  await submitToLeaderboard(feedbackList.length, gameWon || gameStatus === 'won');
+                  await submitToLeaderboard();
                   fetchPuzzleLeaderboard();
                 }}
                 isSubmitting={isLeaderboardSubmitting}
@@ -1005,6 +1372,7 @@ function App() {
         <div className="game-overlay" onClick={() => setShowArchiveModal(false)}>
           <div onClick={e => e.stopPropagation()}>
             <ArchiveModal
+              packId={packId}
               onClose={() => setShowArchiveModal(false)}
               onSelectPuzzle={handleSelectArchivePuzzle}
             />
@@ -1012,6 +1380,17 @@ function App() {
         </div>
       )}
 
+      {showGuildEditor && (
+        <div className="game-overlay" onClick={() => setShowGuildEditor(false)}>
+          <div onClick={e => e.stopPropagation()}>
+            <GuildPuzzleEditor
+              onClose={() => setShowGuildEditor(false)}
+              onScheduled={handleGuildPuzzleScheduled}
+            />
+          </div>
+        </div>
+      )}
+
       {showLeaderboardModal && (
         <div className="game-overlay" onClick={() => {
           setShowLeaderboardModal(false);
@@ -1031,6 +1410,8 @@ function App() {
               leaderboardMode={leaderboardMode}
               onToggleLeaderboardMode={() => setLeaderboardMode(m => m === 'guild' ? 'global' : 'guild')}
               guildId={guildId}
+              packId={packId}
+              newEntries={newLeaderboardEntries}
             />
           </div>
         </div>
@@ -5,17 +5,22 @@
 
 import React, { useState, useEffect } from 'react';
 import { getArchivePuzzles } from '../lib/supabase.js';
-import { EPOCH_DATE, getPuzzleNumber } from '../utils/dailyPuzzle.js';
-
-// Storage key for archive completion tracking
-const ARCHIVE_STORAGE_KEY = 'bowldem_archive_completed';
+import { DEFAULT_PACK_ID } from '../utils/packs.js';
+import {
+  EPOCH_DATE,
+  getPuzzleNumber,
+  getToday,
+  addDays,
+  STORAGE_KEYS,
+  getUserStorageKey
+} from '../utils/dailyPuzzle.js';
 
 /**
  * Load completed archive puzzles from localStorage
  */
 function loadArchiveCompleted() {
   try {
-    const stored = localStorage.getItem(ARCHIVE_STORAGE_KEY);
+    const stored = localStorage.getItem(getUserStorageKey(STORAGE_KEYS.ARCHIVE_COMPLETED));
     return stored ? JSON.parse(stored) : {};
   } catch {
     return {};
@@ -24,25 +29,21 @@ function loadArchiveCompleted() {
 
 /**
  * Generate local archive list based on EPOCH_DATE
- * Used as fallback if Supabase doesn't have puzzle_date data
+ * Used as fallback if Supabase doesn't have puzzle_date data (the bundled
+ * puzzles only cover the default pack)
  */
-function generateLocalArchive() {
+function generateLocalArchive(packId) {
   const archive = [];
-  const today = new Date();
-  const epoch = new Date(EPOCH_DATE + 'T00:00:00Z');
+  if (packId !== DEFAULT_PACK_ID) return archive;
 
-  // Start from day after epoch, go up to yesterday
-  const current = new Date(epoch);
-  current.setDate(current.getDate() + 1);
+  const today = getToday();
 
-  while (current < today) {
-    const dateStr = current.toISOString().split('T')[0];
-    const puzzleNumber = getPuzzleNumber(dateStr);
+  // Start from day after epoch, go up to yesterday
+  for (let dateStr = addDays(EPOCH_DATE, 1); dateStr < today; dateStr = addDays(dateStr, 1)) {
     archive.push({
       puzzle_date: dateStr,
-      puzzle_number: puzzleNumber
+      puzzle_number: getPuzzleNumber(dateStr)
     });
-    current.setDate(current.getDate() + 1);
   }
 
   // Return in reverse order (newest first)
@@ -61,7 +62,7 @@ function formatDate(dateStr) {
   });
 }
 
-export function ArchiveModal({ onClose, onSelectPuzzle }) {
+export function ArchiveModal({ packId, onClose, onSelectPuzzle }) {
   const [archivePuzzles, setArchivePuzzles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [completedPuzzles, setCompletedPuzzles] = useState({});
@@ -74,20 +75,20 @@ export function ArchiveModal({ onClose, onSelectPuzzle }) {
       setCompletedPuzzles(loadArchiveCompleted());
 
       // Try to fetch from Supabase first
-      const supabaseData = await getArchivePuzzles();
+      const supabaseData = await getArchivePuzzles(packId);
 
       if (supabaseData && supabaseData.length > 0) {
         setArchivePuzzles(supabaseData);
       } else {
         // Fallback to local calculation
-        setArchivePuzzles(generateLocalArchive());
+        setArchivePuzzles(generateLocalArchive(packId));
       }
 
       setLoading(false);
     }
 
     loadArchive();
-  }, []);
+  }, [packId]);
 
   const handlePuzzleClick = (puzzle) => {
     onSelectPuzzle(puzzle.puzzle_date, puzzle.puzzle_number);
@@ -158,7 +159,7 @@ export function saveArchiveCompletion(puzzleDate, result) {
   try {
     const completed = loadArchiveCompleted();
     completed[puzzleDate] = result; // 'won' or 'lost'
-    localStorage.setItem(ARCHIVE_STORAGE_KEY, JSON.stringify(completed));
+    localStorage.setItem(getUserStorageKey(STORAGE_KEYS.ARCHIVE_COMPLETED), JSON.stringify(completed));
   } catch (e) {
     console.warn('Failed to save archive completion:', e);
   }
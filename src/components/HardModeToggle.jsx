@@ -0,0 +1,43 @@
+/**
+ * HardModeToggle Component
+ * Switch for Wordle-style hard mode, shown above the guess input.
+ * Locked once the current game has a guess, since the mode is fixed by the
+ * first guess (see src/utils/hardMode.js).
+ */
+
+import React from 'react';
+import './HardModeToggle.css';
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.enabled - Hard mode setting
+ * @param {boolean} props.active - Whether the current game is in hard mode
+ * @param {boolean} props.locked - The game has started, so the mode can't change
+ * @param {Function} props.onChange - Called with the new setting
+ */
+export function HardModeToggle({ enabled, active, locked, onChange }) {
+  const checked = locked ? active : enabled;
+
+  return (
+    <label className={`hard-mode-toggle ${locked ? 'locked' : ''}`}>
+      <input
+        type="checkbox"
+        role="switch"
+        checked={checked}
+        disabled={locked}
+        onChange={e => onChange(e.target.checked)}
+      />
+      <span className="hard-mode-switch" aria-hidden="true" />
+      <span className="hard-mode-label">
+        Hard mode
+        <span className="hard-mode-hint">
+          {locked
+            ? (active ? 'Every guess must fit the clues so far' : 'Applies from your next game')
+            : 'Every guess must fit the clues so far'}
+        </span>
+      </span>
+    </label>
+  );
+}
+
+export default HardModeToggle;
@@ -0,0 +1,54 @@
+/**
+ * HintPanel Component
+ * Lists the hints unlocked so far and unlocks the next one. Hints come in a
+ * fixed order (see src/utils/hints.js) and each costs a little on the leaderboard.
+ */
+
+import React from 'react';
+import { HINTS, HINT_PENALTY, formatHint } from '../utils/hints.js';
+import './HintPanel.css';
+
+/**
+ * @param {Object} props
+ * @param {Array} props.hints - Hints unlocked so far
+ * @param {Array} props.available - Hints this puzzle offers (see getAvailableHints)
+ * @param {Function} props.onRequestHint - Unlocks the next hint
+ * @param {boolean} props.loading - A hint is being unlocked
+ * @param {boolean} props.disabled
+ * @param {boolean} props.showPenalty - Mention the leaderboard penalty (daily game only)
+ */
+export function HintPanel({ hints, available = HINTS, onRequestHint, loading = false, disabled = false, showPenalty = true }) {
+  const nextHint = available[hints.length];
+  const getLabel = hint => HINTS.find(({ type }) => type === hint.type)?.label;
+
+  return (
+    <div className="hint-panel">
+      {hints.length > 0 && (
+        <ul className="hint-list">
+          {hints.map(hint => (
+            <li key={hint.type} className="hint-item">
+              <span className="hint-label">💡 {getLabel(hint)}</span>
+              <span className="hint-value">{formatHint(hint)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {nextHint && (
+        <button
+          type="button"
+          className="hint-button"
+          onClick={onRequestHint}
+          disabled={disabled || loading}
+        >
+          {loading ? 'Unlocking...' : `Hint ${hints.length + 1}/${available.length}: ${nextHint.label}`}
+          {showPenalty && !loading && (
+            <span className="hint-penalty">+{HINT_PENALTY} guess on the leaderboard</span>
+          )}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default HintPanel;
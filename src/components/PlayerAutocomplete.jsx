@@ -1,4 +1,4 @@
-import React, { useState, useMemo, useRef, useEffect } from 'react';
+import React, { useState, useMemo, useRef, useEffect, useId } from 'react';
 
 /**
  * PlayerAutocomplete - Enhanced Text Input with Autocomplete
@@ -10,6 +10,9 @@ import React, { useState, useMemo, useRef, useEffect } from 'react';
  * - Touch-friendly with 44px+ targets
  * - Country display in suggestions
  * - Mobile-friendly with 16px font (prevents iOS zoom)
+ * - Optional "add new player" entry (onAddPlayer) for authoring server puzzles
+ * - Optional per-player warning (getPlayerWarning): flagged players are listed
+ *   last with the reason and can't be picked (used by hard mode)
  */
 
 // Country flag emoji mapping
@@ -72,13 +75,20 @@ function getCountryCode(country) {
   return COUNTRY_CODES[country] || country?.slice(0, 3).toUpperCase() || '';
 }
 
+// Shared default so the suggestions memo isn't invalidated on every render
+const NO_PLAYER_IDS = new Set();
+
 export function PlayerAutocomplete({
   players,
   onSelectPlayer,
   disabled,
-  usedPlayers = new Set(),
-  priorityPlayerIds = new Set()
+  usedPlayers = NO_PLAYER_IDS,
+  priorityPlayerIds = NO_PLAYER_IDS,
+  onAddPlayer = null,
+  getPlayerWarning = null,
+  placeholder = 'Type player name (min 3 letters)...'
 }) {
+  const listboxId = useId();
   const [query, setQuery] = useState('');
   const [isOpen, setIsOpen] = useState(false);
   const [highlightedIndex, setHighlightedIndex] = useState(0);
@@ -112,15 +122,23 @@ export function PlayerAutocomplete({
     });
 
     return filtered
+      .map(player => ({ player, warning: getPlayerWarning?.(player) || null }))
       .sort((a, b) => {
-        const aPriority = priorityPlayerIds.has(a.id);
-        const bPriority = priorityPlayerIds.has(b.id);
+        if (!a.warning !== !b.warning) return a.warning ? 1 : -1;
+        const aPriority = priorityPlayerIds.has(a.player.id);
+        const bPriority = priorityPlayerIds.has(b.player.id);
         if (aPriority && !bPriority) return -1;
         if (!aPriority && bPriority) return 1;
-        return a.fullName.localeCompare(b.fullName);
+        return a.player.fullName.localeCompare(b.player.fullName);
       })
       .slice(0, 10);
-  }, [query, players, usedPlayers, priorityPlayerIds]);
+  }, [query, players, usedPlayers, priorityPlayerIds, getPlayerWarning]);
+
+  // Offer the typed name as a new player unless it's an exact match
+  const newPlayerName = query.trim().replace(/\s+/g, ' ');
+  const canAddPlayer = !!onAddPlayer && newPlayerName.length >= 3 &&
+    !suggestions.some(({ player }) => player.fullName.toLowerCase() === newPlayerName.toLowerCase());
+  const optionCount = suggestions.length + (canAddPlayer ? 1 : 0);
 
   // Reset highlighted index when suggestions change
   useEffect(() => {
@@ -144,13 +162,21 @@ export function PlayerAutocomplete({
     setHighlightedIndex(0);
   };
 
-  const handleSelectPlayer = (player) => {
+  const handleSelectPlayer = ({ player, warning }) => {
+    if (warning) return;
     onSelectPlayer(player.id);
     setQuery('');
     setIsOpen(false);
     inputRef.current?.focus();
   };
 
+  const handleAddPlayer = () => {
+    onAddPlayer(newPlayerName);
+    setQuery('');
+    setIsOpen(false);
+    inputRef.current?.focus();
+  };
+
   const handleClear = () => {
     setQuery('');
     setIsOpen(false);
@@ -158,7 +184,7 @@ export function PlayerAutocomplete({
   };
 
   const handleKeyDown = (e) => {
-    if (!isOpen || suggestions.length === 0) {
+    if (!isOpen || optionCount === 0) {
       if (e.key === 'Enter') {
         e.preventDefault();
       }
@@ -168,7 +194,7 @@ export function PlayerAutocomplete({
     switch (e.key) {
       case 'ArrowDown':
         e.preventDefault();
-        setHighlightedIndex(i => Math.min(i + 1, suggestions.length - 1));
+        setHighlightedIndex(i => Math.min(i + 1, optionCount - 1));
         break;
       case 'ArrowUp':
         e.preventDefault();
@@ -178,6 +204,8 @@ export function PlayerAutocomplete({
         e.preventDefault();
         if (suggestions[highlightedIndex]) {
           handleSelectPlayer(suggestions[highlightedIndex]);
+        } else if (canAddPlayer) {
+          handleAddPlayer();
         }
         break;
       case 'Escape':
@@ -193,7 +221,7 @@ export function PlayerAutocomplete({
     setTimeout(() => setIsOpen(false), 200);
   };
 
-  const showDropdown = isOpen && suggestions.length > 0;
+  const showDropdown = isOpen && optionCount > 0;
 
   return (
     <div className="relative w-full">
@@ -207,7 +235,7 @@ export function PlayerAutocomplete({
           onKeyDown={handleKeyDown}
           onFocus={() => query.length >= 3 && setIsOpen(true)}
           onBlur={handleBlur}
-          placeholder="Type player name (min 3 letters)..."
+          placeholder={placeholder}
           disabled={disabled}
           className={`
             w-full pl-12 pr-12 py-4
@@ -228,7 +256,7 @@ export function PlayerAutocomplete({
           role="combobox"
           aria-expanded={showDropdown}
           aria-haspopup="listbox"
-          aria-controls="player-listbox"
+          aria-controls={listboxId}
           aria-autocomplete="list"
         />
 
@@ -271,7 +299,7 @@ export function PlayerAutocomplete({
       )}
 
       {/* No results message */}
-      {query.length >= 3 && suggestions.length === 0 && !isSearching && (
+      {query.length >= 3 && optionCount === 0 && !isSearching && (
         <div className="mt-2 p-4 text-center text-slate-500 bg-slate-50 rounded-xl border border-slate-200 animate-fade-in">
           <div className="text-2xl mb-2">🤔</div>
           No players found matching "<span className="font-medium">{query}</span>"
@@ -281,7 +309,7 @@ export function PlayerAutocomplete({
       {/* Dropdown suggestions */}
       {showDropdown && (
         <ul
-          id="player-listbox"
+          id={listboxId}
           ref={dropdownRef}
           role="listbox"
           className="absolute z-50 w-full bg-white
@@ -290,24 +318,27 @@ export function PlayerAutocomplete({
                      max-h-72 overflow-y-auto
                      animate-fade-in"
         >
-          {suggestions.map((player, index) => {
+          {suggestions.map((suggestion, index) => {
+            const { player, warning } = suggestion;
             const isHighlighted = index === highlightedIndex;
             return (
               <li
                 key={player.id}
                 role="option"
                 aria-selected={isHighlighted}
+                aria-disabled={!!warning}
                 className={`
                   flex items-center gap-3 px-4 py-3
-                  cursor-pointer transition-colors duration-100
+                  transition-colors duration-100
                   min-h-[56px]
+                  ${warning ? 'cursor-not-allowed opacity-60' : 'cursor-pointer'}
                   ${isHighlighted
                     ? 'bg-blue-50 border-l-4 border-l-blue-500'
                     : 'hover:bg-slate-50 border-l-4 border-l-transparent'
                   }
                   ${index !== suggestions.length - 1 ? 'border-b border-slate-100' : ''}
                 `}
-                onMouseDown={() => handleSelectPlayer(player)}
+                onMouseDown={() => handleSelectPlayer(suggestion)}
                 onMouseEnter={() => setHighlightedIndex(index)}
               >
                 {/* Country flag */}
@@ -325,10 +356,13 @@ export function PlayerAutocomplete({
                     <span className="text-slate-300">•</span>
                     <span className="text-slate-400">{player.role}</span>
                   </div>
+                  {warning && (
+                    <div className="text-xs font-medium text-amber-600 truncate">⚠️ {warning}</div>
+                  )}
                 </div>
 
                 {/* Keyboard hint for highlighted item */}
-                {isHighlighted && (
+                {isHighlighted && !warning && (
                   <div className="flex-shrink-0 hidden sm:flex items-center gap-1 text-xs text-slate-400">
                     <kbd className="px-1.5 py-0.5 bg-slate-100 rounded text-slate-500 font-mono">↵</kbd>
                   </div>
@@ -337,6 +371,30 @@ export function PlayerAutocomplete({
             );
           })}
 
+          {/* New player */}
+          {canAddPlayer && (
+            <li
+              role="option"
+              aria-selected={highlightedIndex === suggestions.length}
+              className={`
+                flex items-center gap-3 px-4 py-3
+                cursor-pointer transition-colors duration-100
+                min-h-[56px]
+                ${highlightedIndex === suggestions.length
+                  ? 'bg-blue-50 border-l-4 border-l-blue-500'
+                  : 'hover:bg-slate-50 border-l-4 border-l-transparent'
+                }
+              `}
+              onMouseDown={handleAddPlayer}
+              onMouseEnter={() => setHighlightedIndex(suggestions.length)}
+            >
+              <span className="text-xl flex-shrink-0">➕</span>
+              <div className="flex-1 min-w-0 font-semibold truncate text-slate-800">
+                Add "{newPlayerName}" as a new player
+              </div>
+            </li>
+          )}
+
           {/* Keyboard navigation hint */}
           <div className="hidden sm:flex items-center justify-center gap-4 px-4 py-2 bg-slate-50 border-t border-slate-100 text-xs text-slate-400">
             <span className="flex items-center gap-1">
@@ -40,6 +40,12 @@ export function StatsModal({ stats, onClose }) {
         </div>
       </div>
 
+      {stats.hardModeWins > 0 && (
+        <div className="stats-hard-mode">
+          💪 {stats.hardModeWins} hard mode {stats.hardModeWins === 1 ? 'win' : 'wins'}
+        </div>
+      )}
+
       <div className="guess-distribution">
         <h3>Guess Distribution</h3>
         {stats.guessDistribution.map((count, index) => (
@@ -1,15 +1,55 @@
 /**
  * LeaderboardModal Component (Discord Version)
- * Displays puzzle leaderboard and all-time leaderboard
+ * Displays puzzle, weekly, monthly and all-time leaderboards
  * Supports guild-specific and global views
  */
 
 import React, { useState, useEffect } from 'react';
-import { getLeaderboardForPuzzle, getAllTimeLeaderboard } from '../../lib/supabase.js';
+import { getLeaderboardForPuzzle, getAllTimeLeaderboard, getPeriodLeaderboard } from '../../lib/supabase.js';
 import { getDiscordAvatarUrl } from '../../lib/discord.jsx';
+import { getEntryPoints, compareEntries } from '../../utils/scoring.js';
+import { PERIODS, formatPeriod, getOldestPeriod } from '../../utils/periods.js';
+import { LeaderboardPodium } from './LeaderboardPodium.jsx';
 
 /**
- * LeaderboardModal - Shows puzzle + all-time leaderboards
+ * RankedPlayerEntry - One row of an aggregated (weekly, monthly or all-time) leaderboard
+ * @param {Object} props
+ * @param {Object} props.entry - Ranked player from getAllTimeLeaderboard or getPeriodLeaderboard
+ */
+function RankedPlayerEntry({ entry }) {
+  return (
+    <div className={`leaderboard-entry ${entry.rank <= 3 ? 'top-three' : ''}`}>
+      <span className="entry-rank">
+        {entry.rank === 1 && '🥇'}
+        {entry.rank === 2 && '🥈'}
+        {entry.rank === 3 && '🥉'}
+        {entry.rank > 3 && `${entry.rank}.`}
+      </span>
+      {entry.discord_avatar && (
+        <img
+          className="entry-avatar"
+          src={getDiscordAvatarUrl(entry.discord_user_id, entry.discord_avatar, 32)}
+          alt=""
+        />
+      )}
+      <span className="entry-name">{entry.discord_username}</span>
+      <span className="entry-stats">
+        <span className="points-badge">{entry.total_points} pts</span>
+        <span className="wins-badge">{entry.total_wins}W</span>
+        <span className="games-badge">{entry.games_played}G</span>
+        {entry.current_streak > 1 && (
+          <span className="streak-badge" title="Current streak">🔥{entry.current_streak}</span>
+        )}
+      </span>
+      <span className="entry-winrate">
+        {Math.round(entry.win_rate)}%
+      </span>
+    </div>
+  );
+}
+
+/**
+ * LeaderboardModal - Shows puzzle, weekly, monthly and all-time leaderboards
  * @param {Object} props
  * @param {number} props.puzzleNumber - Current puzzle number
  * @param {string} props.puzzleDate - Current puzzle date (YYYY-MM-DD)
@@ -20,6 +60,8 @@ import { getDiscordAvatarUrl } from '../../lib/discord.jsx';
  * @param {string} props.leaderboardMode - 'guild' or 'global'
  * @param {Function} props.onToggleLeaderboardMode - Toggle handler
  * @param {string} props.guildId - Discord guild ID
+ * @param {string} props.packId - Puzzle pack whose leaderboards are shown
+ * @param {Array} props.newEntries - Today's entries that just arrived over Realtime (see useLeaderboard)
  */
 export function LeaderboardModal({
   puzzleNumber,
@@ -30,22 +72,29 @@ export function LeaderboardModal({
   gameCompleted,
   leaderboardMode = 'guild',
   onToggleLeaderboardMode,
-  guildId
+  guildId,
+  packId,
+  newEntries = []
 }) {
-  const [activeTab, setActiveTab] = useState('today'); // 'today' or 'allTime'
+  const [activeTab, setActiveTab] = useState('today'); // 'today', 'week', 'month' or 'allTime'
+  const [periodsAgo, setPeriodsAgo] = useState(0);
   const [puzzleLeaderboard, setPuzzleLeaderboard] = useState([]);
   const [allTimeLeaderboard, setAllTimeLeaderboard] = useState([]);
+  const [periodLeaderboard, setPeriodLeaderboard] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [periodLoading, setPeriodLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  const queryGuildId = leaderboardMode === 'guild' ? guildId : null;
 
   // Fetch leaderboards
   useEffect(() => {
     async function fetchData() {
       setLoading(true);
-      const queryGuildId = leaderboardMode === 'guild' ? guildId : null;
 
       const [puzzleData, allTimeData] = await Promise.all([
-        getLeaderboardForPuzzle(puzzleDate, queryGuildId),
-        getAllTimeLeaderboard(queryGuildId)
+        getLeaderboardForPuzzle(puzzleDate, queryGuildId, packId),
+        getAllTimeLeaderboard(queryGuildId, packId)
       ]);
 
       setPuzzleLeaderboard(puzzleData || []);
@@ -54,7 +103,70 @@ export function LeaderboardModal({
     }
 
     fetchData();
-  }, [puzzleDate, leaderboardMode, guildId]);
+  }, [puzzleDate, queryGuildId, packId]);
+
+  // Merge results submitted while the modal is open
+  useEffect(() => {
+    if (newEntries.length === 0) return;
+    setPuzzleLeaderboard(current => {
+      const missing = newEntries.filter(entry => !current.some(e => e.id === entry.id));
+      return missing.length > 0 ? [...current, ...missing].sort(compareEntries) : current;
+    });
+  }, [newEntries]);
+
+  // Fetch the selected week or month
+  const isPeriodTab = PERIODS.includes(activeTab);
+
+  useEffect(() => {
+    if (!isPeriodTab) return;
+    let cancelled = false;
+
+    async function fetchPeriod() {
+      setPeriodLoading(true);
+      const data = await getPeriodLeaderboard(activeTab, periodsAgo, queryGuildId, packId);
+      if (cancelled) return;
+
+      setPeriodLeaderboard(data || []);
+      setPeriodLoading(false);
+    }
+
+    fetchPeriod();
+    return () => {
+      cancelled = true;
+    };
+  }, [isPeriodTab, activeTab, periodsAgo, queryGuildId, packId]);
+
+  const selectTab = (tab) => {
+    setActiveTab(tab);
+    setPeriodsAgo(0);
+  };
+
+  // Aggregated leaderboards are paginated on the server
+  const rankedLeaderboard = isPeriodTab ? periodLeaderboard : allTimeLeaderboard;
+  const rankedTotal = rankedLeaderboard[0]?.total_players || 0;
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    const offset = rankedLeaderboard.length;
+    if (isPeriodTab) {
+      const nextPage = await getPeriodLeaderboard(activeTab, periodsAgo, queryGuildId, packId, { offset });
+      setPeriodLeaderboard(current => [...current, ...nextPage]);
+    } else {
+      const nextPage = await getAllTimeLeaderboard(queryGuildId, packId, { offset });
+      setAllTimeLeaderboard(current => [...current, ...nextPage]);
+    }
+    setLoadingMore(false);
+  };
+
+  const loadMoreButton = rankedLeaderboard.length < rankedTotal && (
+    <button
+      className="leaderboard-load-more"
+      onClick={handleLoadMore}
+      disabled={loadingMore}
+    >
+      {loadingMore ? 'Loading...' : 'Show more'}
+    </button>
+  );
 
   // Format time for display
   const formatTime = (dateString) => {
@@ -94,13 +206,25 @@ export function LeaderboardModal({
       <div className="leaderboard-tabs">
         <button
           className={`leaderboard-tab ${activeTab === 'today' ? 'active' : ''}`}
-          onClick={() => setActiveTab('today')}
+          onClick={() => selectTab('today')}
         >
           Today #{puzzleNumber}
         </button>
+        <button
+          className={`leaderboard-tab ${activeTab === 'week' ? 'active' : ''}`}
+          onClick={() => selectTab('week')}
+        >
+          Week
+        </button>
+        <button
+          className={`leaderboard-tab ${activeTab === 'month' ? 'active' : ''}`}
+          onClick={() => selectTab('month')}
+        >
+          Month
+        </button>
         <button
           className={`leaderboard-tab ${activeTab === 'allTime' ? 'active' : ''}`}
-          onClick={() => setActiveTab('allTime')}
+          onClick={() => selectTab('allTime')}
         >
           All Time
         </button>
@@ -123,15 +247,12 @@ export function LeaderboardModal({
               <div className="leaderboard-list">
                 {puzzleLeaderboard
                   .filter(entry => entry.won)
-                  .sort((a, b) => {
-                    if (a.guesses_used !== b.guesses_used) return a.guesses_used - b.guesses_used;
-                    return new Date(a.created_at) - new Date(b.created_at);
-                  })
+                  .sort(compareEntries)
                   .slice(0, 20)
                   .map((entry, index) => (
                     <div
                       key={entry.id || index}
-                      className={`leaderboard-entry ${index < 3 ? 'top-three' : ''}`}
+                      className={`leaderboard-entry ${index < 3 ? 'top-three' : ''} ${newEntries.some(e => e.id === entry.id) ? 'just-joined' : ''}`}
                     >
                       <span className="entry-rank">
                         {index === 0 && '🥇'}
@@ -153,6 +274,15 @@ export function LeaderboardModal({
                         <span className="guesses-badge win">
                           {entry.guesses_used}/4
                         </span>
+                        {entry.hard_mode && (
+                          <span className="guesses-badge hard" title="Played in hard mode">Hard</span>
+                        )}
+                        {entry.hints_used > 0 && (
+                          <span className="guesses-badge hints" title={`${entry.hints_used} ${entry.hints_used === 1 ? 'hint' : 'hints'} used`}>
+                            💡{entry.hints_used}
+                          </span>
+                        )}
+                        <span className="points-badge">{getEntryPoints(entry)} pts</span>
                       </span>
                       <span className="entry-time">{formatTime(entry.created_at)}</span>
                     </div>
@@ -182,6 +312,53 @@ export function LeaderboardModal({
         </div>
       )}
 
+      {/* Weekly / Monthly Leaderboard */}
+      {isPeriodTab && (
+        <div className="leaderboard-content">
+          <div className="period-nav">
+            <button
+              className="period-nav-btn"
+              onClick={() => setPeriodsAgo(n => n + 1)}
+              disabled={periodsAgo >= getOldestPeriod(activeTab)}
+              aria-label={`Previous ${activeTab}`}
+            >
+              ‹
+            </button>
+            <span className="period-label">{formatPeriod(activeTab, periodsAgo)}</span>
+            <button
+              className="period-nav-btn"
+              onClick={() => setPeriodsAgo(n => n - 1)}
+              disabled={periodsAgo === 0}
+              aria-label={`Next ${activeTab}`}
+            >
+              ›
+            </button>
+          </div>
+
+          {periodLoading ? (
+            <div className="leaderboard-loading">Loading...</div>
+          ) : periodLeaderboard.length === 0 ? (
+            <div className="leaderboard-empty">
+              <div className="empty-icon">📅</div>
+              <p>No games this {activeTab}!</p>
+              <p className="empty-hint">
+                {periodsAgo === 0 ? "Play today's puzzle to get on the podium" : `Try another ${activeTab}`}
+              </p>
+            </div>
+          ) : (
+            <>
+              <LeaderboardPodium players={periodLeaderboard} />
+              <div className="leaderboard-list">
+                {periodLeaderboard.slice(3).map(entry => (
+                  <RankedPlayerEntry key={entry.discord_user_id} entry={entry} />
+                ))}
+                {loadMoreButton}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
       {/* All-Time Leaderboard */}
       {activeTab === 'allTime' && (
         <div className="leaderboard-content">
@@ -195,36 +372,10 @@ export function LeaderboardModal({
             </div>
           ) : (
             <div className="leaderboard-list">
-              {allTimeLeaderboard.slice(0, 20).map((entry, index) => (
-                <div
-                  key={entry.discord_user_id || index}
-                  className={`leaderboard-entry ${index < 3 ? 'top-three' : ''}`}
-                >
-                  <span className="entry-rank">
-                    {index === 0 && '🥇'}
-                    {index === 1 && '🥈'}
-                    {index === 2 && '🥉'}
-                    {index > 2 && `${index + 1}.`}
-                  </span>
-                  {entry.discord_avatar && (
-                    <img
-                      className="entry-avatar"
-                      src={getDiscordAvatarUrl(entry.discord_user_id, entry.discord_avatar, 32)}
-                      alt=""
-                    />
-                  )}
-                  <span className="entry-name">{entry.discord_username}</span>
-                  <span className="entry-stats">
-                    <span className="wins-badge">{entry.total_wins}W</span>
-                    <span className="games-badge">{entry.games_played}G</span>
-                  </span>
-                  <span className="entry-winrate">
-                    {entry.games_played > 0
-                      ? Math.round((entry.total_wins / entry.games_played) * 100)
-                      : 0}%
-                  </span>
-                </div>
+              {allTimeLeaderboard.map(entry => (
+                <RankedPlayerEntry key={entry.discord_user_id} entry={entry} />
               ))}
+              {loadMoreButton}
             </div>
           )}
         </div>
@@ -272,10 +423,7 @@ export function LeaderboardPreview({
   // Filter to only show winners and sort
   const winners = entries
     .filter(e => e.won)
-    .sort((a, b) => {
-      if (a.guesses_used !== b.guesses_used) return a.guesses_used - b.guesses_used;
-      return new Date(a.created_at) - new Date(b.created_at);
-    });
+    .sort(compareEntries);
 
   // Get top 3
   const top3 = winners.slice(0, 3);
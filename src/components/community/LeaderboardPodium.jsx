@@ -0,0 +1,51 @@
+/**
+ * LeaderboardPodium Component
+ * Top three players of a weekly or monthly leaderboard, on a podium
+ */
+
+import React from 'react';
+import { getDiscordAvatarUrl } from '../../lib/discord.jsx';
+import './LeaderboardPodium.css';
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+// Second place on the left, first in the middle, third on the right
+const PLACE_ORDER = [1, 0, 2];
+
+/**
+ * @param {Object} props
+ * @param {Array} props.players - Ranked players from the leaderboard, best first (only the first three are shown)
+ */
+export function LeaderboardPodium({ players }) {
+  return (
+    <div className="leaderboard-podium">
+      {PLACE_ORDER.map(index => {
+        const player = players[index];
+        if (!player) {
+          return <div key={index} className={`podium-place place-${index + 1} empty`} />;
+        }
+
+        return (
+          <div key={index} className={`podium-place place-${index + 1}`}>
+            {player.discord_avatar ? (
+              <img
+                className="podium-avatar"
+                src={getDiscordAvatarUrl(player.discord_user_id, player.discord_avatar, 64)}
+                alt=""
+              />
+            ) : (
+              <span className="podium-avatar placeholder">
+                {(player.discord_username || '?').charAt(0).toUpperCase()}
+              </span>
+            )}
+            <span className="podium-name">{player.discord_username}</span>
+            <span className="podium-points">{player.total_points} pts</span>
+            <div className="podium-step">{MEDALS[index]}</div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default LeaderboardPodium;
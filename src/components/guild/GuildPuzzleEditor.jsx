@@ -0,0 +1,369 @@
+/**
+ * GuildPuzzleEditor Component
+ * Lets server admins schedule a puzzle from one of their own matches: both team
+ * sheets, the scorecard and the player of the match. Saved puzzles are played
+ * in the server's own pack (see api/guild-puzzles.js).
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { PlayerAutocomplete } from '../PlayerAutocomplete.jsx';
+import { getGuildPuzzles, saveGuildPuzzle, deleteGuildPuzzle } from '../../lib/api.js';
+import { getToday, addDays } from '../../utils/dailyPuzzle.js';
+import { GUILD_PUZZLE_MAX_DAYS_AHEAD, PLAYER_ROLES } from '../../utils/packs.js';
+import './GuildPuzzleEditor.css';
+
+function createTeam() {
+  return { name: '', score: '', players: [] };
+}
+
+function createForm() {
+  return {
+    puzzleDate: addDays(getToday(), 1),
+    venue: '',
+    result: '',
+    matchContext: '',
+    teams: [createTeam(), createTeam()],
+    motm: null
+  };
+}
+
+/**
+ * Format date for display
+ */
+function formatDate(dateStr) {
+  const date = new Date(dateStr + 'T00:00:00Z');
+  return date.toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * Build the request body for /api/guild-puzzles
+ */
+function toRequest(form) {
+  return {
+    ...form,
+    teams: form.teams.map(team => ({
+      name: team.name,
+      score: team.score,
+      players: team.players.map(player => (player.isNew
+        ? { name: player.fullName, role: player.role }
+        : { id: player.id }))
+    }))
+  };
+}
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onClose
+ * @param {Function} props.onScheduled - Called with { puzzleId, puzzleDate, puzzleNumber } after a save
+ */
+export function GuildPuzzleEditor({ onClose, onScheduled }) {
+  const [form, setForm] = useState(createForm);
+  const [scheduled, setScheduled] = useState([]);
+  const [guildPlayers, setGuildPlayers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const today = getToday();
+
+  const loadPuzzles = useCallback(async () => {
+    const data = await getGuildPuzzles();
+    if (!data) {
+      setError('Could not load server puzzles');
+    } else {
+      setScheduled(data.puzzles);
+      setGuildPlayers(data.players.map(player => ({
+        id: player.id,
+        fullName: player.full_name,
+        country: player.country,
+        role: player.role
+      })));
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadPuzzles();
+  }, [loadPuzzles]);
+
+  const takenDates = useMemo(() => new Set(scheduled.map(puzzle => puzzle.puzzleDate)), [scheduled]);
+
+  // Autocomplete options per team: club players already registered with that team
+  const teamOptions = useMemo(() => form.teams.map(team => {
+    const teamName = team.name.trim().replace(/\s+/g, ' ');
+    return {
+      teamName,
+      players: guildPlayers.filter(player => player.country === teamName),
+      usedPlayers: new Set(team.players.filter(player => !player.isNew).map(player => player.id))
+    };
+  }), [form.teams, guildPlayers]);
+
+  const updateForm = (changes) => setForm(current => ({ ...current, ...changes }));
+
+  const updateTeam = (teamIndex, update) => {
+    setForm(current => ({
+      ...current,
+      teams: current.teams.map((team, i) => (i === teamIndex ? update(team) : team))
+    }));
+  };
+
+  const addPlayer = (teamIndex, player) => {
+    updateTeam(teamIndex, team => ({ ...team, players: [...team.players, player] }));
+  };
+
+  const removePlayer = (teamIndex, playerIndex) => {
+    updateTeam(teamIndex, team => ({
+      ...team,
+      players: team.players.filter((_, i) => i !== playerIndex)
+    }));
+    // Keep the player of the match pointing at the same player
+    setForm(current => {
+      const { motm } = current;
+      if (!motm || motm.team !== teamIndex) return current;
+      if (motm.index === playerIndex) return { ...current, motm: null };
+      return motm.index > playerIndex
+        ? { ...current, motm: { team: teamIndex, index: motm.index - 1 } }
+        : current;
+    });
+  };
+
+  const setPlayerRole = (teamIndex, playerIndex, role) => {
+    updateTeam(teamIndex, team => ({
+      ...team,
+      players: team.players.map((player, i) => (i === playerIndex ? { ...player, role } : player))
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+
+    const result = await saveGuildPuzzle(toRequest(form));
+    setSaving(false);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    setNotice(`Server puzzle #${result.puzzle.puzzleNumber} scheduled for ${formatDate(result.puzzle.puzzleDate)}`);
+    setForm(createForm());
+    onScheduled?.(result.puzzle);
+    loadPuzzles();
+  };
+
+  const handleDelete = async (puzzleDate) => {
+    setError(null);
+    setNotice(null);
+    if (await deleteGuildPuzzle(puzzleDate)) {
+      loadPuzzles();
+    } else {
+      setError('Could not remove that puzzle');
+    }
+  };
+
+  return (
+    <div className="guild-editor">
+      <div className="modal-header">
+        <h2 className="overlay-title">🏟️ Server Puzzles</h2>
+        <button className="close-button" onClick={onClose}>
+          ✕
+        </button>
+      </div>
+
+      <div className="guild-editor-body">
+        <p className="guild-editor-description">
+          Set a puzzle from a match your club or league played. It runs alongside the
+          daily puzzle with its own leaderboard, for this server only.
+        </p>
+
+        <form className="guild-editor-form" onSubmit={handleSave}>
+          <div className="guild-editor-row">
+            <label className="guild-editor-field">
+              <span>Date</span>
+              <input
+                type="date"
+                value={form.puzzleDate}
+                min={today}
+                max={addDays(today, GUILD_PUZZLE_MAX_DAYS_AHEAD)}
+                onChange={e => updateForm({ puzzleDate: e.target.value })}
+                required
+              />
+            </label>
+            <label className="guild-editor-field">
+              <span>Venue</span>
+              <input
+                type="text"
+                value={form.venue}
+                onChange={e => updateForm({ venue: e.target.value })}
+                placeholder="Riverside Park"
+                required
+              />
+            </label>
+          </div>
+          {takenDates.has(form.puzzleDate) && (
+            <div className="guild-editor-hint">
+              {form.puzzleDate <= today
+                ? "Today's puzzle is already live and can't be replaced."
+                : 'This replaces the puzzle already set for that day.'}
+            </div>
+          )}
+
+          {form.teams.map((team, teamIndex) => {
+            const { teamName, players: teamPlayers, usedPlayers } = teamOptions[teamIndex];
+
+            return (
+              <fieldset key={teamIndex} className="guild-editor-team">
+                <legend>Team {teamIndex + 1}{teamIndex === 0 ? ' (batted first)' : ''}</legend>
+                <div className="guild-editor-row">
+                  <label className="guild-editor-field">
+                    <span>Name</span>
+                    <input
+                      type="text"
+                      value={team.name}
+                      onChange={e => updateTeam(teamIndex, t => ({ ...t, name: e.target.value }))}
+                      placeholder={teamIndex === 0 ? 'Riverside CC' : 'Hillview CC'}
+                      required
+                    />
+                  </label>
+                  <label className="guild-editor-field">
+                    <span>Score</span>
+                    <input
+                      type="text"
+                      value={team.score}
+                      onChange={e => updateTeam(teamIndex, t => ({ ...t, score: e.target.value }))}
+                      placeholder="154/7 (20 overs)"
+                      required
+                    />
+                  </label>
+                </div>
+
+                <ul className="guild-editor-players">
+                  {team.players.map((player, playerIndex) => {
+                    const isMotm = form.motm?.team === teamIndex && form.motm?.index === playerIndex;
+                    return (
+                      <li key={`${player.id || player.fullName}-${playerIndex}`} className={isMotm ? 'motm' : ''}>
+                        <button
+                          type="button"
+                          className="guild-editor-motm"
+                          onClick={() => updateForm({ motm: { team: teamIndex, index: playerIndex } })}
+                          title="Player of the match"
+                          aria-label={`Make ${player.fullName} player of the match`}
+                          aria-pressed={isMotm}
+                        >
+                          {isMotm ? '★' : '☆'}
+                        </button>
+                        <span className="guild-editor-player-name">{player.fullName}</span>
+                        {player.isNew ? (
+                          <select
+                            value={player.role}
+                            onChange={e => setPlayerRole(teamIndex, playerIndex, e.target.value)}
+                            aria-label={`${player.fullName}'s role`}
+                          >
+                            {PLAYER_ROLES.map(role => (
+                              <option key={role} value={role}>{role}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          <span className="guild-editor-player-role">{player.role}</span>
+                        )}
+                        <button
+                          type="button"
+                          className="guild-editor-remove"
+                          onClick={() => removePlayer(teamIndex, playerIndex)}
+                          aria-label={`Remove ${player.fullName}`}
+                        >
+                          ✕
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+
+                <PlayerAutocomplete
+                  players={teamPlayers}
+                  usedPlayers={usedPlayers}
+                  onSelectPlayer={id => addPlayer(teamIndex, teamPlayers.find(player => player.id === id))}
+                  onAddPlayer={name => addPlayer(teamIndex, { fullName: name, role: PLAYER_ROLES[0], isNew: true })}
+                  placeholder="Add a player..."
+                  disabled={!teamName}
+                />
+              </fieldset>
+            );
+          })}
+
+          <label className="guild-editor-field">
+            <span>Result</span>
+            <input
+              type="text"
+              value={form.result}
+              onChange={e => updateForm({ result: e.target.value })}
+              placeholder="Team 1 won by 23 runs"
+              required
+            />
+          </label>
+          <label className="guild-editor-field">
+            <span>Match context (optional)</span>
+            <input
+              type="text"
+              value={form.matchContext}
+              onChange={e => updateForm({ matchContext: e.target.value })}
+              placeholder="County League Division 2, Round 5"
+            />
+          </label>
+
+          <div className="guild-editor-hint">
+            Tap ☆ next to the player of the match. Team names stay hidden until the answer is revealed.
+          </div>
+
+          {error && <div className="guild-editor-error" role="alert">{error}</div>}
+          {notice && <div className="guild-editor-notice">{notice}</div>}
+
+          <div className="modal-buttons">
+            <button type="submit" className="btn-enhanced btn-primary" disabled={saving || !form.motm}>
+              {saving ? 'Saving...' : 'Schedule Puzzle'}
+            </button>
+          </div>
+        </form>
+
+        <h3 className="guild-editor-subtitle">Scheduled</h3>
+        {loading ? (
+          <div className="archive-loading">Loading...</div>
+        ) : scheduled.length === 0 ? (
+          <div className="archive-empty">No server puzzles yet.</div>
+        ) : (
+          <ul className="guild-editor-schedule">
+            {scheduled.map(puzzle => (
+              <li key={puzzle.puzzleDate}>
+                <span className="archive-puzzle-number">#{puzzle.puzzleNumber}</span>
+                <span className="guild-editor-schedule-info">
+                  {formatDate(puzzle.puzzleDate)} · {puzzle.teams.join(' v ') || puzzle.venue}
+                </span>
+                {puzzle.puzzleDate > today && (
+                  <button
+                    type="button"
+                    className="guild-editor-remove"
+                    onClick={() => handleDelete(puzzle.puzzleDate)}
+                    aria-label={`Remove the puzzle for ${formatDate(puzzle.puzzleDate)}`}
+                  >
+                    ✕
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default GuildPuzzleEditor;
@@ -6,6 +6,7 @@
 import React, { useState, useEffect } from 'react';
 import { getMillisecondsUntilNextPuzzle, formatCountdown } from '../../utils/dailyPuzzle.js';
 import { MatchRevealCard } from './MatchRevealCard.jsx';
+import { compareEntries } from '../../utils/scoring.js';
 
 /**
  * ProminentCountdown - Large countdown timer for next puzzle
@@ -114,10 +115,7 @@ function LeaderboardPreviewInline({
   // Filter to only show winners and sort
   const winners = entries
     .filter(e => e.won)
-    .sort((a, b) => {
-      if (a.guesses_used !== b.guesses_used) return a.guesses_used - b.guesses_used;
-      return new Date(a.created_at) - new Date(b.created_at);
-    });
+    .sort(compareEntries);
 
   if (winners.length === 0) {
     return null;
@@ -227,18 +225,21 @@ function ResultBanner({ won, guessesUsed, maxGuesses = 4, streak = 0 }) {
 
 /**
  * NotifySection - Clear notify me button
+ * Toggles the server's reminder role, pinged when a new puzzle is announced
  */
-function NotifySection({ onNotifyMe }) {
+function NotifySection({ onNotifyMe, subscribed = false, updating = false }) {
   if (!onNotifyMe) return null;
 
   return (
-    <div className="notify-section">
+    <div className={`notify-section ${subscribed ? 'subscribed' : ''}`}>
       <div className="notify-content">
         <span className="notify-bell">🔔</span>
-        <span className="notify-label">Get daily reminders</span>
+        <span className="notify-label">
+          {subscribed ? 'You\'ll be pinged for new puzzles' : 'Get daily reminders'}
+        </span>
       </div>
-      <button className="btn-notify" onClick={onNotifyMe}>
-        Notify Me
+      <button className="btn-notify" onClick={onNotifyMe} disabled={updating}>
+        {subscribed ? 'Stop' : 'Notify Me'}
       </button>
     </div>
   );
@@ -304,6 +305,8 @@ export function CompletedStateBanner({
   displayName,
   hasSubmitted,
   onNotifyMe,
+  notifySubscribed = false,
+  notifyUpdating = false,
   onShareX,
   onShareWhatsApp,
   onCopy,
@@ -373,7 +376,7 @@ export function CompletedStateBanner({
       />
 
       {/* Notify Me Section */}
-      <NotifySection onNotifyMe={onNotifyMe} />
+      <NotifySection onNotifyMe={onNotifyMe} subscribed={notifySubscribed} updating={notifyUpdating} />
 
       {/* Archive Button */}
       {onOpenArchive && (
@@ -386,9 +389,11 @@ export function CompletedStateBanner({
 /**
  * LiveLeaderboard - Permanent leaderboard visible on main page
  * Shows social proof that others are playing + inline submit form
+ * Entries that just arrived over Realtime (newEntries) are highlighted
  */
 function LiveLeaderboard({
   entries = [],
+  newEntries = [],
   loading = false,
   gameCompleted = false,
   won = false,
@@ -427,10 +432,7 @@ function LiveLeaderboard({
   // Filter to only show winners and sort
   const winners = entries
     .filter(e => e.won)
-    .sort((a, b) => {
-      if (a.guesses_used !== b.guesses_used) return a.guesses_used - b.guesses_used;
-      return new Date(a.created_at) - new Date(b.created_at);
-    });
+    .sort(compareEntries);
 
   const getRankEmoji = (index) => {
     if (index === 0) return '🥇';
@@ -501,7 +503,7 @@ function LiveLeaderboard({
           winners.slice(0, 5).map((entry, index) => (
             <div
               key={entry.id || index}
-              className={`live-entry ${entry.display_name === displayName ? 'is-user' : ''}`}
+              className={`live-entry ${entry.display_name === displayName ? 'is-user' : ''} ${newEntries.some(e => e.id === entry.id) ? 'just-joined' : ''}`}
             >
               <span className="live-entry-rank">{getRankEmoji(index)}</span>
               <span className="live-entry-name">{entry.display_name}</span>
@@ -550,6 +552,8 @@ export function CompletedMobileView({
   onCopy,
   copyState,
   onNotifyMe,
+  notifySubscribed = false,
+  notifyUpdating = false,
   onOpenArchive,
   matchHighlight = null,
   children, // Puzzle content (scorecard + feedback) as children
@@ -587,10 +591,7 @@ export function CompletedMobileView({
   // Filter to only show winners and sort
   const winners = leaderboardEntries
     .filter(e => e.won)
-    .sort((a, b) => {
-      if (a.guesses_used !== b.guesses_used) return a.guesses_used - b.guesses_used;
-      return new Date(a.created_at) - new Date(b.created_at);
-    });
+    .sort(compareEntries);
 
   const getRankEmoji = (index) => {
     if (index === 0) return '🥇';
@@ -726,7 +727,7 @@ export function CompletedMobileView({
       )}
 
       {/* Notify Me */}
-      <NotifySection onNotifyMe={onNotifyMe} />
+      <NotifySection onNotifyMe={onNotifyMe} subscribed={notifySubscribed} updating={notifyUpdating} />
 
       {/* Collapsible Puzzle Details */}
       <div className="mobile-puzzle-details">
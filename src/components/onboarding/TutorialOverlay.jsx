@@ -9,16 +9,15 @@
  */
 
 import React, { useEffect, useRef, useState } from 'react';
+import { STORAGE_KEYS, getUserStorageKey, removeForAllUsers } from '../../utils/dailyPuzzle.js';
 import './TutorialOverlay.css';
 
-const TUTORIAL_SEEN_KEY = 'bowldem_tutorial_seen';
-
 /**
  * Check if user has seen the tutorial
  */
 export function hasTutorialBeenSeen() {
   try {
-    return localStorage.getItem(TUTORIAL_SEEN_KEY) === 'true';
+    return localStorage.getItem(getUserStorageKey(STORAGE_KEYS.TUTORIAL_SEEN)) === 'true';
   } catch {
     return false;
   }
@@ -29,18 +28,18 @@ export function hasTutorialBeenSeen() {
  */
 export function markTutorialSeen() {
   try {
-    localStorage.setItem(TUTORIAL_SEEN_KEY, 'true');
+    localStorage.setItem(getUserStorageKey(STORAGE_KEYS.TUTORIAL_SEEN), 'true');
   } catch (e) {
     console.warn('Failed to save tutorial state:', e);
   }
 }
 
 /**
- * Reset tutorial seen state (for testing)
+ * Reset tutorial seen state for every user (for testing)
  */
 export function resetTutorialSeen() {
   try {
-    localStorage.removeItem(TUTORIAL_SEEN_KEY);
+    removeForAllUsers(STORAGE_KEYS.TUTORIAL_SEEN);
   } catch (e) {
     console.warn('Failed to reset tutorial state:', e);
   }
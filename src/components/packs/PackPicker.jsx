@@ -0,0 +1,45 @@
+/**
+ * PackPicker Component
+ *
+ * Tabs for the puzzle packs played in this server. Each pack has its own
+ * daily puzzle, leaderboard and stats. Hidden when the server plays one pack.
+ */
+
+import React from 'react';
+import { getPack } from '../../utils/packs.js';
+import './PackPicker.css';
+
+/**
+ * @param {Object} props
+ * @param {string[]} props.packs - Pack ids enabled in the server
+ * @param {string} props.activePackId - Pack being played
+ * @param {Function} props.onSelect - Called with the picked pack id
+ * @param {boolean} props.disabled - Block switching (e.g. while a guess is checked)
+ */
+export function PackPicker({ packs = [], activePackId, onSelect, disabled = false }) {
+  if (packs.length < 2) return null;
+
+  return (
+    <div className="pack-picker" role="tablist" aria-label="Puzzle pack">
+      {packs.map(id => {
+        const pack = getPack(id);
+        const active = id === activePackId;
+        return (
+          <button
+            key={id}
+            role="tab"
+            aria-selected={active}
+            className={`pack-picker-tab ${active ? 'pack-picker-tab-active' : ''}`}
+            onClick={() => !active && onSelect(id)}
+            disabled={disabled}
+            title={`${pack.name} · ${pack.maxGuesses} guesses`}
+          >
+            {pack.shortName}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+export default PackPicker;
@@ -0,0 +1,88 @@
+/**
+ * RacePanel Component
+ *
+ * Live view of everyone racing on the same puzzle in this activity instance.
+ * - Guess counts and P/T/R/M rows update as each player guesses
+ * - Guessed player names stay hidden until every racer has finished
+ */
+
+import React from 'react';
+import { getDiscordAvatarUrl } from '../../lib/discord.jsx';
+import { getFeedbackGridLines } from '../../utils/shareText.js';
+import './RacePanel.css';
+
+const STATUS_LABELS = {
+  playing: 'Playing',
+  won: 'Solved',
+  lost: 'Out'
+};
+
+/**
+ * Order racers: solved first (fewest guesses), then still playing, then out
+ */
+function sortRacers(racers) {
+  const rank = { won: 0, playing: 1, lost: 2 };
+  return [...racers].sort((a, b) => {
+    if (rank[a.status] !== rank[b.status]) return rank[a.status] - rank[b.status];
+    return a.rows.length - b.rows.length;
+  });
+}
+
+export function RacePanel({ racers = [], roundOver = false, maxGuesses = 5 }) {
+  if (racers.length < 2) return null;
+
+  const finishedCount = racers.filter(r => r.status !== 'playing').length;
+
+  return (
+    <div className="race-panel">
+      <div className="race-panel-header">
+        <span className="race-panel-title">🏁 Race</span>
+        <span className={`race-panel-progress ${roundOver ? 'race-panel-progress-done' : ''}`}>
+          {roundOver ? 'Round over' : `${finishedCount}/${racers.length} finished`}
+        </span>
+      </div>
+
+      <div className="race-racers">
+        {sortRacers(racers).map(racer => {
+          const gridLines = getFeedbackGridLines(racer.rows);
+          return (
+            <div key={racer.id} className={`race-racer ${racer.isYou ? 'race-racer-you' : ''}`}>
+              <img
+                className="race-racer-avatar"
+                src={getDiscordAvatarUrl(racer.id, racer.avatar, 32)}
+                alt=""
+              />
+              <div className="race-racer-info">
+                <div className="race-racer-top">
+                  <span className="race-racer-name">
+                    {racer.username}{racer.isYou && ' (You)'}
+                  </span>
+                  <span className="race-racer-count">
+                    {racer.joined ? `${racer.rows.length}/${maxGuesses}` : 'Joining…'}
+                  </span>
+                  <span className={`race-racer-status race-racer-status-${racer.status}`}>
+                    {STATUS_LABELS[racer.status]}
+                  </span>
+                </div>
+                {gridLines.length > 0 && (
+                  <div className="race-racer-rows">
+                    {gridLines.map((line, index) => (
+                      <div key={index} className="race-racer-row">
+                        <span className="race-racer-grid">{line}</span>
+                        {racer.names?.[index] && (
+                          <span className="race-racer-guess">{racer.names[index]}</span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default RacePanel;
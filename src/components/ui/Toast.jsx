@@ -9,7 +9,7 @@
  *   <Toast message="Network error" type="error" />
  */
 
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import './Toast.css';
 
 export function Toast({
@@ -21,17 +21,21 @@ export function Toast({
   const [isVisible, setIsVisible] = useState(true);
   const [isExiting, setIsExiting] = useState(false);
 
+  // onClose is usually a new function every render; keep the timer running regardless
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
   useEffect(() => {
     const timer = setTimeout(() => {
       setIsExiting(true);
       setTimeout(() => {
         setIsVisible(false);
-        onClose?.();
+        onCloseRef.current?.();
       }, 300); // Match exit animation duration
     }, duration);
 
     return () => clearTimeout(timer);
-  }, [duration, onClose]);
+  }, [duration]);
 
   if (!isVisible) return null;
 
@@ -66,9 +70,11 @@ export function ToastContainer({ toasts = [], onDismiss }) {
  */
 export function useToast() {
   const [toasts, setToasts] = useState([]);
+  const nextId = useRef(0);
 
   const addToast = (message, type = 'info', duration = 3000) => {
-    const id = Date.now();
+    // Several toasts can be added in the same millisecond
+    const id = `${Date.now()}-${nextId.current++}`;
     setToasts(prev => [...prev, { id, message, type, duration }]);
     return id;
   };
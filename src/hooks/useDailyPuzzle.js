@@ -1,17 +1,20 @@
 /**
  * useDailyPuzzle Hook (Discord Version)
  * Manages daily puzzle state with localStorage persistence
- * Uses Discord user ID for state keying
+ * Puzzles are fetched from the server puzzle service (answers never reach the client)
+ * and today's progress is restored from the server, so games resume on any device
+ * Each puzzle pack has its own puzzle, saved game and stats
  */
 
-import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import {
-  getPuzzleForToday,
   canPlayToday,
   initializeTodayGame,
   loadGameState,
   saveGameState,
   loadStats,
+  saveStats,
+  mergeStats,
   completeGame,
   markModalShown,
   isDebugMode,
@@ -20,18 +23,34 @@ import {
   getDebugDateOffset,
   setDebugDateOffset,
   clearAllData,
-  MAX_GUESSES
+  setStorageUser,
+  setActivePack,
+  getActivePack,
+  getMaxGuesses
 } from '../utils/dailyPuzzle.js';
+import { fetchPuzzle, loadDailyProgress } from '../lib/puzzles.js';
+import { fetchCloudStats } from '../lib/api.js';
+
+// Stable default for games saved before hints existed
+const EMPTY_HINTS = [];
 
 /**
  * Custom hook for managing daily puzzle state
- * @param {Array} puzzles - Array of puzzle objects
- * @param {string} discordUserId - Discord user ID for state keying (optional)
+ * @param {string} discordUserId - Discord user ID; saved state and stats are kept per user
+ *   (DiscordProvider scopes storage to the user before the first render)
+ * @param {string} packId - Puzzle pack being played (defaults to the active pack)
  * @returns {Object} - Daily puzzle state and actions
  */
-export function useDailyPuzzle(puzzles, discordUserId = null) {
-  // Current puzzle data
-  const [puzzleData, setPuzzleData] = useState(() => getPuzzleForToday(puzzles));
+export function useDailyPuzzle(discordUserId = null, packId = getActivePack()) {
+  const maxGuesses = getMaxGuesses(packId);
+
+  // Date of the puzzle being played (changes with debug offset)
+  const [puzzleDate, setPuzzleDate] = useState(() => getEffectiveDate());
+
+  // Current puzzle data (loaded from the puzzle service)
+  const [puzzle, setPuzzle] = useState(null);
+  const [puzzleLoading, setPuzzleLoading] = useState(true);
+  const [puzzleError, setPuzzleError] = useState(null);
 
   // Game state (guesses, status)
   const [gameState, setGameState] = useState(() => {
@@ -49,41 +68,110 @@ export function useDailyPuzzle(puzzles, discordUserId = null) {
 
   // Derived state
   const alreadyCompleted = gameState.gameStatus === 'won' || gameState.gameStatus === 'lost';
-  const guessesRemaining = MAX_GUESSES - gameState.guesses.length;
+  const guessesRemaining = maxGuesses - gameState.guesses.length;
+
+  // Fetch the puzzle whenever the puzzle date or pack changes
+  useEffect(() => {
+    let cancelled = false;
+
+    async function load() {
+      setPuzzleLoading(true);
+      setPuzzleError(null);
+
+      const data = await fetchPuzzle(puzzleDate, packId);
+      if (cancelled) return;
+
+      // Pick up guesses made on other devices before the game is playable
+      const localState = canPlayToday().existingState;
+      const progress = await loadDailyProgress(data, localState?.guesses || [], !!localState?.hardMode);
+      if (cancelled) return;
+
+      if (progress && (progress.guesses.length > 0 || progress.hints?.length > 0)) {
+        setGameState(initializeTodayGame(progress));
+      }
+
+      setPuzzle(data);
+      setPuzzleError(data ? null : 'Puzzle unavailable');
+      setPuzzleLoading(false);
+    }
+
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [puzzleDate, packId]);
 
   /**
    * Refresh puzzle data (used after debug date change)
    */
   const refreshPuzzle = useCallback(() => {
-    const newPuzzleData = getPuzzleForToday(puzzles);
-    setPuzzleData(newPuzzleData);
+    const newPuzzleDate = getEffectiveDate();
+    setPuzzleDate(newPuzzleDate);
 
     // Check if this is a different puzzle than current state
-    const { canPlay, existingState } = canPlayToday();
-    if (existingState && existingState.lastPuzzleNumber === newPuzzleData.puzzleNumber) {
+    const { existingState } = canPlayToday();
+    if (existingState && existingState.lastPuzzleNumber === getPuzzleNumber(newPuzzleDate)) {
       setGameState(existingState);
     } else {
       setGameState(initializeTodayGame());
     }
 
     setStats(loadStats());
-  }, [puzzles]);
+  }, []);
+
+  /**
+   * Merge local stats with the cloud copy so every device shows the same numbers
+   */
+  const syncStatsWithCloud = useCallback(async () => {
+    const cloudStats = await fetchCloudStats(packId);
+    // Another pack may have been picked while the request was in flight
+    if (!cloudStats || getActivePack() !== packId) return;
+
+    // Local stats may have changed while the request was in flight
+    const merged = mergeStats(loadStats(), cloudStats, maxGuesses);
+    saveStats(merged);
+    setStats(merged);
+  }, [packId, maxGuesses]);
+
+  useEffect(() => {
+    if (discordUserId) syncStatsWithCloud();
+  }, [discordUserId, syncStatsWithCloud]);
+
+  // Reload saved state if a different Discord account takes over
+  const storageUserRef = useRef(discordUserId);
+  useEffect(() => {
+    if (storageUserRef.current === discordUserId) return;
+    storageUserRef.current = discordUserId;
+    setStorageUser(discordUserId);
+    refreshPuzzle();
+  }, [discordUserId, refreshPuzzle]);
+
+  // Reload saved state and stats when another pack is picked
+  const packRef = useRef(packId);
+  useEffect(() => {
+    if (packRef.current === packId) return;
+    packRef.current = packId;
+    setActivePack(packId);
+    refreshPuzzle();
+  }, [packId, refreshPuzzle]);
 
   /**
    * Record a player guess
    * @param {string} playerKey - The guessed player's key
-   * @param {boolean} isCorrect - Whether the guess was correct
+   * @param {Object} feedback - Server feedback for the guess
+   * @param {boolean} hardMode - Hard mode setting (only kept from the first guess)
    * @returns {Object} - { newState, isGameOver, won }
    */
-  const recordGuess = useCallback((playerKey, isCorrect) => {
+  const recordGuess = useCallback((playerKey, feedback, hardMode = false) => {
     if (alreadyCompleted) {
       return { newState: gameState, isGameOver: true, won: gameState.gameStatus === 'won' };
     }
 
     const newGuesses = [...gameState.guesses, playerKey];
-    const isLastGuess = newGuesses.length >= MAX_GUESSES;
-    const won = isCorrect;
-    const lost = !isCorrect && isLastGuess;
+    const isLastGuess = newGuesses.length >= maxGuesses;
+    const won = feedback.isMVP;
+    const lost = !won && isLastGuess;
     const isGameOver = won || lost;
 
     let newStatus = 'in_progress';
@@ -93,7 +181,9 @@ export function useDailyPuzzle(puzzles, discordUserId = null) {
     const newState = {
       ...gameState,
       guesses: newGuesses,
-      gameStatus: newStatus
+      feedback: [...(gameState.feedback || []), feedback],
+      gameStatus: newStatus,
+      hardMode: gameState.guesses.length === 0 ? hardMode : !!gameState.hardMode
     };
 
     saveGameState(newState);
@@ -101,13 +191,51 @@ export function useDailyPuzzle(puzzles, discordUserId = null) {
 
     // Update stats if game over
     if (isGameOver) {
-      const newStats = completeGame(won);
-      setStats(newStats);
+      completeGame(won);
+      setStats(loadStats());
+      syncStatsWithCloud();
     }
 
     return { newState, isGameOver, won };
+  }, [gameState, alreadyCompleted, maxGuesses, syncStatsWithCloud]);
+
+  /**
+   * Save the hints unlocked so far
+   * @param {Array} hints - Every hint unlocked so far, from unlockDailyHint
+   */
+  const recordHints = useCallback((hints) => {
+    if (alreadyCompleted) return;
+
+    const newState = { ...gameState, hints };
+    saveGameState(newState);
+    setGameState(newState);
   }, [gameState, alreadyCompleted]);
 
+  /**
+   * Replace today's saved game with the one recorded on the server, if they differ
+   * Used once queued guesses have been sent (see lib/outbox.js): the server's
+   * feedback wins over whatever this device has.
+   * @returns {Promise<Object|null>} - The server's progress if it replaced ours, otherwise null
+   */
+  const reconcileProgress = useCallback(async () => {
+    const progress = await loadDailyProgress(puzzle);
+    if (!progress || progress.guesses.length === 0) return null;
+
+    const localState = canPlayToday().existingState;
+    const matches = localState &&
+      JSON.stringify(localState.guesses) === JSON.stringify(progress.guesses) &&
+      JSON.stringify(localState.feedback || []) === JSON.stringify(progress.feedback);
+    if (matches) return null;
+
+    const newState = initializeTodayGame(progress);
+    setGameState(newState);
+
+    if (progress.gameStatus === 'won' || progress.gameStatus === 'lost') {
+      syncStatsWithCloud();
+    }
+    return progress;
+  }, [puzzle, syncStatsWithCloud]);
+
   /**
    * Get guessed player keys
    */
@@ -169,17 +297,23 @@ export function useDailyPuzzle(puzzles, discordUserId = null) {
 
   return {
     // Puzzle info
-    puzzle: puzzleData.puzzle,
-    puzzleNumber: puzzleData.puzzleNumber,
-    puzzleIndex: puzzleData.puzzleIndex,
+    packId,
+    puzzle,
+    puzzleNumber: getPuzzleNumber(puzzleDate),
+    puzzleDate,
+    puzzleLoading,
+    puzzleError,
 
     // Game state
     gameState,
     guesses: gameState.guesses,
+    feedback: gameState.feedback || [],
     guessedPlayers,
     guessesRemaining,
     gameStatus: gameState.gameStatus,
     alreadyCompleted,
+    hardMode: !!gameState.hardMode,
+    hints: gameState.hints || EMPTY_HINTS,
     modalShown: gameState.modalShown,
 
     // Stats
@@ -187,6 +321,8 @@ export function useDailyPuzzle(puzzles, discordUserId = null) {
 
     // Actions
     recordGuess,
+    recordHints,
+    reconcileProgress,
     refreshPuzzle,
     setModalShown,
 
@@ -199,7 +335,7 @@ export function useDailyPuzzle(puzzles, discordUserId = null) {
     resetAllData,
 
     // Constants
-    maxGuesses: MAX_GUESSES
+    maxGuesses
   };
 }
 
@@ -2,17 +2,26 @@
  * useLeaderboard Hook (Discord Version)
  * Manages leaderboard data fetching and submission
  * Uses Discord user identity instead of device ID
+ * Each puzzle pack has its own leaderboard
+ * Today's leaderboard updates live as other players submit (Supabase Realtime)
+ * Submissions go through the outbox, so one made offline is sent on reconnect
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import {
+  supabase,
   getLeaderboardForPuzzle,
   getAllTimeLeaderboard,
-  submitLeaderboardEntry,
   getUserRanking,
   getEntriesByDiscordUser
 } from '../lib/supabase.js';
+import { sendThroughOutbox, getOutboxItems, subscribeOutbox } from '../lib/outbox.js';
 import { getDiscordAvatarUrl } from '../lib/discord.jsx';
+import { getActivePack } from '../utils/dailyPuzzle.js';
+import { getEntryPoints, compareEntries } from '../utils/scoring.js';
+
+// How long a live entry stays highlighted
+const NEW_ENTRY_HIGHLIGHT_MS = 4000;
 
 /**
  * Custom hook for managing leaderboard data with Discord identity
@@ -22,6 +31,8 @@ import { getDiscordAvatarUrl } from '../lib/discord.jsx';
  * @param {string} discordUsername - Discord username
  * @param {string} guildId - Discord guild ID (null for DMs)
  * @param {string} leaderboardMode - 'guild' or 'global'
+ * @param {string} packId - Puzzle pack (defaults to the active pack)
+ * @param {Function} onNewEntry - Called with each entry another player submits while we're watching
  * @returns {Object} - Leaderboard state and actions
  */
 export function useLeaderboard(
@@ -30,7 +41,9 @@ export function useLeaderboard(
   discordUserId,
   discordUsername,
   guildId = null,
-  leaderboardMode = 'guild'
+  leaderboardMode = 'guild',
+  packId = getActivePack(),
+  onNewEntry = null
 ) {
   // State for puzzle leaderboard
   const [puzzleLeaderboard, setPuzzleLeaderboard] = useState([]);
@@ -40,6 +53,11 @@ export function useLeaderboard(
   const [allTimeLeaderboard, setAllTimeLeaderboard] = useState([]);
   const [allTimeLoading, setAllTimeLoading] = useState(false);
 
+  // Entries that arrived over Realtime, highlighted for a few seconds
+  const [newEntries, setNewEntries] = useState([]);
+  const onNewEntryRef = useRef(onNewEntry);
+  onNewEntryRef.current = onNewEntry;
+
   // User's ranking for today's puzzle
   const [userRanking, setUserRanking] = useState(null);
 
@@ -50,6 +68,7 @@ export function useLeaderboard(
   // Submission state
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [hasSubmitted, setHasSubmitted] = useState(false);
+  const [submissionQueued, setSubmissionQueued] = useState(false);
 
   // Error state
   const [error, setError] = useState(null);
@@ -69,7 +88,7 @@ export function useLeaderboard(
     setError(null);
 
     try {
-      const data = await getLeaderboardForPuzzle(puzzleDate, queryGuildId);
+      const data = await getLeaderboardForPuzzle(puzzleDate, queryGuildId, packId);
       setPuzzleLeaderboard(data || []);
     } catch (err) {
       console.error('Error fetching puzzle leaderboard:', err);
@@ -78,7 +97,7 @@ export function useLeaderboard(
     } finally {
       setPuzzleLeaderboardLoading(false);
     }
-  }, [puzzleDate, queryGuildId]);
+  }, [puzzleDate, queryGuildId, packId]);
 
   /**
    * Fetch all-time leaderboard
@@ -88,7 +107,7 @@ export function useLeaderboard(
     setError(null);
 
     try {
-      const data = await getAllTimeLeaderboard(queryGuildId);
+      const data = await getAllTimeLeaderboard(queryGuildId, packId);
       setAllTimeLeaderboard(data || []);
     } catch (err) {
       console.error('Error fetching all-time leaderboard:', err);
@@ -97,13 +116,16 @@ export function useLeaderboard(
     } finally {
       setAllTimeLoading(false);
     }
-  }, [queryGuildId]);
+  }, [queryGuildId, packId]);
 
   /**
-   * Submit entry to leaderboard with Discord identity
+   * Submit today's result to the leaderboard
+   * The server takes identity and guild from the session and replays the
+   * recorded guesses, so only the puzzle date is sent. If the server can't be
+   * reached the submission stays queued and is sent on reconnect.
    */
-  const submitToLeaderboard = useCallback(async (guessesUsed, won) => {
-    if (!discordUserId || !puzzleDate || isSubmitting || hasSubmitted) {
+  const submitToLeaderboard = useCallback(async () => {
+    if (!discordUserId || !puzzleDate || isSubmitting || hasSubmitted || submissionQueued) {
       return { success: false, error: 'Invalid submission state' };
     }
 
@@ -111,25 +133,22 @@ export function useLeaderboard(
     setError(null);
 
     try {
-      const entry = {
-        discord_user_id: discordUserId,
-        discord_username: discordUsername,
-        discord_avatar: null, // Avatar hash would come from Discord user object
-        guild_id: guildId,
-        puzzle_date: puzzleDate,
-        puzzle_number: puzzleNumber,
-        guesses_used: won ? guessesUsed : 5, // 5 represents a loss
-        won: won
-      };
-
-      const result = await submitLeaderboardEntry(entry);
+      const response = await sendThroughOutbox('leaderboard', '/leaderboard', { puzzleDate, packId });
+      if (response.queued) {
+        setSubmissionQueued(true);
+        return { success: false, queued: true };
+      }
+
+      const result = response.ok
+        ? response.data
+        : { success: false, error: response.data?.error || 'Submission failed', duplicate: !!response.data?.duplicate };
 
       if (result.success) {
         setHasSubmitted(true);
         // Refresh leaderboard to show new entry
         await fetchPuzzleLeaderboard();
         // Get user's ranking
-        const ranking = await getUserRanking(puzzleDate, discordUserId, queryGuildId);
+        const ranking = await getUserRanking(puzzleDate, discordUserId, queryGuildId, packId);
         setUserRanking(ranking);
       }
 
@@ -141,23 +160,39 @@ export function useLeaderboard(
     } finally {
       setIsSubmitting(false);
     }
-  }, [discordUserId, discordUsername, guildId, puzzleDate, puzzleNumber, isSubmitting, hasSubmitted, fetchPuzzleLeaderboard, queryGuildId]);
+  }, [discordUserId, puzzleDate, isSubmitting, hasSubmitted, submissionQueued, fetchPuzzleLeaderboard, queryGuildId, packId]);
+
+  /**
+   * Pick up a submission still queued from earlier, and hear when it's sent
+   */
+  useEffect(() => {
+    const isOurs = item => item.kind === 'leaderboard' &&
+      item.body.puzzleDate === puzzleDate && item.body.packId === packId;
+
+    setSubmissionQueued(getOutboxItems().some(isOurs));
+
+    return subscribeOutbox(({ type, item, response }) => {
+      if (!item || !isOurs(item)) return;
+      setSubmissionQueued(false);
+
+      if (type === 'delivered' || response.data?.duplicate) {
+        setHasSubmitted(true);
+        fetchPuzzleLeaderboard();
+      } else {
+        setError(response.data?.error || 'Failed to submit to leaderboard');
+      }
+    });
+  }, [puzzleDate, packId, fetchPuzzleLeaderboard]);
 
   /**
    * Calculate percentile based on leaderboard position
+   * @param {number} points - Points for the result being placed (see utils/scoring.js)
    */
-  const calculatePercentile = useCallback((guessesUsed, won) => {
+  const calculatePercentile = useCallback((points) => {
     if (puzzleLeaderboard.length === 0) return null;
 
     // Count how many did better
-    let betterCount = 0;
-    for (const entry of puzzleLeaderboard) {
-      if (entry.won && !won) {
-        betterCount++;
-      } else if (entry.won && won && entry.guesses_used < guessesUsed) {
-        betterCount++;
-      }
-    }
+    const betterCount = puzzleLeaderboard.filter(entry => getEntryPoints(entry) > points).length;
 
     const percentile = Math.round(((puzzleLeaderboard.length - betterCount) / puzzleLeaderboard.length) * 100);
     return percentile;
@@ -169,13 +204,7 @@ export function useLeaderboard(
   const getTopEntries = useCallback((n = 5) => {
     return puzzleLeaderboard
       .filter(entry => entry.won)
-      .sort((a, b) => {
-        // Sort by guesses_used (ascending), then by created_at (ascending)
-        if (a.guesses_used !== b.guesses_used) {
-          return a.guesses_used - b.guesses_used;
-        }
-        return new Date(a.created_at) - new Date(b.created_at);
-      })
+      .sort(compareEntries)
       .slice(0, n);
   }, [puzzleLeaderboard]);
 
@@ -188,7 +217,7 @@ export function useLeaderboard(
     setHistoricalLoading(true);
 
     try {
-      const entries = await getEntriesByDiscordUser(discordUserId);
+      const entries = await getEntriesByDiscordUser(discordUserId, packId);
       setHistoricalEntries(entries);
     } catch (err) {
       console.error('Error fetching historical entries:', err);
@@ -196,7 +225,53 @@ export function useLeaderboard(
     } finally {
       setHistoricalLoading(false);
     }
-  }, [discordUserId]);
+  }, [discordUserId, packId]);
+
+  /**
+   * Merge entries into today's leaderboard as they're submitted
+   * Realtime filters take a single column, so the rest are checked here.
+   */
+  useEffect(() => {
+    if (!supabase || !puzzleDate) return;
+
+    const channel = supabase
+      .channel(`leaderboard:${packId}:${puzzleDate}:${queryGuildId || 'global'}`)
+      .on('postgres_changes', {
+        event: 'INSERT',
+        schema: 'public',
+        table: 'leaderboard_entries',
+        filter: queryGuildId ? `guild_id=eq.${queryGuildId}` : `puzzle_date=eq.${puzzleDate}`
+      }, ({ new: entry }) => {
+        if (entry.puzzle_date !== puzzleDate || entry.pack_id !== packId) return;
+        if (queryGuildId && entry.guild_id !== queryGuildId) return;
+
+        setPuzzleLeaderboard(current => current.some(e => e.id === entry.id)
+          ? current
+          : [...current, entry].sort(compareEntries));
+
+        // Our own entry is already handled by submitToLeaderboard
+        if (entry.discord_user_id === discordUserId) return;
+
+        setNewEntries(current => [...current, entry]);
+        setTimeout(() => {
+          setNewEntries(current => current.filter(e => e.id !== entry.id));
+        }, NEW_ENTRY_HIGHLIGHT_MS);
+        onNewEntryRef.current?.(entry);
+      })
+      .subscribe();
+
+    return () => {
+      setNewEntries([]);
+      supabase.removeChannel(channel);
+    };
+  }, [puzzleDate, queryGuildId, packId, discordUserId]);
+
+  // Another pack has its own submission and ranking
+  useEffect(() => {
+    setHasSubmitted(false);
+    setUserRanking(null);
+    setPuzzleLeaderboard([]);
+  }, [packId]);
 
   /**
    * Check if user has already submitted for today
@@ -211,12 +286,12 @@ export function useLeaderboard(
     }
   }, [puzzleLeaderboard, discordUserId]);
 
-  // Fetch historical entries on mount
+  // Fetch historical entries on mount and when the pack changes
   useEffect(() => {
     if (discordUserId) {
       fetchHistoricalEntries();
     }
-  }, [discordUserId]);
+  }, [discordUserId, packId]);
 
   return {
     // Puzzle leaderboard
@@ -224,6 +299,7 @@ export function useLeaderboard(
     puzzleLeaderboardLoading,
     fetchPuzzleLeaderboard,
     getTopEntries,
+    newEntries,
 
     // All-time leaderboard
     allTimeLeaderboard,
@@ -243,6 +319,7 @@ export function useLeaderboard(
     submitToLeaderboard,
     isSubmitting,
     hasSubmitted,
+    submissionQueued,
 
     // Error
     error
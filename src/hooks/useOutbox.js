@@ -0,0 +1,42 @@
+/**
+ * useOutbox Hook
+ * Connection state and queued requests from the outbox (see lib/outbox.js),
+ * for the offline indicator and queued guesses.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { flushOutbox, getOutboxItems, isOffline, subscribeOutbox } from '../lib/outbox.js';
+
+/**
+ * Custom hook for the outbox
+ * @param {string|null} discordUserId - Signed-in Discord user; anything left queued by them is sent on sign-in
+ * @param {Function} onSettled - Called with { type: 'delivered' | 'rejected', item, response }
+ *   when a queued request finally goes through or is refused
+ * @returns {Object} - { offline, items }
+ */
+export function useOutbox(discordUserId = null, onSettled = null) {
+  const [offline, setOffline] = useState(() => isOffline());
+  const [items, setItems] = useState(() => getOutboxItems());
+  const onSettledRef = useRef(onSettled);
+  onSettledRef.current = onSettled;
+
+  useEffect(() => subscribeOutbox(event => {
+    if (event.type === 'status') {
+      setOffline(isOffline());
+      setItems(getOutboxItems());
+    } else {
+      onSettledRef.current?.(event);
+    }
+  }), []);
+
+  // The outbox is kept per user, so reload it and send what's left once signed in
+  useEffect(() => {
+    if (!discordUserId) return;
+    setItems(getOutboxItems());
+    flushOutbox();
+  }, [discordUserId]);
+
+  return { offline, items };
+}
+
+export default useOutbox;
@@ -0,0 +1,116 @@
+/**
+ * useRace Hook
+ * Live race between everyone in the same activity instance.
+ *
+ * Progress is shared over a Supabase Realtime presence channel keyed by
+ * discordSdk.instanceId and the puzzle pack. While the round is running only the P/T/R/M booleans
+ * are shared; guessed player names are added once every participant is done.
+ */
+
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { supabase } from '../lib/supabase.js';
+
+const FINISHED = ['won', 'lost'];
+
+/**
+ * Custom hook for race mode
+ * @param {Object} options
+ * @param {string|null} options.instanceId - discordSdk.instanceId
+ * @param {Object|null} options.user - Discord user ({ id, username, global_name, avatar })
+ * @param {Array} options.participants - Discord instance participants
+ * @param {string} options.packId - Puzzle pack everyone is racing in
+ * @param {number} options.puzzleNumber - Puzzle everyone is racing on
+ * @param {Array} options.feedbackList - Our feedback so far
+ * @param {string} options.status - 'playing' | 'won' | 'lost'
+ * @returns {Object} - { racers, roundOver, connected }
+ */
+export function useRace({ instanceId, user, participants = [], packId, puzzleNumber, feedbackList = [], status = 'playing' }) {
+  const [presence, setPresence] = useState({});
+  const [connected, setConnected] = useState(false);
+  const channelRef = useRef(null);
+
+  const userId = user?.id;
+
+  // Join the instance channel
+  useEffect(() => {
+    if (!supabase || !instanceId || !userId || !puzzleNumber) return;
+
+    const channel = supabase.channel(`race:${instanceId}:${packId}:${puzzleNumber}`, {
+      config: { presence: { key: userId } }
+    });
+
+    channel
+      .on('presence', { event: 'sync' }, () => {
+        const state = channel.presenceState();
+        const next = {};
+        Object.entries(state).forEach(([key, metas]) => {
+          // Last tracked payload wins if the same user has several tabs open
+          if (metas.length > 0) next[key] = metas[metas.length - 1];
+        });
+        setPresence(next);
+      })
+      .subscribe((subscribeStatus) => {
+        // Our progress is tracked by the effect below once connected
+        if (subscribeStatus === 'SUBSCRIBED') {
+          setConnected(true);
+        } else if (subscribeStatus === 'CLOSED' || subscribeStatus === 'CHANNEL_ERROR') {
+          setConnected(false);
+        }
+      });
+
+    channelRef.current = channel;
+
+    return () => {
+      channelRef.current = null;
+      setConnected(false);
+      setPresence({});
+      supabase.removeChannel(channel);
+    };
+  }, [instanceId, userId, packId, puzzleNumber]);
+
+  // Everyone currently in the instance (falls back to whoever joined the channel)
+  const racerIds = useMemo(() => {
+    const ids = participants.map(p => p.id);
+    return ids.length > 0 ? ids : Object.keys(presence);
+  }, [participants, presence]);
+
+  const roundOver = racerIds.length > 1 &&
+    racerIds.every(id => FINISHED.includes(id === userId ? status : presence[id]?.status));
+
+  const ownProgress = useMemo(() => userId ? {
+    userId,
+    username: user.global_name || user.username,
+    avatar: user.avatar || null,
+    status,
+    rows: feedbackList.map(({ playedInGame, sameTeam, sameRole, isMVP }) => ({
+      playedInGame, sameTeam, sameRole, isMVP
+    })),
+    // Guessed names would give the answer away mid-round
+    names: roundOver ? feedbackList.map(f => f.playerName) : null
+  } : null, [userId, user, status, feedbackList, roundOver]);
+
+  // Share our progress whenever it changes
+  useEffect(() => {
+    if (ownProgress && connected && channelRef.current) {
+      channelRef.current.track(ownProgress);
+    }
+  }, [ownProgress, connected]);
+
+  // Merge Discord participants with their shared progress
+  const racers = useMemo(() => racerIds.map(id => {
+    const participant = participants.find(p => p.id === id);
+    const progress = id === userId ? ownProgress : presence[id];
+    return {
+      id,
+      username: participant?.nickname || participant?.global_name || participant?.username || progress?.username || 'Player',
+      avatar: participant?.avatar ?? progress?.avatar ?? null,
+      isYou: id === userId,
+      joined: id === userId || !!presence[id],
+      status: progress?.status || 'playing',
+      rows: progress?.rows || [],
+      names: roundOver ? progress?.names || null : null
+    };
+  }), [racerIds, participants, presence, userId, ownProgress, roundOver]);
+
+  return { racers, roundOver, connected };
+}
@@ -0,0 +1,46 @@
+/**
+ * useReminders Hook
+ * Whether the user gets pinged by the server's daily puzzle announcement (the
+ * reminder role handed out by /api/notify), for the "Notify Me" button.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getReminderStatus, setReminderSubscription } from '../lib/api.js';
+
+/**
+ * Custom hook for puzzle reminders
+ * @param {boolean} available - Whether the server has reminders set up (from DiscordProvider)
+ * @param {string|null} discordUserId - Signed-in Discord user
+ * @returns {Object} - { subscribed, updating, toggle } where toggle resolves to
+ *   { success, error? }; subscribed is null until loaded
+ */
+export function useReminders(available = false, discordUserId = null) {
+  const [subscribed, setSubscribed] = useState(null);
+  const [updating, setUpdating] = useState(false);
+
+  useEffect(() => {
+    if (!available || !discordUserId) {
+      setSubscribed(null);
+      return;
+    }
+
+    let cancelled = false;
+    getReminderStatus().then(status => {
+      if (!cancelled) setSubscribed(status);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [available, discordUserId]);
+
+  const toggle = useCallback(async () => {
+    const next = !subscribed;
+    setUpdating(true);
+    const result = await setReminderSubscription(next);
+    if (result.success) setSubscribed(next);
+    setUpdating(false);
+    return result;
+  }, [subscribed]);
+
+  return { subscribed, updating, toggle };
+}
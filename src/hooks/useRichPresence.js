@@ -0,0 +1,77 @@
+/**
+ * useRichPresence Hook
+ * Mirrors the current game on the player's Discord profile via setActivity,
+ * e.g. "Puzzle #274 — guess 3/5", "Solved in 2 🔥7" or "Playing Archive #120".
+ * Requires the rpc.activities.write scope (requested in DiscordProvider).
+ */
+
+import { useEffect, useRef } from 'react';
+import { discordSdk } from '../lib/discord.jsx';
+
+// Discord activity type for "Playing"
+const ACTIVITY_TYPE_PLAYING = 0;
+
+/**
+ * Build the presence line for the current game
+ */
+function getDetails({ archiveMode, puzzleNumber, gameStatus, guessesUsed, maxGuesses, streak }) {
+  if (archiveMode) {
+    return `Playing Archive #${puzzleNumber}`;
+  }
+  if (gameStatus === 'won') {
+    return `Solved in ${guessesUsed}` + (streak > 1 ? ` 🔥${streak}` : '');
+  }
+  if (gameStatus === 'lost') {
+    return `Puzzle #${puzzleNumber} — out of guesses`;
+  }
+  return `Puzzle #${puzzleNumber} — guess ${Math.min(guessesUsed + 1, maxGuesses)}/${maxGuesses}`;
+}
+
+/**
+ * Custom hook for Discord rich presence
+ * @param {Object} options
+ * @param {boolean} options.archiveMode - Playing an archive puzzle
+ * @param {number|null} options.puzzleNumber - Puzzle being played
+ * @param {string} options.gameStatus - 'playing' | 'won' | 'lost'
+ * @param {number} options.guessesUsed - Guesses made so far
+ * @param {number} options.maxGuesses - Guesses allowed
+ * @param {number} options.streak - Current win streak
+ * @param {number} options.partySize - Players in this activity instance
+ */
+export function useRichPresence({
+  archiveMode = false,
+  puzzleNumber,
+  gameStatus = 'playing',
+  guessesUsed = 0,
+  maxGuesses,
+  streak = 0,
+  partySize = 1
+}) {
+  const lastActivityRef = useRef(null);
+
+  useEffect(() => {
+    if (puzzleNumber == null) return;
+
+    const activity = {
+      type: ACTIVITY_TYPE_PLAYING,
+      details: getDetails({ archiveMode, puzzleNumber, gameStatus, guessesUsed, maxGuesses, streak }),
+      state: partySize > 1 ? 'Racing' : 'Playing solo'
+    };
+
+    if (discordSdk.instanceId && partySize > 0) {
+      activity.party = {
+        id: discordSdk.instanceId,
+        size: [partySize, partySize]
+      };
+    }
+
+    // setActivity is rate limited - skip no-op updates
+    const key = JSON.stringify(activity);
+    if (key === lastActivityRef.current) return;
+    lastActivityRef.current = key;
+
+    discordSdk.commands.setActivity({ activity }).catch(e => {
+      console.warn('Could not update rich presence:', e);
+    });
+  }, [archiveMode, puzzleNumber, gameStatus, guessesUsed, maxGuesses, streak, partySize]);
+}
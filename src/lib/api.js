@@ -0,0 +1,225 @@
+/**
+ * API Client
+ * Calls our Vercel API routes through the Discord proxy, authenticated with
+ * the signed app session minted by /api/token (set by DiscordProvider).
+ */
+
+import { getActivePack } from '../utils/dailyPuzzle.js';
+
+const API_BASE = '/.proxy/api';
+
+let sessionToken = null;
+let refreshSession = null;
+
+/**
+ * Set the session token sent with every API request
+ * @param {string|null} token
+ */
+export function setSessionToken(token) {
+  sessionToken = token;
+}
+
+/**
+ * Get the current session token (also used by the Supabase client)
+ * @returns {string|null}
+ */
+export function getSessionToken() {
+  return sessionToken;
+}
+
+/**
+ * Register the function that renews an expired session
+ * Called once when a request comes back 401, before retrying it.
+ * @param {Function|null} handler - async () => boolean
+ */
+export function setSessionRefreshHandler(handler) {
+  refreshSession = handler;
+}
+
+/**
+ * Call an API route
+ * @param {string} path - Route path (e.g. '/guess')
+ * @param {Object} options - { method, body, query }
+ * @returns {Object} - { ok: boolean, status: number, data: any, sessionExpired: boolean }
+ *   `sessionExpired` marks a 401 that renewing the session didn't fix
+ */
+export async function apiRequest(path, { method = 'GET', body, query } = {}, retried = false) {
+  const url = API_BASE + path + (query ? '?' + new URLSearchParams(query).toString() : '');
+  const headers = {};
+
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  if (sessionToken) headers.Authorization = `Bearer ${sessionToken}`;
+
+  try {
+    const response = await fetch(url, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+
+    // Session expired mid-game - renew it and retry once
+    if (response.status === 401 && !retried && refreshSession && await refreshSession()) {
+      return apiRequest(path, { method, body, query }, true);
+    }
+
+    const data = await response.json().catch(() => null);
+    const sessionExpired = response.status === 401 && (retried || !!refreshSession);
+    return { ok: response.ok, status: response.status, data, sessionExpired };
+  } catch (err) {
+    console.error(`API request failed: ${method} ${path}`, err);
+    return { ok: false, status: 0, data: null, sessionExpired: false };
+  }
+}
+
+/**
+ * Get the caller's recorded state for a daily puzzle
+ * @param {string} puzzleDate - Date in YYYY-MM-DD format
+ * @param {string} packId - Puzzle pack (defaults to the active pack)
+ * @returns {Object|null} - { guesses, feedback, gameStatus, hardMode, hints, reveal }
+ */
+export async function getDailyGuesses(puzzleDate, packId = getActivePack()) {
+  const { ok, data } = await apiRequest('/guess', { query: { puzzleDate, packId } });
+  if (!ok) {
+    console.error('Error fetching recorded guesses:', data?.error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Record a guess for today's puzzle and get its feedback
+ * @param {string} puzzleDate - Date in YYYY-MM-DD format
+ * @param {string} playerId - Guessed player ID
+ * @param {string} packId - Puzzle pack (defaults to the active pack)
+ * @param {boolean} hardMode - Play the game in hard mode (only read with the first guess)
+ * @returns {Object|null} - { feedback, gameStatus, reveal }
+ */
+export async function postDailyGuess(puzzleDate, playerId, packId = getActivePack(), hardMode = false) {
+  const { ok, data } = await apiRequest('/guess', {
+    method: 'POST',
+    body: { puzzleDate, packId, playerId, hardMode },
+  });
+  if (!ok) {
+    console.error('Error recording guess:', data?.error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Unlock the next hint for today's puzzle
+ * @param {string} puzzleDate - Date in YYYY-MM-DD format
+ * @param {string} packId - Puzzle pack (defaults to the active pack)
+ * @returns {Object|null} - { hints } (every hint unlocked so far)
+ */
+export async function postDailyHint(puzzleDate, packId = getActivePack()) {
+  const { ok, data } = await apiRequest('/hint', {
+    method: 'POST',
+    body: { puzzleDate, packId },
+  });
+  if (!ok) {
+    console.error('Error unlocking hint:', data?.error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Post today's finished game to the channel the activity was launched from
+ * The channel comes from the session, see api/token.js.
+ * @param {string} puzzleDate - Date in YYYY-MM-DD format
+ * @param {string} packId - Puzzle pack (defaults to the active pack)
+ * @returns {Object} - { success: boolean, duplicate?: boolean, error?: string }
+ */
+export async function shareToChannel(puzzleDate, packId = getActivePack()) {
+  const { ok, data } = await apiRequest('/share', {
+    method: 'POST',
+    body: { puzzleDate, packId },
+  });
+  if (data?.duplicate) {
+    return { success: true, duplicate: true };
+  }
+  if (!ok) {
+    return { success: false, error: data?.error || 'Could not post to the channel' };
+  }
+  return { success: true };
+}
+
+/**
+ * Check whether the user gets pinged when a new puzzle is announced
+ * @returns {boolean|null} - Whether they have the server's reminder role, or null if unavailable
+ */
+export async function getReminderStatus() {
+  const { ok, data } = await apiRequest('/notify');
+  if (!ok) {
+    console.error('Error fetching reminders:', data?.error);
+    return null;
+  }
+  return data.subscribed;
+}
+
+/**
+ * Sign up for (or stop) pings when a new puzzle is announced
+ * @param {boolean} subscribed - Whether to get the server's reminder role
+ * @returns {Object} - { success: boolean, error?: string }
+ */
+export async function setReminderSubscription(subscribed) {
+  const { ok, data } = await apiRequest('/notify', { method: subscribed ? 'POST' : 'DELETE' });
+  if (!ok) {
+    return { success: false, error: data?.error || 'Could not update your reminders' };
+  }
+  return { success: true };
+}
+
+/**
+ * Get the server's own puzzles and players (server admins only)
+ * @returns {Object|null} - { puzzles, players }
+ */
+export async function getGuildPuzzles() {
+  const { ok, data } = await apiRequest('/guild-puzzles');
+  if (!ok) {
+    console.error('Error fetching server puzzles:', data?.error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Schedule a server puzzle (server admins only)
+ * @param {Object} puzzle - { puzzleDate, venue, result, matchContext, teams, motm }
+ * @returns {Object} - { success: boolean, puzzle?: Object, error?: string }
+ */
+export async function saveGuildPuzzle(puzzle) {
+  const { ok, data } = await apiRequest('/guild-puzzles', { method: 'POST', body: puzzle });
+  if (!ok) {
+    return { success: false, error: data?.error || 'Failed to save puzzle' };
+  }
+  return { success: true, puzzle: data.puzzle };
+}
+
+/**
+ * Remove a future server puzzle (server admins only)
+ * @param {string} puzzleDate - Date in YYYY-MM-DD format
+ * @returns {boolean} - Whether it was removed
+ */
+export async function deleteGuildPuzzle(puzzleDate) {
+  const { ok, data } = await apiRequest('/guild-puzzles', { method: 'DELETE', query: { puzzleDate } });
+  if (!ok) {
+    console.error('Error removing server puzzle:', data?.error);
+  }
+  return ok;
+}
+
+/**
+ * Get the cloud copy of the player's stats, rebuilt from their recorded games
+ * @param {string} packId - Puzzle pack (defaults to the active pack)
+ * @returns {Object|null} - Stats to merge into the local copy, or null if unavailable
+ */
+export async function fetchCloudStats(packId = getActivePack()) {
+  const { ok, data } = await apiRequest('/stats', { query: { packId } });
+  if (!ok) {
+    console.error('Error fetching stats:', data?.error);
+    return null;
+  }
+  return data?.stats || null;
+}
@@ -1,5 +1,8 @@
 import { DiscordSDK } from '@discord/embedded-app-sdk';
-import { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
+import { setSessionToken, setSessionRefreshHandler } from './api.js';
+import { setStorageUser, setPuzzleTimeZone, setActivePack } from '../utils/dailyPuzzle.js';
+import { normalizePackIds } from '../utils/packs.js';
 
 // Singleton SDK instance - created once at module level
 const discordSdk = new DiscordSDK(import.meta.env.VITE_DISCORD_CLIENT_ID);
@@ -7,6 +10,43 @@ const discordSdk = new DiscordSDK(import.meta.env.VITE_DISCORD_CLIENT_ID);
 // Context for Discord state
 const DiscordContext = createContext(null);
 
+// Renew the app session this long before it expires
+const SESSION_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Ask Discord for an OAuth code (no prompt once the user has authorized)
+ */
+async function authorize() {
+  const { code } = await discordSdk.commands.authorize({
+    client_id: import.meta.env.VITE_DISCORD_CLIENT_ID,
+    response_type: 'code',
+    state: '',
+    prompt: 'none',
+    scope: ['identify', 'guilds', 'rpc.activities.write'],
+  });
+  return code;
+}
+
+/**
+ * Get an app session from our backend
+ * @param {Object} body - { code } or { access_token }, plus guildId and instanceId
+ * @returns {Object} - { access_token, expires_in, session_token, session_expires_in, time_zone, packs,
+ *   can_manage_guild, channel_sharing, reminders }
+ */
+async function requestSession(body) {
+  const response = await fetch('/.proxy/api/token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...body, guildId: discordSdk.guildId, instanceId: discordSdk.instanceId }),
+  });
+
+  if (!response.ok) {
+    throw new Error('Token exchange failed');
+  }
+
+  return response.json();
+}
+
 /**
  * Discord Provider Component
  * Handles SDK initialization, OAuth flow, and provides Discord context to the app
@@ -15,12 +55,88 @@ export function DiscordProvider({ children }) {
   const [status, setStatus] = useState('pending'); // pending, ready, authenticated, error
   const [user, setUser] = useState(null);
   const [guildId, setGuildId] = useState(null);
+  const [packs, setPacks] = useState(() => normalizePackIds(null));
+  const [canManageGuild, setCanManageGuild] = useState(false);
   const [channelId, setChannelId] = useState(null);
+  const [channelSharing, setChannelSharing] = useState(false);
+  const [reminders, setReminders] = useState(false);
   const [participants, setParticipants] = useState([]);
   const [error, setError] = useState(null);
+  const [sessionExpired, setSessionExpired] = useState(false);
+  const refreshSessionRef = useRef(null);
+  const discordTokenRef = useRef(null); // { accessToken, expiresAt }
 
   useEffect(() => {
     let mounted = true;
+    let sessionExpiresAt = 0;
+    let refreshTimer = null;
+    let refreshInFlight = null;
+
+    // Store a fresh session and schedule its renewal
+    function applySession(data) {
+      const now = Date.now();
+
+      if (data.expires_in) {
+        discordTokenRef.current = { accessToken: data.access_token, expiresAt: now + data.expires_in * 1000 };
+      }
+
+      // API routes and Supabase identify the user from this session
+      setSessionToken(data.session_token);
+      sessionExpiresAt = now + data.session_expires_in * 1000;
+
+      clearTimeout(refreshTimer);
+      refreshTimer = setTimeout(
+        refreshSession,
+        Math.max(0, sessionExpiresAt - now - SESSION_REFRESH_MARGIN_MS)
+      );
+    }
+
+    // Renew with the Discord token we hold, or re-authorize if that has expired
+    async function renewSession() {
+      try {
+        let data = null;
+
+        const discordToken = discordTokenRef.current;
+        if (discordToken && discordToken.expiresAt > Date.now()) {
+          data = await requestSession({ access_token: discordToken.accessToken }).catch(() => null);
+        }
+
+        if (!data) {
+          data = await requestSession({ code: await authorize() });
+        }
+
+        if (!mounted) return false;
+
+        applySession(data);
+        setSessionExpired(false);
+        return true;
+      } catch (e) {
+        console.error('Session refresh failed:', e);
+        if (mounted) setSessionExpired(true);
+        return false;
+      }
+    }
+
+    function refreshSession() {
+      if (!refreshInFlight) {
+        refreshInFlight = renewSession().finally(() => {
+          refreshInFlight = null;
+        });
+      }
+      return refreshInFlight;
+    }
+
+    refreshSessionRef.current = refreshSession;
+    setSessionRefreshHandler(refreshSession);
+
+    // Timers are throttled while the activity is in the background
+    function handleVisibilityChange() {
+      if (document.visibilityState === 'visible' && sessionExpiresAt &&
+          sessionExpiresAt - Date.now() < SESSION_REFRESH_MARGIN_MS) {
+        refreshSession();
+      }
+    }
+    document.addEventListener('visibilitychange', handleVisibilityChange);
 
     async function setup() {
       try {
@@ -34,34 +150,37 @@ export function DiscordProvider({ children }) {
         setStatus('ready');
 
         // Step 2: Request authorization (opens OAuth modal in Discord)
-        const { code } = await discordSdk.commands.authorize({
-          client_id: import.meta.env.VITE_DISCORD_CLIENT_ID,
-          response_type: 'code',
-          state: '',
-          prompt: 'none',
-          scope: ['identify', 'guilds'],
-        });
+        const code = await authorize();
 
         if (!mounted) return;
 
-        // Step 3: Exchange code for token via our backend
-        const tokenResponse = await fetch('/.proxy/api/token', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ code }),
-        });
+        // Step 3: Exchange code for token and app session via our backend
+        const tokenData = await requestSession({ code });
 
-        if (!tokenResponse.ok) {
-          throw new Error('Token exchange failed');
-        }
+        if (!mounted) return;
 
-        const { access_token } = await tokenResponse.json();
+        applySession(tokenData);
 
         // Step 4: Authenticate with Discord using the token
-        const auth = await discordSdk.commands.authenticate({ access_token });
+        const auth = await discordSdk.commands.authenticate({ access_token: tokenData.access_token });
 
         if (!mounted) return;
 
+        // Saved games, stats and flags are kept per Discord user
+        setStorageUser(auth.user.id);
+        // Puzzle days follow the guild's reset time zone
+        setPuzzleTimeZone(tokenData.time_zone);
+        // The guild's first pack is played until the player picks another
+        const guildPacks = normalizePackIds(tokenData.packs);
+        setActivePack(guildPacks[0]);
+        setPacks(guildPacks);
+        // Server admins can write puzzles for the guild's own pack
+        setCanManageGuild(!!tokenData.can_manage_guild);
+        // Results can be posted to the channel unless the guild turned it off
+        setChannelSharing(!!tokenData.channel_sharing);
+        // Players can sign up for the role pinged when a new puzzle is announced
+        setReminders(!!tokenData.reminders);
+
         setUser(auth.user);
         setStatus('authenticated');
 
@@ -95,6 +214,9 @@ export function DiscordProvider({ children }) {
 
     return () => {
       mounted = false;
+      clearTimeout(refreshTimer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      setSessionRefreshHandler(null);
       // Cleanup subscriptions
       try {
         discordSdk.unsubscribe('ACTIVITY_INSTANCE_PARTICIPANTS_UPDATE');
@@ -122,6 +244,45 @@ export function DiscordProvider({ children }) {
     }
   }, []);
 
+  // Post an image through Discord's share dialog: upload it as an attachment
+  // first, since the dialog only takes Discord CDN URLs
+  const shareImage = useCallback(async (blob, fileName) => {
+    const discordToken = discordTokenRef.current;
+    if (!discordToken || discordToken.expiresAt <= Date.now()) return false;
+
+    try {
+      const body = new FormData();
+      body.append('file', new File([blob], fileName, { type: blob.type }));
+
+      const response = await fetch(
+        `https://discord.com/api/applications/${import.meta.env.VITE_DISCORD_CLIENT_ID}/attachment`,
+        {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${discordToken.accessToken}` },
+          body
+        }
+      );
+      if (!response.ok) {
+        throw new Error(`Attachment upload failed: ${response.status}`);
+      }
+
+      const { attachment } = await response.json();
+      await discordSdk.commands.openShareMomentDialog({ mediaUrl: attachment.url });
+      return true;
+    } catch (e) {
+      console.error('Failed to share image:', e);
+      return false;
+    }
+  }, []);
+
+  // Retry a failed session refresh
+  const reconnect = useCallback(() => refreshSessionRef.current?.(), []);
+
+  // Offer a pack that became playable after launch (e.g. the first server puzzle)
+  const addPack = useCallback((packId) => {
+    setPacks(current => normalizePackIds([...current, packId]));
+  }, []);
+
   // Close the activity
   const closeActivity = useCallback((code = 1000, message = 'User closed') => {
     discordSdk.close(code, message);
@@ -132,11 +293,19 @@ export function DiscordProvider({ children }) {
     status,
     user,
     guildId,
+    packs,
+    canManageGuild,
+    addPack,
     channelId,
+    channelSharing,
+    reminders,
     participants,
     error,
+    sessionExpired,
+    reconnect,
     openInvite,
     openExternalLink,
+    shareImage,
     closeActivity,
   };
 
@@ -228,6 +397,38 @@ export function DiscordProvider({ children }) {
   return (
     <DiscordContext.Provider value={value}>
       {children}
+      {sessionExpired && (
+        <div className="discord-session-expired">
+          <span>Your session expired.</span>
+          <button onClick={reconnect}>Reconnect</button>
+          <style>{`
+            .discord-session-expired {
+              position: fixed;
+              left: 50%;
+              bottom: 16px;
+              transform: translateX(-50%);
+              display: flex;
+              align-items: center;
+              gap: 12px;
+              padding: 10px 16px;
+              background: #1e3a8a;
+              color: white;
+              border-radius: 8px;
+              box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+              z-index: 10000;
+            }
+            .discord-session-expired button {
+              background: white;
+              color: #1e3a8a;
+              border: none;
+              padding: 6px 14px;
+              border-radius: 6px;
+              cursor: pointer;
+            }
+          `}</style>
+        </div>
+      )}
     </DiscordContext.Provider>
   );
 }
@@ -0,0 +1,94 @@
+/**
+ * Leaderboard Queries
+ * Take the Supabase client as an argument so the same queries run in the
+ * browser (anon client, see supabase.js) and in API routes (service role).
+ * Every query is scoped to one puzzle pack, and ranked by points (see
+ * utils/scoring.js).
+ */
+
+import { compareEntries } from '../utils/scoring.js';
+
+// Players per page of the all-time leaderboard
+export const ALL_TIME_PAGE_SIZE = 20;
+
+/**
+ * Get leaderboard entries for a specific puzzle date
+ * @param {Object} client - Supabase client
+ * @param {string} packId - Puzzle pack
+ * @param {string} puzzleDate - Date in YYYY-MM-DD format
+ * @param {string|null} guildId - Discord guild ID for filtering (null for global)
+ * @returns {Array} - Leaderboard entries, most points first
+ */
+export async function queryPuzzleLeaderboard(client, packId, puzzleDate, guildId = null) {
+  let query = client
+    .from('leaderboard_entries')
+    .select('*')
+    .eq('pack_id', packId)
+    .eq('puzzle_date', puzzleDate);
+
+  // Filter by guild if provided
+  if (guildId) {
+    query = query.eq('guild_id', guildId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Error fetching leaderboard:', error);
+    return [];
+  }
+
+  return (data || []).sort(compareEntries);
+}
+
+/**
+ * Get a page of the all-time leaderboard, aggregated per player in the database
+ * (all_time_leaderboard in supabase/migrations/012_all_time_leaderboard.sql)
+ * @param {Object} client - Supabase client
+ * @param {string} packId - Puzzle pack
+ * @param {string|null} guildId - Discord guild ID for filtering (null for global)
+ * @param {Object} options - { from, to } puzzle date range (YYYY-MM-DD, inclusive, either optional),
+ *   { limit, offset } page (at most 100 players per page)
+ * @returns {Array} - Ranked players { rank, discord_user_id, discord_username, discord_avatar,
+ *   games_played, total_wins, win_rate, avg_guesses, total_points, current_streak, total_players }
+ */
+export async function queryAllTimeLeaderboard(client, packId, guildId = null, { from = null, to = null, limit = ALL_TIME_PAGE_SIZE, offset = 0 } = {}) {
+  const { data, error } = await client.rpc('all_time_leaderboard', {
+    p_pack_id: packId,
+    p_guild_id: guildId,
+    p_from: from,
+    p_to: to,
+    p_limit: limit,
+    p_offset: offset
+  });
+
+  if (error) {
+    console.error('Error fetching all-time leaderboard:', error);
+    return [];
+  }
+
+  return data || [];
+}
+
+/**
+ * Get a player's own leaderboard entries in a pack, newest first
+ * @param {Object} client - Supabase client
+ * @param {string} discordUserId - Discord user ID
+ * @param {string} packId - Puzzle pack
+ * @returns {Array} - Array of leaderboard entries
+ */
+export async function queryEntriesByDiscordUser(client, discordUserId, packId) {
+  const { data, error } = await client
+    .from('leaderboard_entries')
+    .select('*')
+    .eq('discord_user_id', discordUserId)
+    .eq('pack_id', packId)
+    .order('puzzle_date', { ascending: false });
+
+  if (error) {
+    console.error('Error fetching entries by Discord user:', error);
+    return [];
+  }
+
+  return data || [];
+}
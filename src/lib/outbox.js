@@ -0,0 +1,208 @@
+/**
+ * Outbox
+ * Today's guesses and leaderboard submissions are sent through a persistent
+ * queue, so a dropped connection (e.g. the /.proxy mapping briefly failing)
+ * doesn't lose them. Requests are sent in the order they were made; one that
+ * can't reach the server stays queued in localStorage and is retried with
+ * backoff, after a reload too, unless the session has expired for good, which
+ * rejects everything queued. Both routes are safe to repeat (/api/guess
+ * returns the recorded feedback for a repeated guess, /api/leaderboard reports
+ * a duplicate).
+ *
+ * Callers get the response straight away when the request goes through. When
+ * it's queued instead, subscribers hear about it once it's delivered or
+ * rejected (see useOutbox).
+ */
+
+import { apiRequest, getSessionToken } from './api.js';
+import { STORAGE_KEYS, getUserStorageKey } from '../utils/dailyPuzzle.js';
+
+// Retry delays double from BASE_RETRY_MS up to MAX_RETRY_MS
+const BASE_RETRY_MS = 2000;
+const MAX_RETRY_MS = 60000;
+
+let offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+let flushing = null;
+let retryTimer = null;
+let nextId = 0;
+
+// Callers waiting on a request they just sent, by item ID
+const waiting = new Map();
+const listeners = new Set();
+
+/**
+ * Whether a failed request is worth retrying (no connection, server error,
+ * rate limit or no session yet). A session that couldn't be renewed (e.g.
+ * revoked) won't come back by itself, so that 401 is final.
+ * @param {Object} response - From apiRequest (status 0 if the request never completed)
+ * @returns {boolean}
+ */
+function isRetryable({ status, sessionExpired }) {
+  return status === 0 || (status === 401 && !sessionExpired) || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Get the delay before the next retry
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} - Milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+}
+
+function loadItems() {
+  try {
+    const stored = localStorage.getItem(getUserStorageKey(STORAGE_KEYS.OUTBOX));
+    return stored ? JSON.parse(stored) : [];
+  } catch (e) {
+    console.warn('Failed to load outbox:', e);
+    return [];
+  }
+}
+
+function saveItems(items) {
+  try {
+    localStorage.setItem(getUserStorageKey(STORAGE_KEYS.OUTBOX), JSON.stringify(items));
+  } catch (e) {
+    console.warn('Failed to save outbox:', e);
+  }
+}
+
+function notify(event) {
+  listeners.forEach(listener => listener(event));
+}
+
+function setOffline(value) {
+  if (offline === value) return;
+  offline = value;
+  notify({ type: 'status' });
+}
+
+/**
+ * Send queued requests in order until one can't get through
+ */
+async function deliverItems() {
+  let items = loadItems();
+
+  while (items.length > 0) {
+    const item = items[0];
+    const response = await apiRequest(item.path, { method: 'POST', body: item.body });
+
+    if (!response.ok && isRetryable(response)) {
+      setOffline(response.status === 0);
+
+      items = loadItems().map(queued => queued.id === item.id
+        ? { ...queued, attempts: queued.attempts + 1 }
+        : queued);
+      saveItems(items);
+
+      // Callers carry on without a response; subscribers get it later
+      waiting.forEach(resolve => resolve({ queued: true }));
+      waiting.clear();
+
+      clearTimeout(retryTimer);
+      retryTimer = setTimeout(flushOutbox, getRetryDelay(items[0].attempts));
+      notify({ type: 'status' });
+      return;
+    }
+
+    setOffline(false);
+
+    // Everything else queued would be refused by the expired session too
+    const settled = response.sessionExpired ? loadItems() : [item];
+    const settledIds = new Set(settled.map(queued => queued.id));
+    items = loadItems().filter(queued => !settledIds.has(queued.id));
+    saveItems(items);
+
+    settled.forEach(settledItem => {
+      const resolve = waiting.get(settledItem.id);
+      if (resolve) {
+        waiting.delete(settledItem.id);
+        resolve(response);
+      } else {
+        notify({ type: response.ok ? 'delivered' : 'rejected', item: settledItem, response });
+      }
+    });
+    notify({ type: 'status' });
+  }
+}
+
+/**
+ * Send everything in the outbox
+ * Waits for the session (queued requests are sent as the signed-in user).
+ * @returns {Promise<void>}
+ */
+export function flushOutbox() {
+  if (!getSessionToken()) return Promise.resolve();
+
+  if (!flushing) {
+    clearTimeout(retryTimer);
+    flushing = deliverItems().finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+}
+
+/**
+ * Send a request through the outbox
+ * @param {string} kind - 'guess' or 'leaderboard'
+ * @param {string} path - API route (e.g. '/guess')
+ * @param {Object} body - JSON body, also read by subscribers (e.g. puzzleDate, packId)
+ * @returns {Promise<Object>} - apiRequest's { ok, status, data }, or { queued: true }
+ *   if the request couldn't get through and will be retried
+ */
+export async function sendThroughOutbox(kind, path, body) {
+  const item = { id: `${Date.now()}-${nextId++}`, kind, path, body, attempts: 0 };
+  saveItems([...loadItems(), item]);
+  notify({ type: 'status' });
+
+  const result = new Promise(resolve => waiting.set(item.id, resolve));
+
+  // A flush that is already running may pick this up (or fail and queue it)
+  await flushing;
+  if (waiting.has(item.id)) {
+    // Sends anything queued before it first, so a new request is also a retry
+    await flushOutbox();
+  }
+
+  // No session yet: leave it queued for the first flush
+  if (waiting.has(item.id)) {
+    waiting.get(item.id)({ queued: true });
+    waiting.delete(item.id);
+  }
+  return result;
+}
+
+/**
+ * Get the requests waiting to be sent
+ * @returns {Array} - [{ id, kind, path, body, attempts }], oldest first
+ */
+export function getOutboxItems() {
+  return loadItems();
+}
+
+/**
+ * Whether the last request failed to reach the server
+ * @returns {boolean}
+ */
+export function isOffline() {
+  return offline;
+}
+
+/**
+ * Listen for outbox changes
+ * @param {Function} listener - Called with { type: 'status' } when the queue or connection
+ *   changes, and { type: 'delivered' | 'rejected', item, response } when a queued
+ *   request finally goes through or is refused
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeOutbox(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => flushOutbox());
+  window.addEventListener('offline', () => setOffline(true));
+}
@@ -0,0 +1,336 @@
+/**
+ * Puzzle Service
+ * Loads answer-free puzzles and checks guesses on the server.
+ *
+ * The client never holds an answer: puzzles come from the public_puzzles view.
+ * Today's guesses are recorded through /api/guess (so leaderboard submissions
+ * can be replayed server-side, and games resume on any device); archive
+ * guesses go through validateGuess. Hints work the same way: today's through
+ * /api/hint (so the leaderboard can count them), archive ones through
+ * revealHints.
+ * Today's guesses go through the outbox (see outbox.js), so one made while the
+ * server can't be reached is sent once it can.
+ * The bundled puzzle pack is only loaded in development builds, when Supabase
+ * is not configured, and only stands in for the default pack.
+ * Every puzzle carries the pack it belongs to (see utils/packs.js).
+ */
+
+import {
+  getPuzzleByDate,
+  validateGuess,
+  revealPuzzle as revealPuzzleRpc,
+  revealHints,
+  getFeaturedPlayerIds
+} from './supabase.js';
+import { getDailyGuesses, postDailyGuess, postDailyHint } from './api.js';
+import { sendThroughOutbox } from './outbox.js';
+import {
+  EPOCH_DATE,
+  getPuzzleNumber,
+  getToday,
+  getLastFinishedPuzzleDate,
+  getActivePack
+} from '../utils/dailyPuzzle.js';
+import { buildSchedule } from '../utils/puzzleScheduler.js';
+import { DEFAULT_PACK_ID } from '../utils/packs.js';
+import { buildPuzzleHints, getMatchTeams } from '../utils/hints.js';
+
+// Cached dev-only pack: { puzzles, highlights, defaultHighlight, playersLookup }
+let localPackPromise = null;
+
+/**
+ * Load the bundled puzzle pack (development builds only)
+ * The dynamic imports are dropped from production builds entirely.
+ * @returns {Promise<Object|null>}
+ */
+function loadLocalPack() {
+  if (import.meta.env.DEV) {
+    if (!localPackPromise) {
+      localPackPromise = Promise.all([
+        import('../data/match_puzzles_t20wc.json'),
+        import('../data/match_highlights.json'),
+        import('../data/all_players.json')
+      ]).then(([puzzlesModule, highlightsModule, playersModule]) => {
+        const playersLookup = {};
+        playersModule.default.players.forEach(player => {
+          playersLookup[player.id] = player;
+        });
+        return {
+          puzzles: puzzlesModule.default.puzzles || [],
+          highlights: highlightsModule.default.highlights || [],
+          defaultHighlight: highlightsModule.default.defaultHighlight || null,
+          playersLookup
+        };
+      });
+    }
+    return localPackPromise;
+  }
+  return Promise.resolve(null);
+}
+
+/**
+ * Convert a public_puzzles row into the shape the UI renders
+ */
+function toClientPuzzle(row) {
+  return {
+    id: row.id,
+    packId: row.pack_id,
+    puzzleDate: row.puzzle_date,
+    puzzleNumber: row.puzzle_number,
+    matchContext: row.match_context || null,
+    matchData: {
+      scorecard: row.scorecard || {}
+    },
+    hasTeamsHint: row.has_teams_hint !== false,
+    source: 'server'
+  };
+}
+
+/**
+ * Build a client puzzle from the local pack, stripping the answer fields
+ */
+function toLocalClientPuzzle(pack, dateStr) {
+  if (pack.puzzles.length === 0) return null;
+
+  // Same scheduler the seed script uses, planned from the epoch
+  const puzzleNumber = getPuzzleNumber(dateStr);
+  const schedule = buildSchedule(pack.puzzles, { startDate: EPOCH_DATE, days: puzzleNumber + 1 });
+  const puzzle = pack.puzzles.find(p => p.id === schedule[schedule.length - 1].puzzle_id);
+  const { venue, team1Score, team2Score } = puzzle.matchData.scorecard;
+
+  return {
+    id: puzzle.id,
+    packId: DEFAULT_PACK_ID,
+    puzzleDate: dateStr,
+    puzzleNumber,
+    matchContext: null, // A hint (see getLocalHints)
+    matchData: {
+      scorecard: { venue, team1Score, team2Score }
+    },
+    hasTeamsHint: getMatchTeams(puzzle.matchData, pack.playersLookup) !== null,
+    source: 'local'
+  };
+}
+
+/**
+ * Build the first `count` hints for a local pack puzzle, same shape as the
+ * puzzle_hints function on the server
+ */
+async function getLocalHints(puzzle, count) {
+  const pack = await loadLocalPack();
+  const fullPuzzle = pack?.puzzles.find(p => p.id === puzzle.id);
+  if (!fullPuzzle) return null;
+
+  const highlight = pack.highlights.find(h => h.puzzleId === puzzle.id);
+  return buildPuzzleHints(fullPuzzle, pack.playersLookup, highlight?.matchContext || null).slice(0, count);
+}
+
+/**
+ * Fetch the puzzle for a date
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {string} packId - Puzzle pack (defaults to the active pack)
+ * @returns {Promise<Object|null>} - Answer-free puzzle or null if unavailable
+ */
+export async function fetchPuzzle(dateStr, packId = getActivePack()) {
+  const row = await getPuzzleByDate(dateStr, packId);
+  if (row) return toClientPuzzle(row);
+
+  if (packId !== DEFAULT_PACK_ID) return null;
+
+  const pack = await loadLocalPack();
+  if (!pack) return null;
+
+  console.warn('Using bundled puzzle pack (development only)');
+  return toLocalClientPuzzle(pack, dateStr);
+}
+
+/**
+ * Check a guess against an archive puzzle
+ * @param {Object} puzzle - Puzzle returned by fetchPuzzle
+ * @param {string} playerId - Guessed player ID
+ * @returns {Promise<Object|null>} - PTRM feedback, or null if the guess couldn't be checked
+ */
+export async function checkGuess(puzzle, playerId) {
+  if (!puzzle) return null;
+
+  if (puzzle.source === 'local') {
+    const pack = await loadLocalPack();
+    const fullPuzzle = pack?.puzzles.find(p => p.id === puzzle.id);
+    const player = pack?.playersLookup[playerId];
+    if (!fullPuzzle || !player) return null;
+
+    const { playersInMatch = [], targetPlayerTeam, targetPlayerRole } = fullPuzzle.matchData;
+    return {
+      playerName: player.fullName,
+      country: player.country,
+      role: player.role,
+      playedInGame: playersInMatch.includes(playerId),
+      sameTeam: player.country === targetPlayerTeam,
+      sameRole: player.role === targetPlayerRole,
+      isMVP: playerId === fullPuzzle.targetPlayer
+    };
+  }
+
+  try {
+    const feedback = await validateGuess(puzzle.id, playerId);
+    if (!feedback || feedback.error) {
+      console.error('Server validation error:', feedback?.error);
+      return null;
+    }
+    return feedback;
+  } catch (err) {
+    console.error('Supabase error:', err);
+    return null;
+  }
+}
+
+/**
+ * Record a guess for today's puzzle and get its feedback
+ * @param {Object} puzzle - Puzzle returned by fetchPuzzle
+ * @param {string} playerId - Guessed player ID
+ * @param {boolean} hardMode - Whether the game is played in hard mode
+ * @returns {Promise<Object>} - { feedback } with the PTRM feedback (null if the guess was refused),
+ *   or { feedback: null, queued: true } if the server couldn't be reached and the guess
+ *   will be sent later
+ */
+export async function submitDailyGuess(puzzle, playerId, hardMode = false) {
+  if (!puzzle) return { feedback: null };
+
+  if (puzzle.source === 'local') {
+    return { feedback: await checkGuess(puzzle, playerId) };
+  }
+
+  const result = await sendThroughOutbox('guess', '/guess', {
+    puzzleDate: puzzle.puzzleDate,
+    packId: puzzle.packId,
+    playerId,
+    hardMode
+  });
+  if (result.queued) return { feedback: null, queued: true };
+
+  if (!result.ok) {
+    console.error('Error recording guess:', result.data?.error);
+  }
+  return { feedback: result.data?.feedback || null };
+}
+
+/**
+ * Unlock the next hint for today's puzzle
+ * @param {Object} puzzle - Puzzle returned by fetchPuzzle
+ * @param {number} hintsUsed - Hints unlocked so far
+ * @returns {Promise<Array|null>} - Every hint unlocked so far, or null if the hint couldn't be recorded
+ */
+export async function unlockDailyHint(puzzle, hintsUsed) {
+  if (!puzzle) return null;
+
+  if (puzzle.source === 'local') {
+    return getLocalHints(puzzle, hintsUsed + 1);
+  }
+
+  const result = await postDailyHint(puzzle.puzzleDate, puzzle.packId);
+  return result?.hints || null;
+}
+
+/**
+ * Unlock the next hint for an archive puzzle
+ * @param {Object} puzzle - Puzzle returned by fetchPuzzle
+ * @param {number} hintsUsed - Hints unlocked so far
+ * @returns {Promise<Array|null>} - Every hint unlocked so far, or null if unavailable
+ */
+export async function unlockArchiveHint(puzzle, hintsUsed) {
+  if (!puzzle) return null;
+
+  if (puzzle.source === 'local') {
+    return getLocalHints(puzzle, hintsUsed + 1);
+  }
+
+  const hints = await revealHints(puzzle.id, hintsUsed + 1);
+  return Array.isArray(hints) ? hints : null;
+}
+
+/**
+ * Load today's progress recorded on the server, so a game started on another
+ * device resumes exactly where it was left
+ * Guesses this device has that the server doesn't (e.g. saved before guesses
+ * were recorded server-side) are submitted first, in order.
+ * @param {Object} puzzle - Puzzle returned by fetchPuzzle
+ * @param {string[]} localGuesses - Guesses saved on this device for the same day
+ * @param {boolean} localHardMode - Whether this device started the game in hard mode
+ * @returns {Promise<Object|null>} - { guesses, feedback, gameStatus, hardMode, hints }, or null if unavailable
+ */
+export async function loadDailyProgress(puzzle, localGuesses = [], localHardMode = false) {
+  if (!puzzle || puzzle.source === 'local' || puzzle.puzzleDate !== getToday()) {
+    return null;
+  }
+
+  const progress = await getDailyGuesses(puzzle.puzzleDate, puzzle.packId);
+  if (!progress) return null;
+
+  const missing = localGuesses.filter(playerId => !progress.guesses.includes(playerId));
+  if (missing.length === 0 || progress.gameStatus === 'won' || progress.gameStatus === 'lost') {
+    return progress;
+  }
+
+  for (const playerId of missing) {
+    const result = await postDailyGuess(puzzle.puzzleDate, playerId, puzzle.packId, localHardMode);
+    if (!result || result.gameStatus === 'won' || result.gameStatus === 'lost') break;
+  }
+
+  return getDailyGuesses(puzzle.puzzleDate, puzzle.packId);
+}
+
+/**
+ * Reveal the answer and match details once a game is over
+ * @param {Object} puzzle - Puzzle returned by fetchPuzzle
+ * @returns {Promise<Object|null>} - { targetPlayer, targetPlayerName, targetPlayerTeam,
+ *   targetPlayerRole, scorecard, cricinfoUrl, matchContext, triviaFact, playerHighlight }
+ */
+export async function revealPuzzle(puzzle) {
+  if (!puzzle) return null;
+
+  if (puzzle.source === 'local') {
+    const pack = await loadLocalPack();
+    const fullPuzzle = pack?.puzzles.find(p => p.id === puzzle.id);
+    if (!fullPuzzle) return null;
+
+    const highlight = pack.highlights.find(h => h.puzzleId === puzzle.id) || pack.defaultHighlight || {};
+    return {
+      targetPlayer: fullPuzzle.targetPlayer,
+      targetPlayerName: pack.playersLookup[fullPuzzle.targetPlayer]?.fullName || null,
+      targetPlayerTeam: fullPuzzle.matchData.targetPlayerTeam,
+      targetPlayerRole: fullPuzzle.matchData.targetPlayerRole,
+      scorecard: fullPuzzle.matchData.scorecard,
+      cricinfoUrl: fullPuzzle.cricinfoUrl || null,
+      matchContext: highlight.matchContext || null,
+      triviaFact: highlight.triviaFact || null,
+      playerHighlight: highlight.playerHighlight || null
+    };
+  }
+
+  // Answers still being played somewhere are only revealed by the server once
+  // our recorded game is over
+  if (puzzle.puzzleDate > getLastFinishedPuzzleDate()) {
+    const state = await getDailyGuesses(puzzle.puzzleDate, puzzle.packId);
+    return state?.reveal || null;
+  }
+
+  const reveal = await revealPuzzleRpc(puzzle.id);
+  if (!reveal || reveal.error) return null;
+  return reveal;
+}
+
+/**
+ * Get IDs of players featured in the puzzle pool (ranked first in autocomplete)
+ * @returns {Promise<Set<string>>}
+ */
+export async function fetchPriorityPlayerIds() {
+  const ids = await getFeaturedPlayerIds();
+  if (ids.length > 0) return new Set(ids);
+
+  const pack = await loadLocalPack();
+  const localIds = new Set();
+  pack?.puzzles.forEach(puzzle => {
+    (puzzle.matchData?.playersInMatch || []).forEach(id => localIds.add(id));
+  });
+  return localIds;
+}
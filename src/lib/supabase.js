@@ -1,4 +1,8 @@
 import { createClient } from '@supabase/supabase-js';
+import { getSessionToken } from './api.js';
+import { queryPuzzleLeaderboard, queryAllTimeLeaderboard, queryEntriesByDiscordUser } from './leaderboardQueries.js';
+import { getToday, getLastFinishedPuzzleDate, getActivePack } from '../utils/dailyPuzzle.js';
+import { getPeriodRange } from '../utils/periods.js';
 
 // Detect if running as Discord Activity (proxied environment)
 const isDiscordActivity = typeof window !== 'undefined' &&
@@ -16,7 +20,11 @@ const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
 let supabase = null;
 
 if (supabaseUrl && supabaseAnonKey) {
-  supabase = createClient(supabaseUrl, supabaseAnonKey);
+  // Requests carry the app session (signed with the project's JWT secret) once
+  // we have one, so RLS can check auth.jwt() instead of client-supplied ids
+  supabase = createClient(supabaseUrl, supabaseAnonKey, {
+    accessToken: async () => getSessionToken()
+  });
 } else {
   console.warn('Supabase disabled - missing environment variables');
 }
@@ -25,15 +33,17 @@ export { supabase };
 
 /**
  * Get today's puzzle (safe - doesn't expose answer)
+ * @param {string} packId - Puzzle pack (defaults to the active pack)
  */
-export async function getTodaysPuzzle() {
+export async function getTodaysPuzzle(packId = getActivePack()) {
   if (!supabase) return null;
 
-  const today = new Date().toISOString().split('T')[0];
+  const today = getToday();
 
   const { data, error } = await supabase
     .from('public_puzzles')
     .select('*')
+    .eq('pack_id', packId)
     .eq('puzzle_date', today)
     .single();
 
@@ -47,13 +57,16 @@ export async function getTodaysPuzzle() {
 
 /**
  * Get puzzle by date (safe - doesn't expose answer)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} packId - Puzzle pack (defaults to the active pack)
  */
-export async function getPuzzleByDate(date) {
+export async function getPuzzleByDate(date, packId = getActivePack()) {
   if (!supabase) return null;
 
   const { data, error } = await supabase
     .from('public_puzzles')
     .select('*')
+    .eq('pack_id', packId)
     .eq('puzzle_date', date)
     .single();
 
@@ -84,9 +97,37 @@ export async function getAllPlayers() {
   return data;
 }
 
+/**
+ * Get the club players a guild has added (for server puzzle autocomplete)
+ * Only the session's own guild is readable.
+ * @returns {Array} - [{ id, fullName, country, role }]
+ */
+export async function getGuildPlayers(guildId) {
+  if (!supabase || !guildId) return [];
+
+  const { data, error } = await supabase
+    .from('players')
+    .select('id, full_name, country, role')
+    .eq('guild_id', guildId)
+    .order('full_name');
+
+  if (error) {
+    console.error('Error fetching server players:', error);
+    return [];
+  }
+
+  return data.map(player => ({
+    id: player.id,
+    fullName: player.full_name,
+    country: player.country,
+    role: player.role
+  }));
+}
+
 /**
  * Validate a guess (server-side validation via RPC)
  * Returns feedback without exposing the answer
+ * Past puzzles only - today's guesses are recorded through /api/guess
  */
 export async function validateGuess(puzzleId, guessedPlayerId) {
   if (!supabase) return null;
@@ -105,162 +146,128 @@ export async function validateGuess(puzzleId, guessedPlayerId) {
 }
 
 /**
- * Get archive puzzles (past puzzles only)
+ * Reveal the answer and full match details for a past puzzle
+ * Only called once a game is over
  */
-export async function getArchivePuzzles() {
-  if (!supabase) return [];
-
-  const today = new Date().toISOString().split('T')[0];
+export async function revealPuzzle(puzzleId) {
+  if (!supabase) return null;
 
-  const { data, error } = await supabase
-    .from('public_puzzles')
-    .select('id, puzzle_date, puzzle_number')
-    .lt('puzzle_date', today)
-    .order('puzzle_date', { ascending: false });
+  const { data, error } = await supabase.rpc('reveal_puzzle', {
+    p_puzzle_id: puzzleId
+  });
 
   if (error) {
-    console.error('Error fetching archive puzzles:', error);
-    return [];
+    console.error('Error revealing puzzle:', error);
+    return null;
   }
 
   return data;
 }
 
-// ============================================================================
-// LEADERBOARD FUNCTIONS (Discord-specific)
-// ============================================================================
-
 /**
- * Get leaderboard entries for a specific puzzle date
- * @param {string} puzzleDate - Date in YYYY-MM-DD format
- * @param {string|null} guildId - Discord guild ID for filtering (null for global)
- * @returns {Array} - Leaderboard entries sorted by performance
+ * Get the first `count` hints for a past puzzle (archive mode)
+ * Today's hints are unlocked through /api/hint
  */
-export async function getLeaderboardForPuzzle(puzzleDate, guildId = null) {
-  if (!supabase) return [];
-
-  let query = supabase
-    .from('leaderboard_entries')
-    .select('*')
-    .eq('puzzle_date', puzzleDate)
-    .order('guesses_used', { ascending: true })
-    .order('created_at', { ascending: true });
-
-  // Filter by guild if provided
-  if (guildId) {
-    query = query.eq('guild_id', guildId);
-  }
+export async function revealHints(puzzleId, count) {
+  if (!supabase) return null;
 
-  const { data, error } = await query;
+  const { data, error } = await supabase.rpc('reveal_hints', {
+    p_puzzle_id: puzzleId,
+    p_count: count
+  });
 
   if (error) {
-    console.error('Error fetching leaderboard:', error);
-    return [];
+    console.error('Error revealing hints:', error);
+    return null;
   }
 
-  return data || [];
+  return data;
 }
 
 /**
- * Get all-time leaderboard (aggregated stats per player)
- * @param {string|null} guildId - Discord guild ID for filtering (null for global)
- * @returns {Array} - Players with total wins and games played
+ * Get IDs of players that appear in the puzzle pool (for autocomplete ranking)
+ * Covers the default pack and the current guild's own pack
  */
-export async function getAllTimeLeaderboard(guildId = null) {
+export async function getFeaturedPlayerIds() {
   if (!supabase) return [];
 
-  let query = supabase
-    .from('leaderboard_entries')
-    .select('discord_username, discord_user_id, discord_avatar, won, guesses_used')
-    .eq('is_seed', false);
-
-  if (guildId) {
-    query = query.eq('guild_id', guildId);
-  }
-
-  const { data, error } = await query;
+  const { data, error } = await supabase
+    .from('featured_players')
+    .select('player_id');
 
   if (error) {
-    console.error('Error fetching all-time leaderboard:', error);
+    console.error('Error fetching featured players:', error);
     return [];
   }
 
-  // Aggregate on client side by Discord user ID
-  const playerStats = {};
-  (data || []).forEach(entry => {
-    const id = entry.discord_user_id;
-    if (!id) return;
-
-    if (!playerStats[id]) {
-      playerStats[id] = {
-        discord_user_id: id,
-        discord_username: entry.discord_username,
-        discord_avatar: entry.discord_avatar,
-        games_played: 0,
-        total_wins: 0,
-        total_guesses: 0
-      };
-    }
-    playerStats[id].games_played++;
-    if (entry.won) {
-      playerStats[id].total_wins++;
-      playerStats[id].total_guesses += entry.guesses_used;
-    }
-  });
-
-  // Convert to array and sort by wins, then by average guesses
-  return Object.values(playerStats)
-    .sort((a, b) => {
-      if (b.total_wins !== a.total_wins) return b.total_wins - a.total_wins;
-      const avgA = a.total_wins > 0 ? a.total_guesses / a.total_wins : 5;
-      const avgB = b.total_wins > 0 ? b.total_guesses / b.total_wins : 5;
-      return avgA - avgB;
-    });
+  return (data || []).map(row => row.player_id);
 }
 
 /**
- * Submit a new leaderboard entry with Discord identity
- * @param {Object} entry - Leaderboard entry data with Discord info
- * @returns {Object} - { success: boolean, data?: any, error?: string }
+ * Get archive puzzles (past puzzles only)
+ * A date joins the archive once it has finished in every time zone, which is
+ * when validate_guess starts accepting it.
+ * @param {string} packId - Puzzle pack (defaults to the active pack)
  */
-export async function submitLeaderboardEntry(entry) {
-  if (!supabase) return { success: false, error: 'Supabase not configured' };
-
-  // Check if Discord user already submitted for this puzzle
-  const { data: existing } = await supabase
-    .from('leaderboard_entries')
-    .select('id')
-    .eq('puzzle_date', entry.puzzle_date)
-    .eq('discord_user_id', entry.discord_user_id)
-    .single();
-
-  if (existing) {
-    return { success: false, error: 'Already submitted for this puzzle', duplicate: true };
-  }
+export async function getArchivePuzzles(packId = getActivePack()) {
+  if (!supabase) return [];
 
   const { data, error } = await supabase
-    .from('leaderboard_entries')
-    .insert([{
-      puzzle_date: entry.puzzle_date,
-      puzzle_number: entry.puzzle_number,
-      discord_user_id: entry.discord_user_id,
-      discord_username: entry.discord_username,
-      discord_avatar: entry.discord_avatar,
-      guild_id: entry.guild_id,
-      display_name: entry.discord_username, // For backwards compatibility
-      guesses_used: entry.guesses_used,
-      won: entry.won,
-      is_seed: false
-    }])
-    .select()
-    .single();
+    .from('public_puzzles')
+    .select('id, puzzle_date, puzzle_number')
+    .eq('pack_id', packId)
+    .lte('puzzle_date', getLastFinishedPuzzleDate())
+    .order('puzzle_date', { ascending: false });
 
   if (error) {
-    console.error('Error submitting leaderboard entry:', error);
-    return { success: false, error: error.message };
+    console.error('Error fetching archive puzzles:', error);
+    return [];
   }
 
-  return { success: true, data };
+  return data;
+}
+
+// ============================================================================
+// LEADERBOARD FUNCTIONS (Discord-specific)
+// ============================================================================
+
+/**
+ * Get leaderboard entries for a specific puzzle date
+ * @param {string} puzzleDate - Date in YYYY-MM-DD format
+ * @param {string|null} guildId - Discord guild ID for filtering (null for global)
+ * @param {string} packId - Puzzle pack (defaults to the active pack)
+ * @returns {Array} - Leaderboard entries, most points first
+ */
+export async function getLeaderboardForPuzzle(puzzleDate, guildId = null, packId = getActivePack()) {
+  if (!supabase) return [];
+  return queryPuzzleLeaderboard(supabase, packId, puzzleDate, guildId);
+}
+
+/**
+ * Get a page of the all-time leaderboard (aggregated per player on the server)
+ * @param {string|null} guildId - Discord guild ID for filtering (null for global)
+ * @param {string} packId - Puzzle pack (defaults to the active pack)
+ * @param {Object} options - { from, to, limit, offset } (see queryAllTimeLeaderboard)
+ * @returns {Array} - Ranked players with points, wins, games, win rate, average guesses and streak
+ */
+export async function getAllTimeLeaderboard(guildId = null, packId = getActivePack(), options = {}) {
+  if (!supabase) return [];
+  return queryAllTimeLeaderboard(supabase, packId, guildId, options);
+}
+
+/**
+ * Get a page of the leaderboard for one week or month
+ * @param {string} period - 'week' or 'month' (see utils/periods.js)
+ * @param {number} periodsAgo - 0 for the current period, 1 for the one before, ...
+ * @param {string|null} guildId - Discord guild ID for filtering (null for global)
+ * @param {string} packId - Puzzle pack (defaults to the active pack)
+ * @param {Object} options - { limit, offset } (see queryAllTimeLeaderboard)
+ * @returns {Array} - Ranked players for the period, same shape as getAllTimeLeaderboard
+ */
+export async function getPeriodLeaderboard(period, periodsAgo = 0, guildId = null, packId = getActivePack(), options = {}) {
+  if (!supabase) return [];
+  const { from, to } = getPeriodRange(period, periodsAgo);
+  return queryAllTimeLeaderboard(supabase, packId, guildId, { ...options, from, to });
 }
 
 /**
@@ -268,29 +275,15 @@ export async function submitLeaderboardEntry(entry) {
  * @param {string} puzzleDate - Date in YYYY-MM-DD format
  * @param {string} discordUserId - Discord user ID
  * @param {string|null} guildId - Guild ID for guild-specific ranking
+ * @param {string} packId - Puzzle pack (defaults to the active pack)
  * @returns {number|null} - User's rank or null if not found
  */
-export async function getUserRanking(puzzleDate, discordUserId, guildId = null) {
+export async function getUserRanking(puzzleDate, discordUserId, guildId = null, packId = getActivePack()) {
   if (!supabase) return null;
 
-  let query = supabase
-    .from('leaderboard_entries')
-    .select('id, discord_user_id, guesses_used, won, created_at')
-    .eq('puzzle_date', puzzleDate)
-    .order('guesses_used', { ascending: true })
-    .order('created_at', { ascending: true });
-
-  if (guildId) {
-    query = query.eq('guild_id', guildId);
-  }
-
-  const { data, error } = await query;
-
-  if (error || !data) {
-    return null;
-  }
-
-  const index = data.findIndex(entry => entry.discord_user_id === discordUserId);
+  // Same ranking as the leaderboard itself (points, see utils/scoring.js)
+  const entries = await queryPuzzleLeaderboard(supabase, packId, puzzleDate, guildId);
+  const index = entries.findIndex(entry => entry.discord_user_id === discordUserId);
   return index >= 0 ? index + 1 : null;
 }
 
@@ -298,14 +291,16 @@ export async function getUserRanking(puzzleDate, discordUserId, guildId = null)
  * Check if Discord user has already submitted for a puzzle
  * @param {string} puzzleDate - Date in YYYY-MM-DD format
  * @param {string} discordUserId - Discord user ID
+ * @param {string} packId - Puzzle pack (defaults to the active pack)
  * @returns {boolean} - True if already submitted
  */
-export async function hasUserSubmitted(puzzleDate, discordUserId) {
+export async function hasUserSubmitted(puzzleDate, discordUserId, packId = getActivePack()) {
   if (!supabase) return false;
 
   const { data, error } = await supabase
     .from('leaderboard_entries')
     .select('id')
+    .eq('pack_id', packId)
     .eq('puzzle_date', puzzleDate)
     .eq('discord_user_id', discordUserId)
     .single();
@@ -316,21 +311,10 @@ export async function hasUserSubmitted(puzzleDate, discordUserId) {
 /**
  * Get entries by Discord user ID (for historical stats)
  * @param {string} discordUserId - Discord user ID
+ * @param {string} packId - Puzzle pack (defaults to the active pack)
  * @returns {Array} - Array of leaderboard entries
  */
-export async function getEntriesByDiscordUser(discordUserId) {
+export async function getEntriesByDiscordUser(discordUserId, packId = getActivePack()) {
   if (!supabase) return [];
-
-  const { data, error } = await supabase
-    .from('leaderboard_entries')
-    .select('*')
-    .eq('discord_user_id', discordUserId)
-    .order('puzzle_date', { ascending: false });
-
-  if (error) {
-    console.error('Error fetching entries by Discord user:', error);
-    return [];
-  }
-
-  return data || [];
+  return queryEntriesByDiscordUser(supabase, discordUserId, packId);
 }
@@ -3,6 +3,8 @@
  * Wordle-style daily puzzle with localStorage persistence
  */
 
+import { DEFAULT_PACK_ID, getPack } from './packs.js';
+
 // ============================================================================
 // CONSTANTS
 // ============================================================================
@@ -14,16 +16,201 @@ export const EPOCH_DATE = '2026-01-15';
 export const STORAGE_KEYS = {
   STATS: 'bowldem_stats',
   STATE: 'bowldem_state',
-  DEBUG_OFFSET: 'bowldem_debug_offset'
+  DEBUG_OFFSET: 'bowldem_debug_offset',
+  ARCHIVE_COMPLETED: 'bowldem_archive_completed',
+  TUTORIAL_SEEN: 'bowldem_tutorial_seen',
+  HARD_MODE: 'bowldem_hard_mode',
+  OUTBOX: 'bowldem_outbox',
+  LEGACY_OWNER: 'bowldem_legacy_owner'
 };
 
-// Maximum attempts per puzzle (increased from 4 to 5 for knowledge-based format)
-export const MAX_GUESSES = 5;
+// Keys stored separately for each Discord user (several accounts can share one client)
+const USER_STORAGE_KEYS = [
+  STORAGE_KEYS.STATS,
+  STORAGE_KEYS.STATE,
+  STORAGE_KEYS.ARCHIVE_COMPLETED,
+  STORAGE_KEYS.TUTORIAL_SEEN,
+  STORAGE_KEYS.HARD_MODE,
+  STORAGE_KEYS.OUTBOX
+];
+
+// Keys stored separately for each puzzle pack (the default pack keeps the plain key)
+const PACK_STORAGE_KEYS = [
+  STORAGE_KEYS.STATS,
+  STORAGE_KEYS.STATE,
+  STORAGE_KEYS.ARCHIVE_COMPLETED
+];
+
+// Maximum attempts per puzzle in the default pack (increased from 4 to 5 for
+// knowledge-based format); other packs set their own, see getMaxGuesses
+export const MAX_GUESSES = getPack(DEFAULT_PACK_ID).maxGuesses;
+
+// ============================================================================
+// PUZZLE PACKS
+// ============================================================================
+
+// Pack being played (set from the guild's packs, see setActivePack)
+let activePackId = DEFAULT_PACK_ID;
+
+/**
+ * Switch the pack whose game state and stats are read and written
+ * @param {string} packId - Pack id from the registry
+ */
+export function setActivePack(packId) {
+  activePackId = getPack(packId).id;
+}
+
+/**
+ * Get the pack being played
+ * @returns {string}
+ */
+export function getActivePack() {
+  return activePackId;
+}
+
+/**
+ * Get the number of guesses allowed in a pack
+ * @param {string} packId - Defaults to the active pack
+ * @returns {number}
+ */
+export function getMaxGuesses(packId = activePackId) {
+  return getPack(packId).maxGuesses;
+}
+
+// ============================================================================
+// STORAGE NAMESPACING
+// ============================================================================
+
+// Discord user whose data is read and written (null until login)
+let storageUserId = null;
+
+/**
+ * Scope per-user storage keys to a Discord user
+ * The first user to log in on this client inherits any un-namespaced data.
+ * @param {string|null} userId - Discord user ID
+ */
+export function setStorageUser(userId) {
+  storageUserId = userId || null;
+  if (storageUserId) migrateLegacyStorage(storageUserId);
+}
+
+/**
+ * Get the localStorage key for the current user
+ * @param {string} key - One of STORAGE_KEYS
+ * @returns {string}
+ */
+export function getUserStorageKey(key) {
+  const userKey = storageUserId && USER_STORAGE_KEYS.includes(key) ? `${key}:${storageUserId}` : key;
+  return activePackId !== DEFAULT_PACK_ID && PACK_STORAGE_KEYS.includes(key)
+    ? `${userKey}@${activePackId}`
+    : userKey;
+}
+
+/**
+ * Move data saved before namespacing to the first user who logs in
+ */
+function migrateLegacyStorage(userId) {
+  try {
+    if (localStorage.getItem(STORAGE_KEYS.LEGACY_OWNER)) return;
+
+    USER_STORAGE_KEYS.forEach(key => {
+      const legacy = localStorage.getItem(key);
+      if (legacy === null) return;
+
+      const userKey = `${key}:${userId}`;
+      if (localStorage.getItem(userKey) === null) {
+        localStorage.setItem(userKey, legacy);
+      }
+      localStorage.removeItem(key);
+    });
+
+    localStorage.setItem(STORAGE_KEYS.LEGACY_OWNER, userId);
+  } catch (e) {
+    console.warn('Failed to migrate saved data:', e);
+  }
+}
+
+/**
+ * Remove a key for every user and pack on this client (plus its un-namespaced form)
+ * @param {string} key - One of STORAGE_KEYS
+ */
+export function removeForAllUsers(key) {
+  Object.keys(localStorage)
+    .filter(storedKey => storedKey === key || storedKey.startsWith(key + ':') || storedKey.startsWith(key + '@'))
+    .forEach(storedKey => localStorage.removeItem(storedKey));
+}
 
 // ============================================================================
 // DATE UTILITIES
 // ============================================================================
 
+// Puzzles flip at midnight in this time zone (set per guild, see setPuzzleTimeZone)
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+let puzzleTimeZone = DEFAULT_TIME_ZONE;
+
+/**
+ * Check an IANA time zone name (e.g. 'Asia/Kolkata')
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Set the time zone the daily puzzle resets in (the guild's setting)
+ * @param {string|null} timeZone - IANA time zone, falls back to UTC
+ */
+export function setPuzzleTimeZone(timeZone) {
+  puzzleTimeZone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+}
+
+/**
+ * Get the time zone the daily puzzle resets in
+ * @returns {string}
+ */
+export function getPuzzleTimeZone() {
+  return puzzleTimeZone;
+}
+
+/**
+ * Get the calendar date of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export function getDateInTimeZone(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date string
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (can be negative)
+ * @returns {string}
+ */
+export function addDays(dateStr, days) {
+  const date = new Date(dateStr + 'T00:00:00Z');
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
 /**
  * Get today's date in UTC as YYYY-MM-DD string
  */
@@ -31,14 +218,30 @@ export function getTodayUTC() {
   return new Date().toISOString().split('T')[0];
 }
 
+/**
+ * Get today's puzzle date in a time zone
+ * @param {string} timeZone - IANA time zone (defaults to the puzzle time zone)
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export function getToday(timeZone = puzzleTimeZone) {
+  return getDateInTimeZone(new Date(), timeZone);
+}
+
+/**
+ * Get the latest puzzle date that has finished in every time zone
+ * Answers for a date are only public once no guild can still be playing it.
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+export function getLastFinishedPuzzleDate() {
+  // 'Etc/GMT+12' is UTC-12, the last zone to reach each date
+  return addDays(getDateInTimeZone(new Date(), 'Etc/GMT+12'), -1);
+}
+
 /**
  * Get effective date considering debug mode offset
  */
 export function getEffectiveDate() {
-  const debugOffset = getDebugDateOffset();
-  const today = new Date();
-  today.setDate(today.getDate() + debugOffset);
-  return today.toISOString().split('T')[0];
+  return addDays(getToday(), getDebugDateOffset());
 }
 
 /**
@@ -54,31 +257,6 @@ export function getPuzzleNumber(dateStr = getEffectiveDate()) {
   return Math.max(0, diffDays);
 }
 
-/**
- * Get puzzle index from puzzle number (wraps around if exceeds total)
- * @param {number} puzzleNumber
- * @param {number} totalPuzzles
- * @returns {number} - Index into puzzles array
- */
-export function getPuzzleIndex(puzzleNumber, totalPuzzles) {
-  return puzzleNumber % totalPuzzles;
-}
-
-/**
- * Get the puzzle for today
- * @param {Array} puzzles - Array of puzzle objects
- * @returns {Object} - { puzzle, puzzleNumber, puzzleIndex }
- */
-export function getPuzzleForToday(puzzles) {
-  const puzzleNumber = getPuzzleNumber();
-  const puzzleIndex = getPuzzleIndex(puzzleNumber, puzzles.length);
-  return {
-    puzzle: puzzles[puzzleIndex],
-    puzzleNumber,
-    puzzleIndex
-  };
-}
-
 // ============================================================================
 // LOCALSTORAGE - GAME STATE
 // ============================================================================
@@ -91,7 +269,10 @@ function getDefaultGameState() {
     lastPlayedDate: null,
     lastPuzzleNumber: null,
     guesses: [],
+    feedback: [], // Server feedback for each guess (answers are not available client-side)
     gameStatus: 'not_started', // 'not_started' | 'in_progress' | 'won' | 'lost'
+    hardMode: false, // Set from the hard mode setting when the first guess is made
+    hints: [], // Hints unlocked so far (see utils/hints.js)
     modalShown: false // Tracks if result modal has been shown (prevents re-trigger on page return)
   };
 }
@@ -102,7 +283,7 @@ function getDefaultGameState() {
  */
 export function loadGameState() {
   try {
-    const stored = localStorage.getItem(STORAGE_KEYS.STATE);
+    const stored = localStorage.getItem(getUserStorageKey(STORAGE_KEYS.STATE));
     if (stored) {
       return { ...getDefaultGameState(), ...JSON.parse(stored) };
     }
@@ -118,7 +299,7 @@ export function loadGameState() {
  */
 export function saveGameState(state) {
   try {
-    localStorage.setItem(STORAGE_KEYS.STATE, JSON.stringify(state));
+    localStorage.setItem(getUserStorageKey(STORAGE_KEYS.STATE), JSON.stringify(state));
   } catch (e) {
     console.warn('Failed to save game state:', e);
   }
@@ -154,13 +335,30 @@ export function canPlayToday() {
 
 /**
  * Start or continue today's game
+ * @param {Object|null} savedState - Progress recorded on the server ({ guesses, feedback, gameStatus, hardMode, hints });
+ *   when it has guesses or hints it wins over this device's copy, so games resume across devices
  * @returns {Object} - Initial game state for today
  */
-export function initializeTodayGame() {
+export function initializeTodayGame(savedState = null) {
   const { canPlay, reason, existingState } = canPlayToday();
   const today = getEffectiveDate();
   const puzzleNumber = getPuzzleNumber(today);
 
+  if (savedState && (savedState.guesses.length > 0 || savedState.hints?.length > 0)) {
+    const resumedState = {
+      lastPlayedDate: today,
+      lastPuzzleNumber: puzzleNumber,
+      guesses: savedState.guesses,
+      feedback: savedState.feedback,
+      gameStatus: savedState.gameStatus,
+      hardMode: !!savedState.hardMode,
+      hints: savedState.hints || [],
+      modalShown: existingState?.modalShown || false
+    };
+    saveGameState(resumedState);
+    return resumedState;
+  }
+
   if (reason === 'continue' && existingState) {
     // Continue existing game
     return existingState;
@@ -171,7 +369,10 @@ export function initializeTodayGame() {
     lastPlayedDate: today,
     lastPuzzleNumber: puzzleNumber,
     guesses: [],
-    gameStatus: 'in_progress'
+    feedback: [],
+    gameStatus: 'in_progress',
+    hardMode: false,
+    hints: []
   };
   saveGameState(newState);
   return newState;
@@ -180,9 +381,10 @@ export function initializeTodayGame() {
 /**
  * Record a guess
  * @param {string} playerKey - The guessed player's key
+ * @param {Object} feedback - Feedback returned by the server for this guess
  * @returns {Object} - Updated game state
  */
-export function recordGuess(playerKey) {
+export function recordGuess(playerKey, feedback) {
   const state = loadGameState();
 
   if (state.gameStatus !== 'in_progress') {
@@ -190,6 +392,7 @@ export function recordGuess(playerKey) {
   }
 
   state.guesses.push(playerKey);
+  state.feedback = [...(state.feedback || []), feedback];
   saveGameState(state);
   return state;
 }
@@ -205,7 +408,7 @@ export function completeGame(won) {
   saveGameState(state);
 
   // Update stats
-  updateStatsOnComplete(won, state.guesses.length);
+  updateStatsOnComplete(won, state.guesses.length, !!state.hardMode);
 
   return state;
 }
@@ -226,15 +429,18 @@ export function markModalShown() {
 
 /**
  * Default stats structure
+ * @param {number} maxGuesses - Guesses allowed in the pack (defaults to the active pack)
  */
-function getDefaultStats() {
+export function getDefaultStats(maxGuesses = getMaxGuesses()) {
   return {
     gamesPlayed: 0,
     gamesWon: 0,
     currentStreak: 0,
     maxStreak: 0,
-    guessDistribution: [0, 0, 0, 0, 0], // Index = guesses-1 (for 1, 2, 3, 4, 5 guesses)
-    lastWinDate: null
+    guessDistribution: Array(maxGuesses).fill(0), // Index = guesses-1
+    hardModeWins: 0,
+    lastWinDate: null,
+    lastPlayedDate: null
   };
 }
 
@@ -244,7 +450,7 @@ function getDefaultStats() {
  */
 export function loadStats() {
   try {
-    const stored = localStorage.getItem(STORAGE_KEYS.STATS);
+    const stored = localStorage.getItem(getUserStorageKey(STORAGE_KEYS.STATS));
     if (stored) {
       return { ...getDefaultStats(), ...JSON.parse(stored) };
     }
@@ -260,7 +466,7 @@ export function loadStats() {
  */
 export function saveStats(stats) {
   try {
-    localStorage.setItem(STORAGE_KEYS.STATS, JSON.stringify(stats));
+    localStorage.setItem(getUserStorageKey(STORAGE_KEYS.STATS), JSON.stringify(stats));
   } catch (e) {
     console.warn('Failed to save stats:', e);
   }
@@ -270,8 +476,9 @@ export function saveStats(stats) {
  * Update stats when game completes
  * @param {boolean} won - Whether player won
  * @param {number} guessCount - Number of guesses used
+ * @param {boolean} hardMode - Whether the game was played in hard mode
  */
-export function updateStatsOnComplete(won, guessCount) {
+export function updateStatsOnComplete(won, guessCount, hardMode = false) {
   const stats = loadStats();
   const today = getEffectiveDate();
 
@@ -280,11 +487,10 @@ export function updateStatsOnComplete(won, guessCount) {
   if (won) {
     stats.gamesWon += 1;
     stats.guessDistribution[guessCount - 1] = (stats.guessDistribution[guessCount - 1] || 0) + 1;
+    if (hardMode) stats.hardModeWins += 1;
 
-    // Update streak
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yesterdayStr = yesterday.toISOString().split('T')[0];
+    // Update streak (dates are puzzle days in the guild's time zone)
+    const yesterdayStr = addDays(today, -1);
 
     if (stats.lastWinDate === yesterdayStr) {
       // Consecutive day win - extend streak
@@ -301,10 +507,111 @@ export function updateStatsOnComplete(won, guessCount) {
     stats.currentStreak = 0;
   }
 
+  stats.lastPlayedDate = today;
+
   saveStats(stats);
   return stats;
 }
 
+/**
+ * Rebuild stats from daily results (e.g. leaderboard entries)
+ * @param {Array} results - { puzzle_date, won, guesses_used, hard_mode } in any order
+ * @param {number} maxGuesses - Guesses allowed in the pack (defaults to the active pack)
+ * @returns {Object} - Stats object
+ */
+export function buildStatsFromResults(results = [], maxGuesses = getMaxGuesses()) {
+  const stats = getDefaultStats(maxGuesses);
+  const sorted = [...results].sort((a, b) => a.puzzle_date.localeCompare(b.puzzle_date));
+
+  sorted.forEach(result => {
+    stats.gamesPlayed += 1;
+
+    if (result.won) {
+      stats.gamesWon += 1;
+      const index = Math.min(Math.max(result.guesses_used, 1), maxGuesses) - 1;
+      stats.guessDistribution[index] += 1;
+      if (result.hard_mode) stats.hardModeWins += 1;
+
+      const yesterdayStr = addDays(result.puzzle_date, -1);
+      stats.currentStreak = stats.lastWinDate === yesterdayStr ? stats.currentStreak + 1 : 1;
+      stats.maxStreak = Math.max(stats.maxStreak, stats.currentStreak);
+      stats.lastWinDate = result.puzzle_date;
+    } else {
+      stats.currentStreak = 0;
+    }
+
+    stats.lastPlayedDate = result.puzzle_date;
+  });
+
+  return stats;
+}
+
+/**
+ * Merge two copies of a player's stats (e.g. this device and the cloud)
+ * Deterministic and order-independent: counts take the larger value, and the
+ * current streak comes from whichever copy played most recently.
+ * @param {Object} a - Stats object
+ * @param {Object} b - Stats object
+ * @param {number} maxGuesses - Guesses allowed in the pack (defaults to the active pack)
+ * @returns {Object} - Merged stats
+ */
+export function mergeStats(a, b, maxGuesses = getMaxGuesses()) {
+  const left = { ...getDefaultStats(maxGuesses), ...a };
+  const right = { ...getDefaultStats(maxGuesses), ...b };
+  const maxDate = (x, y) => ((x || '') >= (y || '') ? x : y) || null;
+
+  const leftDate = maxDate(left.lastPlayedDate, left.lastWinDate) || '';
+  const rightDate = maxDate(right.lastPlayedDate, right.lastWinDate) || '';
+  let currentStreak;
+  if (leftDate !== rightDate) {
+    currentStreak = leftDate > rightDate ? left.currentStreak : right.currentStreak;
+  } else {
+    currentStreak = Math.max(left.currentStreak, right.currentStreak);
+  }
+
+  return {
+    gamesPlayed: Math.max(left.gamesPlayed, right.gamesPlayed),
+    gamesWon: Math.max(left.gamesWon, right.gamesWon),
+    currentStreak,
+    maxStreak: Math.max(left.maxStreak, right.maxStreak, currentStreak),
+    guessDistribution: Array.from({ length: maxGuesses }, (_, i) =>
+      Math.max(left.guessDistribution[i] || 0, right.guessDistribution[i] || 0)
+    ),
+    hardModeWins: Math.max(left.hardModeWins, right.hardModeWins),
+    lastWinDate: maxDate(left.lastWinDate, right.lastWinDate),
+    lastPlayedDate: maxDate(left.lastPlayedDate, right.lastPlayedDate)
+  };
+}
+
+// ============================================================================
+// HARD MODE
+// ============================================================================
+
+/**
+ * Check whether the player has hard mode switched on
+ * Only applies to games started while it's on (see gameState.hardMode).
+ * @returns {boolean}
+ */
+export function isHardModeEnabled() {
+  try {
+    return localStorage.getItem(getUserStorageKey(STORAGE_KEYS.HARD_MODE)) === 'true';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Switch hard mode on or off for future games
+ * @param {boolean} enabled
+ */
+export function setHardModeEnabled(enabled) {
+  try {
+    localStorage.setItem(getUserStorageKey(STORAGE_KEYS.HARD_MODE), String(!!enabled));
+  } catch (e) {
+    console.warn('Failed to save hard mode setting:', e);
+  }
+}
+
 // ============================================================================
 // DEBUG MODE
 // ============================================================================
@@ -364,11 +671,12 @@ export function setDebugDateOffset(offset) {
 
 /**
  * Clear all localStorage data (for debugging)
+ * Runs before login (?reset=true), so every user's stats and state are cleared.
  */
 export function clearAllData() {
   try {
-    localStorage.removeItem(STORAGE_KEYS.STATS);
-    localStorage.removeItem(STORAGE_KEYS.STATE);
+    removeForAllUsers(STORAGE_KEYS.STATS);
+    removeForAllUsers(STORAGE_KEYS.STATE);
     localStorage.removeItem(STORAGE_KEYS.DEBUG_OFFSET);
   } catch (e) {
     console.warn('Failed to clear data:', e);
@@ -380,15 +688,48 @@ export function clearAllData() {
 // ============================================================================
 
 /**
- * Get milliseconds until next puzzle (midnight UTC)
+ * Get milliseconds until next puzzle (midnight in the puzzle time zone)
+ * @param {string} timeZone - IANA time zone (defaults to the puzzle time zone)
  * @returns {number} - Milliseconds until next puzzle
  */
-export function getMillisecondsUntilNextPuzzle() {
-  const now = new Date();
-  const tomorrow = new Date(now);
-  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
-  tomorrow.setUTCHours(0, 0, 0, 0);
-  return tomorrow.getTime() - now.getTime();
+export function getMillisecondsUntilNextPuzzle(timeZone = puzzleTimeZone) {
+  const now = Date.now();
+  return getMidnightInTimeZone(addDays(getToday(timeZone), 1), timeZone) - now;
+}
+
+/**
+ * Get how far a time zone is ahead of UTC at an instant
+ * @returns {number} - Offset in milliseconds
+ */
+function getTimeZoneOffset(timeZone, timestamp) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Get the instant a date starts in a time zone
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} - Timestamp in milliseconds
+ */
+function getMidnightInTimeZone(dateStr, timeZone) {
+  const utcMidnight = new Date(dateStr + 'T00:00:00Z').getTime();
+  const guess = utcMidnight - getTimeZoneOffset(timeZone, utcMidnight);
+  // Second pass corrects for a DST change between the two instants
+  return utcMidnight - getTimeZoneOffset(timeZone, guess);
 }
 
 /**
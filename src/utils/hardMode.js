@@ -0,0 +1,56 @@
+/**
+ * Hard Mode
+ * Wordle-style hard mode: every guess after the first has to fit all the
+ * clues so far. Shared by the autocomplete (flags players that don't fit) and
+ * /api/guess (rejects them), so both apply the same rules.
+ *
+ * Clues are the PTRM feedback from check_guess, which carries the guessed
+ * player's country (team) and role alongside the answers.
+ *
+ * Only the server knows whether a player was in the match, so a Played hit is
+ * enforced by /api/guess (which passes the new guess's feedback as the player)
+ * and not flagged in the autocomplete.
+ */
+
+/**
+ * Check a player against the feedback for earlier guesses
+ * @param {Object} player - { country, role, playedInGame? } of the player about to be guessed
+ * @param {Array} feedbackList - Feedback for earlier guesses, in order
+ * @returns {string|null} - The first clue the player breaks, or null if they fit
+ */
+export function getHardModeViolation(player, feedbackList = []) {
+  if (!player) return null;
+
+  for (const feedback of feedbackList) {
+    // Feedback recorded before check_guess returned the player's details
+    if (!feedback?.country || !feedback?.role) continue;
+
+    if (feedback.sameTeam && player.country !== feedback.country) {
+      return `Team must be ${feedback.country}`;
+    }
+    if (!feedback.sameTeam && player.country === feedback.country) {
+      return `Team can't be ${feedback.country}`;
+    }
+    if (feedback.sameRole && player.role !== feedback.role) {
+      return `Role must be ${feedback.role}`;
+    }
+    if (!feedback.sameRole && player.role === feedback.role) {
+      return `Role can't be ${feedback.role}`;
+    }
+  }
+
+  // Once a guess has played in the match, every later guess has to as well
+  if (player.playedInGame === false && feedbackList.some(feedback => feedback?.playedInGame)) {
+    return 'Must have played in the match';
+  }
+
+  // Guesses that played in the match give away its two teams
+  const playedTeams = [...new Set(
+    feedbackList.filter(feedback => feedback?.playedInGame && feedback.country).map(feedback => feedback.country)
+  )];
+  if (playedTeams.length === 2 && !playedTeams.includes(player.country)) {
+    return `Team must be ${playedTeams.join(' or ')}`;
+  }
+
+  return null;
+}
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getHardModeViolation } from './hardMode.js';
+
+// A guess from the match on the other team from the answer
+const playedHit = { playedInGame: true, sameTeam: false, sameRole: false, isMVP: false, country: 'Australia', role: 'Bowler' };
+
+test('a guess that fits every clue is allowed', () => {
+  const player = { country: 'India', role: 'Batsman', playedInGame: true };
+  assert.equal(getHardModeViolation(player, [playedHit]), null);
+});
+
+test('a Played hit has to be kept', () => {
+  const player = { country: 'India', role: 'Batsman', playedInGame: false };
+  assert.equal(getHardModeViolation(player, [playedHit]), 'Must have played in the match');
+});
+
+test('a guess from outside the match is rejected after a Played hit', () => {
+  const player = { country: 'England', role: 'Batsman', playedInGame: false };
+  assert.equal(getHardModeViolation(player, [playedHit]), 'Must have played in the match');
+});
+
+test('the autocomplete, which doesn\'t know who played, only checks team and role', () => {
+  assert.equal(getHardModeViolation({ country: 'England', role: 'Batsman' }, [playedHit]), null);
+  assert.equal(getHardModeViolation({ country: 'Australia', role: 'Batsman' }, [playedHit]), 'Team can\'t be Australia');
+});
+
+test('a Played miss doesn\'t carry forward', () => {
+  const playedMiss = { ...playedHit, playedInGame: false };
+  const player = { country: 'India', role: 'Batsman', playedInGame: false };
+  assert.equal(getHardModeViolation(player, [playedMiss]), null);
+});
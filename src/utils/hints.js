@@ -0,0 +1,98 @@
+/**
+ * Hints
+ * Optional hints that unlock one at a time, in this order. The hints themselves
+ * come from the server (puzzle_hints in supabase/migrations/010_hints.sql), so
+ * the order here has to match it.
+ *
+ * Every hint used costs HINT_PENALTY guesses on the leaderboard (see utils/scoring.js).
+ * The teams hint is only offered when the match's two teams are known.
+ */
+
+export const HINTS = [
+  { type: 'teams', label: 'Team names' },
+  { type: 'country', label: "Player of the match's team" },
+  { type: 'initial', label: 'Surname initial' },
+  { type: 'context', label: 'Match context' }
+];
+
+export const MAX_HINTS = HINTS.length;
+
+// Leaderboard cost of each hint, in guesses
+export const HINT_PENALTY = 0.5;
+
+/**
+ * Get the two teams in a match
+ * Older puzzles don't name them in the scorecard, so they come from the
+ * countries of the players in the match (like puzzle_team_names on the server).
+ * @param {Object} matchData - Full puzzle match data
+ * @param {Object} playersLookup - Players by ID
+ * @returns {string[]|null} - [team1, team2], or null if they can't be worked out
+ */
+export function getMatchTeams(matchData, playersLookup) {
+  const { scorecard = {}, playersInMatch = [] } = matchData || {};
+  if (scorecard.team1Name && scorecard.team2Name) {
+    return [scorecard.team1Name, scorecard.team2Name];
+  }
+
+  const countries = [...new Set(playersInMatch.map(id => playersLookup[id]?.country).filter(Boolean))].sort();
+  return countries.length === 2 ? countries : null;
+}
+
+/**
+ * Get the hints a puzzle offers, in unlock order
+ * @param {boolean} hasTeamsHint - Whether the match's teams are known
+ * @returns {Array} - Entries from HINTS
+ */
+export function getAvailableHints(hasTeamsHint = true) {
+  return HINTS.filter(hint => hint.type !== 'teams' || hasTeamsHint);
+}
+
+/**
+ * Build every hint a puzzle offers, same shape and order as puzzle_hints on the server
+ * @param {Object} puzzle - Full puzzle ({ targetPlayer, matchData })
+ * @param {Object} playersLookup - Players by ID
+ * @param {string|null} matchContext - From the highlights
+ * @returns {Array} - Hints in unlock order
+ */
+export function buildPuzzleHints(puzzle, playersLookup, matchContext = null) {
+  const teams = getMatchTeams(puzzle.matchData, playersLookup);
+  const fullName = playersLookup[puzzle.targetPlayer]?.fullName || '';
+  const surname = fullName.trim().split(/\s+/).pop();
+
+  return [
+    teams && { type: 'teams', team1Name: teams[0], team2Name: teams[1] },
+    { type: 'country', country: puzzle.matchData.targetPlayerTeam },
+    { type: 'initial', initial: surname.charAt(0).toUpperCase() },
+    { type: 'context', matchContext }
+  ].filter(Boolean);
+}
+
+/**
+ * Describe an unlocked hint
+ * @param {Object} hint - Hint from the server, e.g. { type: 'initial', initial: 'S' }
+ * @returns {string}
+ */
+export function formatHint(hint) {
+  switch (hint?.type) {
+    case 'teams':
+      return `${hint.team1Name} v ${hint.team2Name}`;
+    case 'country':
+      return `Plays for ${hint.country}`;
+    case 'initial':
+      return `Surname starts with ${hint.initial}`;
+    case 'context':
+      return hint.matchContext || 'No match context for this one';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Find an unlocked hint by type
+ * @param {Array} hints - Unlocked hints
+ * @param {string} type - Hint type from HINTS
+ * @returns {Object|null}
+ */
+export function findHint(hints = [], type) {
+  return hints.find(hint => hint?.type === type) || null;
+}
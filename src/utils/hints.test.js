@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { buildPuzzleHints, getAvailableHints, getMatchTeams, formatHint } from './hints.js';
+
+const readData = name => JSON.parse(readFileSync(new URL(`../data/${name}`, import.meta.url), 'utf8'));
+const { puzzles } = readData('match_puzzles_t20wc.json');
+const playersLookup = Object.fromEntries(readData('all_players.json').players.map(player => [player.id, player]));
+
+// Most bundled puzzles don't name the teams in the scorecard
+const unnamed = puzzles.filter(puzzle => !puzzle.matchData.scorecard.team1Name);
+
+test('the teams hint on a bundled puzzle without team names names both teams', () => {
+  const puzzle = unnamed.find(candidate => getMatchTeams(candidate.matchData, playersLookup));
+  const [hint] = buildPuzzleHints(puzzle, playersLookup).slice(0, 1);
+
+  assert.equal(hint.type, 'teams');
+  assert.ok([hint.team1Name, hint.team2Name].includes(puzzle.matchData.targetPlayerTeam));
+  assert.notEqual(hint.team1Name, hint.team2Name);
+  assert.doesNotMatch(formatHint(hint), /Team [12]|undefined/);
+});
+
+test('every bundled puzzle without team names gets them from its players or skips the hint', () => {
+  unnamed.forEach(puzzle => {
+    const hints = buildPuzzleHints(puzzle, playersLookup);
+    const teams = getMatchTeams(puzzle.matchData, playersLookup);
+    assert.equal(hints.length, getAvailableHints(!!teams).length);
+    assert.equal(hints[0].type, teams ? 'teams' : 'country');
+  });
+});
+
+test('a match whose teams can\'t be worked out doesn\'t offer the teams hint', () => {
+  const puzzle = {
+    targetPlayer: 'A',
+    matchData: { scorecard: {}, playersInMatch: ['A', 'B', 'C'], targetPlayerTeam: 'India' }
+  };
+  const lookup = {
+    A: { fullName: 'Ann Able', country: 'India' },
+    B: { fullName: 'Bo Best', country: 'Australia' },
+    C: { fullName: 'Cy Cole', country: 'England' }
+  };
+
+  assert.equal(getMatchTeams(puzzle.matchData, lookup), null);
+  assert.deepEqual(buildPuzzleHints(puzzle, lookup).map(hint => hint.type), ['country', 'initial', 'context']);
+  assert.deepEqual(getAvailableHints(false).map(hint => hint.type), ['country', 'initial', 'context']);
+});
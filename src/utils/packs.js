@@ -0,0 +1,119 @@
+/**
+ * Puzzle Pack Registry
+ * Each pack has its own puzzle pool (puzzles.pack_id), daily schedule,
+ * leaderboard and stats. Guilds choose which packs they play (guild_settings).
+ *
+ * `files` points at the bundled data in src/data that `npm run seed:puzzles`
+ * uploads (and `npm run dev` falls back to). Packs without files are filled
+ * with `npm run puzzles -- push <pack.json> --pack <id>`.
+ *
+ * Besides the registry, every guild has its own pack ('guild:<guild_id>') for
+ * puzzles its admins write (see api/guild-puzzles.js).
+ */
+
+export const DEFAULT_PACK_ID = 't20wc';
+
+const GUILD_PACK_PREFIX = 'guild:';
+
+// Guesses allowed in a guild's own pack
+const GUILD_PACK_MAX_GUESSES = 5;
+
+// How far ahead admins can schedule a guild puzzle
+export const GUILD_PUZZLE_MAX_DAYS_AHEAD = 30;
+
+// Roles a club player can be added with (players.role)
+export const PLAYER_ROLES = ['Batsman', 'Bowler', 'All-rounder', 'Wicketkeeper'];
+
+export const PACKS = [
+  {
+    id: 't20wc',
+    name: 'T20 World Cup',
+    shortName: 'T20 WC',
+    maxGuesses: 5,
+    files: {
+      puzzles: 'match_puzzles_t20wc.json',
+      highlights: 'match_highlights.json'
+    }
+  },
+  {
+    id: 'odi',
+    name: 'ODI Classics',
+    shortName: 'ODI',
+    maxGuesses: 5,
+    files: null
+  },
+  {
+    id: 'test',
+    name: 'Test Cricket',
+    shortName: 'Test',
+    // Test XIs are less distinctive, so one extra guess
+    maxGuesses: 6,
+    files: null
+  },
+  {
+    id: 'ipl',
+    name: 'IPL',
+    shortName: 'IPL',
+    maxGuesses: 5,
+    files: null
+  }
+];
+
+/**
+ * Check a pack id against the registry
+ * @param {string} packId
+ * @returns {boolean}
+ */
+export function isPackId(packId) {
+  return PACKS.some(pack => pack.id === packId);
+}
+
+/**
+ * Get the id of a guild's own pack
+ * @param {string} guildId - Discord guild ID
+ * @returns {string}
+ */
+export function getGuildPackId(guildId) {
+  return GUILD_PACK_PREFIX + guildId;
+}
+
+/**
+ * Check whether a pack id is a guild's own pack
+ * @param {string} packId
+ * @returns {boolean}
+ */
+export function isGuildPackId(packId) {
+  return typeof packId === 'string' && /^guild:\d+$/.test(packId);
+}
+
+/**
+ * Get a pack by id (falls back to the default pack)
+ * @param {string} packId
+ * @returns {Object} - Registry entry, or a generated entry for a guild's own pack
+ */
+export function getPack(packId) {
+  if (isGuildPackId(packId)) {
+    return {
+      id: packId,
+      name: 'Server Puzzle',
+      shortName: 'Server',
+      maxGuesses: GUILD_PACK_MAX_GUESSES,
+      files: null,
+      guildId: packId.slice(GUILD_PACK_PREFIX.length)
+    };
+  }
+  return PACKS.find(pack => pack.id === packId) || PACKS.find(pack => pack.id === DEFAULT_PACK_ID);
+}
+
+/**
+ * Keep only known pack ids, in registry order, falling back to the default pack
+ * A guild's own pack is kept after the registry packs.
+ * @param {Array} packIds - e.g. a guild's enabled_packs
+ * @returns {string[]}
+ */
+export function normalizePackIds(packIds) {
+  const list = Array.isArray(packIds) ? packIds : [];
+  const ids = PACKS.map(pack => pack.id).filter(id => list.includes(id));
+  const guildPacks = [...new Set(list.filter(isGuildPackId))];
+  return [...(ids.length > 0 ? ids : [DEFAULT_PACK_ID]), ...guildPacks];
+}
@@ -0,0 +1,78 @@
+/**
+ * Leaderboard Periods
+ * Weekly and monthly leaderboards cover a range of puzzle dates. Weeks run
+ * Monday to Sunday and both follow the guild's puzzle dates (see getEffectiveDate).
+ * Periods are counted back from the current one, which is periodsAgo 0.
+ */
+
+import { EPOCH_DATE, addDays, getEffectiveDate } from './dailyPuzzle.js';
+
+export const PERIODS = ['week', 'month'];
+
+const MONTH_NAMES = [
+  'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+  'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'
+];
+
+/**
+ * Get the puzzle dates a week or month covers
+ * @param {string} period - 'week' or 'month'
+ * @param {number} periodsAgo - 0 for the current period, 1 for the one before, ...
+ * @param {string} date - Any date in the current period (defaults to the effective date)
+ * @returns {{from: string, to: string}} - Inclusive range in YYYY-MM-DD format
+ */
+export function getPeriodRange(period, periodsAgo = 0, date = getEffectiveDate()) {
+  if (period === 'week') {
+    // getUTCDay is 0 for Sunday; weeks start on Monday
+    const weekday = (new Date(date + 'T00:00:00Z').getUTCDay() + 6) % 7;
+    const from = addDays(date, -weekday - periodsAgo * 7);
+    return { from, to: addDays(from, 6) };
+  }
+
+  const [year, month] = date.split('-').map(Number);
+  const start = new Date(Date.UTC(year, month - 1 - periodsAgo, 1));
+  const end = new Date(Date.UTC(year, month - periodsAgo, 0));
+  return {
+    from: start.toISOString().split('T')[0],
+    to: end.toISOString().split('T')[0]
+  };
+}
+
+/**
+ * Get the oldest period with any puzzles, counted back from the current one
+ * @param {string} period - 'week' or 'month'
+ * @param {string} date - Any date in the current period (defaults to the effective date)
+ * @returns {number} - Largest periodsAgo worth showing
+ */
+export function getOldestPeriod(period, date = getEffectiveDate()) {
+  let periodsAgo = 0;
+  while (getPeriodRange(period, periodsAgo + 1, date).to >= EPOCH_DATE) {
+    periodsAgo++;
+  }
+  return periodsAgo;
+}
+
+/**
+ * Describe a period for display, e.g. "This Week", "Last Month", "6–12 Oct", "Aug 2026"
+ * @param {string} period - 'week' or 'month'
+ * @param {number} periodsAgo
+ * @param {string} date - Any date in the current period (defaults to the effective date)
+ * @returns {string}
+ */
+export function formatPeriod(period, periodsAgo = 0, date = getEffectiveDate()) {
+  const name = period === 'week' ? 'Week' : 'Month';
+  if (periodsAgo === 0) return `This ${name}`;
+  if (periodsAgo === 1) return `Last ${name}`;
+
+  const { from, to } = getPeriodRange(period, periodsAgo, date);
+  const [fromYear, fromMonth, fromDay] = from.split('-').map(Number);
+  const [, toMonth, toDay] = to.split('-').map(Number);
+
+  if (period === 'month') {
+    return `${MONTH_NAMES[fromMonth - 1]} ${fromYear}`;
+  }
+  if (fromMonth === toMonth) {
+    return `${fromDay}–${toDay} ${MONTH_NAMES[toMonth - 1]}`;
+  }
+  return `${fromDay} ${MONTH_NAMES[fromMonth - 1]} – ${toDay} ${MONTH_NAMES[toMonth - 1]}`;
+}
@@ -0,0 +1,168 @@
+/**
+ * Puzzle Scheduler
+ * Assigns a puzzle from the pool to each day, replacing the old
+ * `puzzleNumber % totalPuzzles` wraparound.
+ *
+ * For every day, puzzles used within the repeat window are skipped, then
+ * candidates are ranked by:
+ *   1. puzzles never scheduled before, so the whole pool is seen once
+ *   2. clashes with recent days (same answer, or either team playing again)
+ *   3. a hash of date + puzzle id, so the order differs every time round
+ *
+ * The result is deterministic for the same pool, history and options, so the
+ * schedule can be written ahead of time and the archive matches what was played.
+ */
+
+import { EPOCH_DATE, getPuzzleNumber, addDays } from './dailyPuzzle.js';
+
+export const DEFAULT_SCHEDULE_OPTIONS = {
+  // Days before the same puzzle may come back (capped at two thirds of the
+  // pool, so there is always a choice and the order doesn't cycle)
+  repeatWindow: 365,
+  // Days before a team may feature again
+  teamGap: 2,
+  // Days before the same player may be the answer again
+  playerGap: 14
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDayIndex(dateStr) {
+  return Math.floor(Date.parse(dateStr + 'T00:00:00Z') / DAY_MS);
+}
+
+function toDateStr(dayIndex) {
+  return new Date(dayIndex * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * FNV-1a hash, used as a stable tie-breaker
+ */
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Pull the fields the scheduler cares about from a pack puzzle or a
+ * `puzzles` table row
+ */
+function describePuzzle(puzzle) {
+  const matchData = puzzle.matchData || puzzle.match_data || {};
+  const scorecard = matchData.scorecard || {};
+  // Older puzzles only name the answer's team
+  const teams = [scorecard.team1Name, scorecard.team2Name, matchData.targetPlayerTeam].filter(Boolean);
+  return {
+    id: puzzle.id,
+    answer: puzzle.targetPlayer || puzzle.target_player,
+    teams: [...new Set(teams)]
+  };
+}
+
+/**
+ * Build a dated schedule for a run of days
+ * @param {Array} pool - Puzzles (pack format or `puzzles` rows)
+ * @param {Object} options
+ * @param {string} options.startDate - First date to schedule (YYYY-MM-DD)
+ * @param {number} options.days - Number of days to schedule
+ * @param {Array} options.history - Earlier { puzzle_date, puzzle_id } assignments
+ * @param {number} options.repeatWindow - See DEFAULT_SCHEDULE_OPTIONS
+ * @param {number} options.teamGap - See DEFAULT_SCHEDULE_OPTIONS
+ * @param {number} options.playerGap - See DEFAULT_SCHEDULE_OPTIONS
+ * @returns {Array} - [{ puzzle_date, puzzle_number, puzzle_id }]
+ */
+export function buildSchedule(pool, { startDate, days, history = [], ...options }) {
+  if (pool.length === 0 || days <= 0) return [];
+
+  const { repeatWindow, teamGap, playerGap } = { ...DEFAULT_SCHEDULE_OPTIONS, ...options };
+  const window = Math.min(repeatWindow, Math.floor((pool.length * 2) / 3));
+  const puzzles = pool.map(describePuzzle);
+  const byId = new Map(puzzles.map(p => [p.id, p]));
+
+  // Most recent day each puzzle, answer and team was used
+  const lastUsed = new Map();
+  const lastAnswer = new Map();
+  const lastTeam = new Map();
+
+  function markUsed(puzzle, dayIndex) {
+    lastUsed.set(puzzle.id, dayIndex);
+    if (puzzle.answer) lastAnswer.set(puzzle.answer, dayIndex);
+    puzzle.teams.forEach(team => lastTeam.set(team, dayIndex));
+  }
+
+  const startIndex = toDayIndex(startDate);
+  [...history]
+    .filter(entry => toDayIndex(entry.puzzle_date) < startIndex)
+    .sort((a, b) => a.puzzle_date.localeCompare(b.puzzle_date))
+    .forEach(entry => {
+      const puzzle = byId.get(entry.puzzle_id);
+      if (puzzle) markUsed(puzzle, toDayIndex(entry.puzzle_date));
+    });
+
+  const schedule = [];
+
+  for (let dayIndex = startIndex; dayIndex < startIndex + days; dayIndex++) {
+    const dateStr = toDateStr(dayIndex);
+    const daysSince = (map, key) => (map.has(key) ? dayIndex - map.get(key) : Infinity);
+
+    let candidates = puzzles.filter(p => daysSince(lastUsed, p.id) > window);
+    if (candidates.length === 0) candidates = puzzles;
+
+    const ranked = candidates
+      .map(puzzle => {
+        let clashes = 0;
+        if (puzzle.answer && daysSince(lastAnswer, puzzle.answer) <= playerGap) clashes += 2;
+        puzzle.teams.forEach(team => {
+          if (daysSince(lastTeam, team) <= teamGap) clashes += 1;
+        });
+        return {
+          puzzle,
+          clashes,
+          used: lastUsed.has(puzzle.id) ? 1 : 0,
+          tieBreak: hash(`${dateStr}:${puzzle.id}`)
+        };
+      })
+      .sort((a, b) => a.used - b.used || a.clashes - b.clashes || a.tieBreak - b.tieBreak);
+
+    const chosen = ranked[0].puzzle;
+    markUsed(chosen, dayIndex);
+    schedule.push({
+      puzzle_date: dateStr,
+      puzzle_number: getPuzzleNumber(dateStr),
+      puzzle_id: chosen.id
+    });
+  }
+
+  return schedule;
+}
+
+/**
+ * Replan a pack's schedule through endDate, keeping every date already visible
+ * Dates up to lastVisible have been played somewhere, so they keep their puzzles
+ * and count as history; everything after is planned again.
+ * @param {Array} pool - Puzzles (pack format or `puzzles` rows)
+ * @param {Array} existing - The pack's current { puzzle_date, puzzle_id } rows
+ * @param {Object} options
+ * @param {string} options.lastVisible - Last date visible in any time zone (YYYY-MM-DD)
+ * @param {string} options.endDate - Last date to schedule (YYYY-MM-DD)
+ * @returns {Object} - { kept, schedule }: the rows left alone and the new rows after them
+ */
+export function replanSchedule(pool, existing, { lastVisible, endDate, ...options }) {
+  const kept = existing
+    .filter(entry => entry.puzzle_date <= lastVisible)
+    .sort((a, b) => a.puzzle_date.localeCompare(b.puzzle_date));
+  const startDate = kept.length > 0 ? addDays(kept[kept.length - 1].puzzle_date, 1) : EPOCH_DATE;
+
+  const schedule = buildSchedule(pool, {
+    ...options,
+    startDate,
+    days: getPuzzleNumber(endDate) - getPuzzleNumber(startDate) + 1,
+    history: kept
+  });
+
+  return { kept, schedule };
+}
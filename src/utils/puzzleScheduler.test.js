@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { replanSchedule } from './puzzleScheduler.js';
+import { EPOCH_DATE, addDays } from './dailyPuzzle.js';
+
+// Twelve puzzles with different answers, in six different matches
+const TEAMS = ['India', 'Australia', 'England', 'Pakistan', 'South Africa', 'New Zealand'];
+const pool = Array.from({ length: 12 }, (_, i) => ({
+  id: i + 1,
+  targetPlayer: `PLAYER${i + 1}`,
+  matchData: {
+    scorecard: { team1Name: TEAMS[i % 6], team2Name: TEAMS[(i + 1) % 6] },
+    targetPlayerTeam: TEAMS[i % 6]
+  }
+}));
+
+const day = n => addDays(EPOCH_DATE, n);
+
+test('days already played keep their puzzles and new days get unused ones', () => {
+  const played = [
+    { puzzle_date: day(0), puzzle_id: 7 },
+    { puzzle_date: day(1), puzzle_id: 3 },
+    { puzzle_date: day(2), puzzle_id: 11 }
+  ];
+  // An earlier plan for a day nobody has seen yet
+  const existing = [...played, { puzzle_date: day(3), puzzle_id: 7 }];
+
+  const { kept, schedule } = replanSchedule(pool, existing, { lastVisible: day(2), endDate: day(8) });
+
+  assert.deepEqual(kept, played);
+  assert.deepEqual(schedule.map(entry => entry.puzzle_date), [3, 4, 5, 6, 7, 8].map(day));
+
+  const playedIds = new Set(played.map(entry => entry.puzzle_id));
+  const newIds = schedule.map(entry => entry.puzzle_id);
+  newIds.forEach(id => assert.ok(!playedIds.has(id), `puzzle ${id} was already played`));
+  assert.equal(new Set(newIds).size, newIds.length);
+});
+
+test('replanning the same days again gives the same schedule', () => {
+  const existing = [{ puzzle_date: day(0), puzzle_id: 5 }];
+  const options = { lastVisible: day(0), endDate: day(5) };
+
+  assert.deepEqual(replanSchedule(pool, existing, options), replanSchedule(pool, existing, options));
+});
+
+test('a pack with nothing played yet is planned from the epoch', () => {
+  const { kept, schedule } = replanSchedule(pool, [], { lastVisible: day(-1), endDate: day(2) });
+
+  assert.deepEqual(kept, []);
+  assert.deepEqual(schedule.map(entry => [entry.puzzle_date, entry.puzzle_number]), [
+    [day(0), 0], [day(1), 1], [day(2), 2]
+  ]);
+});
@@ -0,0 +1,95 @@
+/**
+ * Scoring
+ * Points for a finished daily game, used to rank leaderboards. /api/leaderboard
+ * works out the points when an entry is submitted and stores them with it;
+ * the leaderboard queries and ranking helpers read them back through
+ * getEntryPoints, so the server and client always agree.
+ *
+ * A win scores POINTS_PER_GUESS for every guess left unused plus one, so a
+ * first-guess win in a five-guess pack is 500 and a last-guess win is 100.
+ * Hints cost half a guess each (see utils/hints.js), hard mode adds a bonus,
+ * and a quick solve earns up to SPEED_BONUS_MAX more. A loss scores 0.
+ *
+ * supabase/migrations/011_points.sql backfills older entries with the same
+ * formula (they have no solve time, so no speed bonus).
+ */
+
+import { getPack } from './packs.js';
+import { HINT_PENALTY } from './hints.js';
+
+export const POINTS_PER_GUESS = 100;
+export const HINT_PENALTY_POINTS = HINT_PENALTY * POINTS_PER_GUESS;
+export const HARD_MODE_BONUS = 50;
+export const SPEED_BONUS_MAX = 50;
+
+// Solves this fast get the whole speed bonus; it runs out at SLOW_SOLVE_SECONDS
+const FAST_SOLVE_SECONDS = 60;
+const SLOW_SOLVE_SECONDS = 600;
+
+// A win always beats a loss, however many hints it took
+const MIN_WIN_POINTS = 10;
+
+/**
+ * Speed bonus for a solve time
+ * @param {number|null} solveSeconds - Seconds from the first guess or hint to the winning guess
+ * @returns {number}
+ */
+export function getSpeedBonus(solveSeconds) {
+  if (typeof solveSeconds !== 'number' || solveSeconds < 0) return 0;
+  if (solveSeconds <= FAST_SOLVE_SECONDS) return SPEED_BONUS_MAX;
+  if (solveSeconds >= SLOW_SOLVE_SECONDS) return 0;
+
+  const remaining = (SLOW_SOLVE_SECONDS - solveSeconds) / (SLOW_SOLVE_SECONDS - FAST_SOLVE_SECONDS);
+  return Math.round(SPEED_BONUS_MAX * remaining);
+}
+
+/**
+ * Work out the points for a finished game
+ * @param {Object} game
+ * @param {boolean} game.won
+ * @param {number} game.guessesUsed
+ * @param {string} game.packId - Sets the guess limit
+ * @param {number} game.hintsUsed
+ * @param {boolean} game.hardMode
+ * @param {number|null} game.solveSeconds
+ * @returns {number}
+ */
+export function calculatePoints({ won, guessesUsed, packId, hintsUsed = 0, hardMode = false, solveSeconds = null }) {
+  if (!won) return 0;
+
+  const maxGuesses = getPack(packId).maxGuesses;
+  const points = (maxGuesses - guessesUsed + 1) * POINTS_PER_GUESS
+    - hintsUsed * HINT_PENALTY_POINTS
+    + (hardMode ? HARD_MODE_BONUS : 0)
+    + getSpeedBonus(solveSeconds);
+
+  return Math.max(MIN_WIN_POINTS, Math.round(points));
+}
+
+/**
+ * Points for a leaderboard entry (stored with it, worked out for rows that predate points)
+ * @param {Object} entry - Leaderboard entry
+ * @returns {number}
+ */
+export function getEntryPoints(entry) {
+  if (typeof entry.points === 'number') return entry.points;
+
+  return calculatePoints({
+    won: entry.won,
+    guessesUsed: entry.guesses_used,
+    packId: entry.pack_id,
+    hintsUsed: entry.hints_used || 0,
+    hardMode: !!entry.hard_mode,
+    solveSeconds: entry.solve_seconds ?? null
+  });
+}
+
+/**
+ * Sort comparator for one puzzle's leaderboard: most points first, then
+ * earliest submission
+ */
+export function compareEntries(a, b) {
+  const diff = getEntryPoints(b) - getEntryPoints(a);
+  if (diff !== 0) return diff;
+  return new Date(a.created_at) - new Date(b.created_at);
+}
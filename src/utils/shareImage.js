@@ -0,0 +1,247 @@
+/**
+ * Share Image
+ * Draws the result as a PNG card, the picture version of the emoji text in
+ * shareText.js. Everything is drawn on a canvas with system fonts and no
+ * images, so cards render offline and never fetch anything.
+ */
+
+import { DEFAULT_PACK_ID, getPack } from './packs.js';
+
+// Layout in CSS pixels; the canvas is drawn at SCALE for sharp text
+const WIDTH = 600;
+const SCALE = 2;
+const PADDING = 40;
+const TILE_SIZE = 56;
+const TILE_GAP = 10;
+const CONTEXT_LINE_HEIGHT = 26;
+const MAX_CONTEXT_LINES = 4;
+
+const FONT_FAMILY = 'system-ui, -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif';
+
+const COLORS = {
+  backgroundTop: '#064e3b',
+  backgroundBottom: '#0f766e',
+  text: '#ffffff',
+  muted: 'rgba(255, 255, 255, 0.7)',
+  panel: 'rgba(255, 255, 255, 0.1)',
+  hit: '#22c55e',
+  miss: '#ef4444',
+  motm: '#f59e0b'
+};
+
+// P/T/R/M columns, in the same order as getFeedbackGridLines
+const COLUMNS = [
+  { label: 'P', key: 'playedInGame' },
+  { label: 'T', key: 'sameTeam' },
+  { label: 'R', key: 'sameRole' },
+  { label: 'M', key: 'isMVP' }
+];
+
+function font(size, weight = 'normal', style = 'normal') {
+  return `${style} ${weight} ${size}px ${FONT_FAMILY}`;
+}
+
+/**
+ * Split text into lines that fit a width, ending with an ellipsis past maxLines
+ */
+function wrapText(ctx, text, maxWidth, maxLines) {
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    let last = lines[maxLines - 1];
+    while (last && ctx.measureText(`${last}…`).width > maxWidth) {
+      last = last.slice(0, -1);
+    }
+    return [...lines.slice(0, maxLines - 1), `${last.trimEnd()}…`];
+  }
+  return lines;
+}
+
+function fillRoundedRect(ctx, x, y, width, height, radius) {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+  ctx.fill();
+}
+
+/**
+ * Get the line of extras under the grid, e.g. "🔥 5 day streak · #3 in this server"
+ */
+function getStatsText({ currentStreak = 0, rank = null, rankLabel = '', hintsUsed = 0 }) {
+  const parts = [];
+  if (currentStreak > 1) parts.push(`🔥 ${currentStreak} day streak`);
+  if (rank) parts.push(`#${rank}${rankLabel ? ' ' + rankLabel : ''}`);
+  if (hintsUsed > 0) parts.push(`💡 ${hintsUsed} ${hintsUsed === 1 ? 'hint' : 'hints'}`);
+  return parts.join('  ·  ');
+}
+
+/**
+ * Draw the result card
+ * @param {Object} card
+ * @param {number} card.puzzleNumber
+ * @param {Array} card.feedbackList - Feedback for each guess
+ * @param {string} card.packId - Puzzle pack (named under the title unless it's the default)
+ * @param {boolean} card.won
+ * @param {number} card.maxGuesses
+ * @param {number} card.currentStreak - Shown when > 1
+ * @param {number|null} card.rank - Leaderboard rank, once submitted
+ * @param {string} card.rankLabel - Where the rank is from, e.g. 'in this server'
+ * @param {string|null} card.matchContext - Shown once the answer has been revealed
+ * @param {boolean} card.hardMode
+ * @param {number} card.hintsUsed
+ * @returns {HTMLCanvasElement}
+ */
+export function drawShareImage(card) {
+  const {
+    puzzleNumber,
+    feedbackList = [],
+    packId = DEFAULT_PACK_ID,
+    won = false,
+    maxGuesses,
+    matchContext = null,
+    hardMode = false
+  } = card;
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+
+  const subtitle = [
+    packId !== DEFAULT_PACK_ID ? getPack(packId).name : null,
+    hardMode ? 'Hard mode' : null
+  ].filter(Boolean).join(' · ');
+  const statsText = getStatsText(card);
+
+  ctx.font = font(18, 'normal', 'italic');
+  const contextLines = matchContext
+    ? wrapText(ctx, matchContext, WIDTH - PADDING * 2 - 32, MAX_CONTEXT_LINES)
+    : [];
+
+  // Work out the height before sizing the canvas (sizing resets the context)
+  const gridHeight = feedbackList.length * (TILE_SIZE + TILE_GAP) - TILE_GAP;
+  const contextHeight = contextLines.length > 0 ? contextLines.length * CONTEXT_LINE_HEIGHT + 32 + 24 : 0;
+  const height = PADDING + 40 + (subtitle ? 28 : 0) + 52 + 28 + Math.max(gridHeight, 0) +
+    (statsText ? 48 : 16) + contextHeight + 24 + PADDING;
+
+  canvas.width = WIDTH * SCALE;
+  canvas.height = height * SCALE;
+  ctx.scale(SCALE, SCALE);
+
+  // Background
+  const gradient = ctx.createLinearGradient(0, 0, 0, height);
+  gradient.addColorStop(0, COLORS.backgroundTop);
+  gradient.addColorStop(1, COLORS.backgroundBottom);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, WIDTH, height);
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'alphabetic';
+  let y = PADDING + 36;
+
+  // Title
+  ctx.fillStyle = COLORS.text;
+  ctx.font = font(36, 'bold');
+  ctx.fillText(`🏏 Bowldem #${puzzleNumber}`, WIDTH / 2, y);
+
+  if (subtitle) {
+    y += 28;
+    ctx.fillStyle = COLORS.muted;
+    ctx.font = font(18);
+    ctx.fillText(subtitle, WIDTH / 2, y);
+  }
+
+  // Result
+  y += 48;
+  ctx.fillStyle = COLORS.text;
+  ctx.font = font(26, 'bold');
+  ctx.fillText(won ? `Solved in ${feedbackList.length}/${maxGuesses}` : `X/${maxGuesses}`, WIDTH / 2, y);
+
+  // Grid with column labels
+  const gridWidth = COLUMNS.length * TILE_SIZE + (COLUMNS.length - 1) * TILE_GAP;
+  const gridLeft = (WIDTH - gridWidth) / 2;
+
+  y += 32;
+  ctx.fillStyle = COLORS.muted;
+  ctx.font = font(16, 'bold');
+  COLUMNS.forEach(({ label }, column) => {
+    ctx.fillText(label, gridLeft + column * (TILE_SIZE + TILE_GAP) + TILE_SIZE / 2, y);
+  });
+
+  y += 12;
+  ctx.textBaseline = 'middle';
+  feedbackList.forEach((feedback, row) => {
+    const top = y + row * (TILE_SIZE + TILE_GAP);
+    COLUMNS.forEach(({ key }, column) => {
+      const left = gridLeft + column * (TILE_SIZE + TILE_GAP);
+      const isMotm = key === 'isMVP' && feedback.isMVP;
+      ctx.fillStyle = isMotm ? COLORS.motm : (feedback[key] ? COLORS.hit : COLORS.miss);
+      fillRoundedRect(ctx, left, top, TILE_SIZE, TILE_SIZE, 10);
+
+      if (isMotm) {
+        ctx.font = font(28);
+        ctx.fillText('🏆', left + TILE_SIZE / 2, top + TILE_SIZE / 2 + 2);
+      }
+    });
+  });
+  y += Math.max(gridHeight, 0);
+
+  // Streak, rank and hints
+  ctx.textBaseline = 'alphabetic';
+  if (statsText) {
+    y += 40;
+    ctx.fillStyle = COLORS.text;
+    ctx.font = font(20, 'bold');
+    ctx.fillText(statsText, WIDTH / 2, y);
+    y += 8;
+  } else {
+    y += 16;
+  }
+
+  // Match context
+  if (contextLines.length > 0) {
+    y += 24;
+    const panelHeight = contextLines.length * CONTEXT_LINE_HEIGHT + 32;
+    ctx.fillStyle = COLORS.panel;
+    fillRoundedRect(ctx, PADDING, y, WIDTH - PADDING * 2, panelHeight, 14);
+
+    ctx.fillStyle = COLORS.text;
+    ctx.font = font(18, 'normal', 'italic');
+    contextLines.forEach((line, index) => {
+      ctx.fillText(line, WIDTH / 2, y + 16 + CONTEXT_LINE_HEIGHT * (index + 1) - 8);
+    });
+    y += panelHeight;
+  }
+
+  // Footer
+  y += 24 + 16;
+  ctx.fillStyle = COLORS.muted;
+  ctx.font = font(16);
+  ctx.fillText('bowldem.com', WIDTH / 2, y);
+
+  return canvas;
+}
+
+/**
+ * Draw the result card as a PNG
+ * @param {Object} card - See drawShareImage
+ * @returns {Promise<Blob|null>}
+ */
+export function renderShareImage(card) {
+  const canvas = drawShareImage(card);
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
@@ -0,0 +1,42 @@
+/**
+ * Share Text Utilities
+ * Emoji feedback grid shared by the in-app share buttons and the Discord
+ * slash commands (api/interactions.js), so both always look the same.
+ */
+
+import { DEFAULT_PACK_ID, getPack } from './packs.js';
+
+/**
+ * Convert PTRM feedback into emoji grid rows
+ * @param {Array} feedbackList - Feedback objects { playedInGame, sameTeam, sameRole, isMVP }
+ * @returns {string[]} - One row per guess, e.g. '🟢🟢🔴🔴'
+ */
+export function getFeedbackGridLines(feedbackList = []) {
+  return feedbackList.map(feedback => {
+    const played = feedback.playedInGame ? '🟢' : '🔴';
+    const team = feedback.sameTeam ? '🟢' : '🔴';
+    const role = feedback.sameRole ? '🟢' : '🔴';
+    const motm = feedback.isMVP ? '🏆' : '🔴';
+    return played + team + role + motm;
+  });
+}
+
+/**
+ * Build the shareable result text
+ * @param {number} puzzleNumber - Puzzle number
+ * @param {Array} feedbackList - Feedback for each guess
+ * @param {number} currentStreak - Current win streak (shown when > 1)
+ * @param {string} packId - Puzzle pack (named in the header unless it's the default)
+ * @param {Object} options - { hardMode } marks a hard mode game in the header,
+ *   { hintsUsed } adds a 💡 row per hint above the grid
+ * @returns {string}
+ */
+export function generateShareText(puzzleNumber, feedbackList, currentStreak = 0, packId = DEFAULT_PACK_ID, { hardMode = false, hintsUsed = 0 } = {}) {
+  const hintLine = hintsUsed > 0 ? ['💡'.repeat(hintsUsed)] : [];
+  const gridPattern = [...hintLine, ...getFeedbackGridLines(feedbackList)].join('\n');
+  const streakText = currentStreak > 1 ? '🔥' + currentStreak : '';
+  const packText = packId !== DEFAULT_PACK_ID ? ' ' + getPack(packId).shortName : '';
+  const hardModeText = hardMode ? ' · Hard mode' : '';
+
+  return '🏏 Bowldem' + packText + ' #' + puzzleNumber + hardModeText + '\n\n' + gridPattern + (streakText ? '\n\n' + streakText : '') + '\n\nbowldem.com';
+}
@@ -0,0 +1,155 @@
+-- Migration: Server-side puzzle service
+-- Answers live only in the database. The client reads public_puzzles (venue and
+-- scores only) and checks every guess through validate_guess. Answers are only
+-- served once a puzzle date has finished everywhere, and reveal_puzzle is
+-- service role only.
+
+-- Player directory used for guess feedback
+CREATE TABLE IF NOT EXISTS players (
+  id TEXT PRIMARY KEY,
+  full_name TEXT NOT NULL,
+  country TEXT NOT NULL,
+  role TEXT NOT NULL
+);
+
+-- Puzzle pool (one row per match, includes the answer)
+CREATE TABLE IF NOT EXISTS puzzles (
+  id INTEGER PRIMARY KEY,
+  target_player TEXT NOT NULL REFERENCES players(id),
+  match_data JSONB NOT NULL, -- { scorecard, playersInMatch, targetPlayerTeam, targetPlayerRole }
+  cricinfo_url TEXT,
+  match_context TEXT,
+  trivia_fact TEXT,
+  player_highlight TEXT,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Which puzzle is played on which date
+CREATE TABLE IF NOT EXISTS daily_puzzles (
+  puzzle_date DATE PRIMARY KEY,
+  puzzle_number INTEGER NOT NULL,
+  puzzle_id INTEGER NOT NULL REFERENCES puzzles(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_daily_puzzles_puzzle
+ON daily_puzzles(puzzle_id, puzzle_date);
+
+-- No direct client access to answers or the schedule
+ALTER TABLE players ENABLE ROW LEVEL SECURITY;
+ALTER TABLE puzzles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE daily_puzzles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Players are public" ON players;
+CREATE POLICY "Players are public" ON players FOR SELECT USING (true);
+
+-- Public puzzles: live dates only, venue and scores only
+-- Team names and the result stay hidden until the answer is revealed
+CREATE OR REPLACE VIEW public_puzzles AS
+SELECT
+  p.id,
+  d.puzzle_date,
+  d.puzzle_number,
+  jsonb_build_object(
+    'venue', p.match_data->'scorecard'->>'venue',
+    'team1Score', p.match_data->'scorecard'->>'team1Score',
+    'team2Score', p.match_data->'scorecard'->>'team2Score'
+  ) AS scorecard,
+  p.match_context
+FROM daily_puzzles d
+JOIN puzzles p ON p.id = d.puzzle_id
+WHERE d.puzzle_date <= CURRENT_DATE;
+
+-- Players that appear anywhere in the pool (ranks autocomplete suggestions)
+CREATE OR REPLACE VIEW featured_players AS
+SELECT DISTINCT jsonb_array_elements_text(match_data->'playersInMatch') AS player_id
+FROM puzzles;
+
+GRANT SELECT ON public_puzzles TO anon, authenticated;
+GRANT SELECT ON featured_players TO anon, authenticated;
+
+-- Returns true if the puzzle has been scheduled on or before the given date
+CREATE OR REPLACE FUNCTION puzzle_is_live(p_puzzle_id INTEGER, p_date DATE DEFAULT CURRENT_DATE)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM daily_puzzles
+    WHERE puzzle_id = p_puzzle_id AND puzzle_date <= p_date
+  );
+$$;
+
+-- Latest puzzle date that has finished everywhere (UTC-12 is the last zone to
+-- leave each date)
+CREATE OR REPLACE FUNCTION last_finished_puzzle_date()
+RETURNS DATE
+LANGUAGE sql STABLE
+AS $$
+  SELECT (now() AT TIME ZONE 'Etc/GMT+12')::date - 1;
+$$;
+
+-- Validate a guess and return PTRM feedback without exposing the answer
+CREATE OR REPLACE FUNCTION validate_guess(p_puzzle_id INTEGER, p_guessed_player_id TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  v_puzzle puzzles%ROWTYPE;
+  v_player players%ROWTYPE;
+BEGIN
+  IF NOT puzzle_is_live(p_puzzle_id, last_finished_puzzle_date()) THEN
+    RETURN jsonb_build_object('error', 'Puzzle not available');
+  END IF;
+
+  SELECT * INTO v_puzzle FROM puzzles WHERE id = p_puzzle_id;
+  SELECT * INTO v_player FROM players WHERE id = p_guessed_player_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'Unknown player');
+  END IF;
+
+  RETURN jsonb_build_object(
+    'playerName', v_player.full_name,
+    'country', v_player.country,
+    'role', v_player.role,
+    'playedInGame', COALESCE(v_puzzle.match_data->'playersInMatch' ? v_player.id, false),
+    'sameTeam', v_player.country = v_puzzle.match_data->>'targetPlayerTeam',
+    'sameRole', v_player.role = v_puzzle.match_data->>'targetPlayerRole',
+    'isMVP', v_player.id = v_puzzle.target_player
+  );
+END;
+$$;
+
+-- Reveal the answer and full match details for a finished puzzle
+CREATE OR REPLACE FUNCTION reveal_puzzle(p_puzzle_id INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  v_puzzle puzzles%ROWTYPE;
+  v_player players%ROWTYPE;
+BEGIN
+  IF NOT puzzle_is_live(p_puzzle_id, last_finished_puzzle_date()) THEN
+    RETURN jsonb_build_object('error', 'Puzzle not available');
+  END IF;
+
+  SELECT * INTO v_puzzle FROM puzzles WHERE id = p_puzzle_id;
+  SELECT * INTO v_player FROM players WHERE id = v_puzzle.target_player;
+
+  RETURN jsonb_build_object(
+    'targetPlayer', v_puzzle.target_player,
+    'targetPlayerName', v_player.full_name,
+    'targetPlayerTeam', v_puzzle.match_data->>'targetPlayerTeam',
+    'targetPlayerRole', v_puzzle.match_data->>'targetPlayerRole',
+    'scorecard', v_puzzle.match_data->'scorecard',
+    'cricinfoUrl', v_puzzle.cricinfo_url,
+    'matchContext', v_puzzle.match_context,
+    'triviaFact', v_puzzle.trivia_fact,
+    'playerHighlight', v_puzzle.player_highlight
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION puzzle_is_live(INTEGER, DATE) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION validate_guess(INTEGER, TEXT) TO anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reveal_puzzle(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION reveal_puzzle(INTEGER) TO service_role;
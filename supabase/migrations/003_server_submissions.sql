@@ -0,0 +1,123 @@
+-- Migration: Server-authoritative guesses and leaderboard submissions
+-- Today's guesses are recorded by /api/guess and leaderboard rows are written
+-- only by /api/leaderboard after replaying them. The anon key can no longer
+-- write leaderboard entries or check guesses against today's puzzle.
+
+-- Guesses recorded per Discord user per puzzle date
+CREATE TABLE IF NOT EXISTS puzzle_guesses (
+  id BIGSERIAL PRIMARY KEY,
+  discord_user_id TEXT NOT NULL,
+  puzzle_date DATE NOT NULL,
+  puzzle_id INTEGER NOT NULL REFERENCES puzzles(id),
+  guess_number SMALLINT NOT NULL,
+  player_id TEXT NOT NULL REFERENCES players(id),
+  feedback JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (discord_user_id, puzzle_date, guess_number),
+  UNIQUE (discord_user_id, puzzle_date, player_id)
+);
+
+-- Service role only (no policies)
+ALTER TABLE puzzle_guesses ENABLE ROW LEVEL SECURITY;
+
+-- Leaderboard writes go through the API
+REVOKE INSERT, UPDATE, DELETE ON leaderboard_entries FROM anon, authenticated;
+
+-- Check a guess without any date gate (service role only)
+CREATE OR REPLACE FUNCTION check_guess(p_puzzle_id INTEGER, p_guessed_player_id TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  v_puzzle puzzles%ROWTYPE;
+  v_player players%ROWTYPE;
+BEGIN
+  SELECT * INTO v_puzzle FROM puzzles WHERE id = p_puzzle_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'Puzzle not available');
+  END IF;
+
+  SELECT * INTO v_player FROM players WHERE id = p_guessed_player_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'Unknown player');
+  END IF;
+
+  RETURN jsonb_build_object(
+    'playerName', v_player.full_name,
+    'country', v_player.country,
+    'role', v_player.role,
+    'playedInGame', COALESCE(v_puzzle.match_data->'playersInMatch' ? v_player.id, false),
+    'sameTeam', v_player.country = v_puzzle.match_data->>'targetPlayerTeam',
+    'sameRole', v_player.role = v_puzzle.match_data->>'targetPlayerRole',
+    'isMVP', v_player.id = v_puzzle.target_player
+  );
+END;
+$$;
+
+-- Answer and full match details without any date gate (service role only)
+CREATE OR REPLACE FUNCTION puzzle_answer(p_puzzle_id INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  v_puzzle puzzles%ROWTYPE;
+  v_player players%ROWTYPE;
+BEGIN
+  SELECT * INTO v_puzzle FROM puzzles WHERE id = p_puzzle_id;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO v_player FROM players WHERE id = v_puzzle.target_player;
+
+  RETURN jsonb_build_object(
+    'targetPlayer', v_puzzle.target_player,
+    'targetPlayerName', v_player.full_name,
+    'targetPlayerTeam', v_puzzle.match_data->>'targetPlayerTeam',
+    'targetPlayerRole', v_puzzle.match_data->>'targetPlayerRole',
+    'scorecard', v_puzzle.match_data->'scorecard',
+    'cricinfoUrl', v_puzzle.cricinfo_url,
+    'matchContext', v_puzzle.match_context,
+    'triviaFact', v_puzzle.trivia_fact,
+    'playerHighlight', v_puzzle.player_highlight
+  );
+END;
+$$;
+
+-- Public RPCs now only cover past puzzles (archive mode)
+CREATE OR REPLACE FUNCTION validate_guess(p_puzzle_id INTEGER, p_guessed_player_id TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF NOT puzzle_is_live(p_puzzle_id, last_finished_puzzle_date()) THEN
+    RETURN jsonb_build_object('error', 'Puzzle not available');
+  END IF;
+
+  RETURN check_guess(p_puzzle_id, p_guessed_player_id);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION reveal_puzzle(p_puzzle_id INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF NOT puzzle_is_live(p_puzzle_id, last_finished_puzzle_date()) THEN
+    RETURN jsonb_build_object('error', 'Puzzle not available');
+  END IF;
+
+  RETURN puzzle_answer(p_puzzle_id);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION check_guess(INTEGER, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION puzzle_answer(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION check_guess(INTEGER, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION puzzle_answer(INTEGER) TO service_role;
+
+-- The archive reveals finished puzzles with the anon key
+GRANT EXECUTE ON FUNCTION reveal_puzzle(INTEGER) TO anon, authenticated;
@@ -0,0 +1,29 @@
+-- Migration: App sessions
+-- /api/token mints HS256 session JWTs signed with the project's JWT secret
+-- (SESSION_JWT_SECRET), with role 'authenticated', sub = Discord user id and a
+-- guild_id claim. PostgREST accepts them, so policies and RPCs can read the
+-- verified identity instead of trusting ids passed by the client.
+
+-- Discord user id of the current session (NULL for anon requests)
+CREATE OR REPLACE FUNCTION session_discord_user_id()
+RETURNS TEXT
+LANGUAGE sql STABLE
+AS $$
+  SELECT NULLIF(auth.jwt() ->> 'sub', '');
+$$;
+
+-- Guild the current session was issued for (NULL outside a guild)
+CREATE OR REPLACE FUNCTION session_guild_id()
+RETURNS TEXT
+LANGUAGE sql STABLE
+AS $$
+  SELECT NULLIF(auth.jwt() ->> 'guild_id', '');
+$$;
+
+-- Players can read their own recorded guesses
+DROP POLICY IF EXISTS "Users read own guesses" ON puzzle_guesses;
+CREATE POLICY "Users read own guesses" ON puzzle_guesses
+  FOR SELECT TO authenticated
+  USING (discord_user_id = session_discord_user_id());
+
+GRANT SELECT ON puzzle_guesses TO authenticated;
@@ -0,0 +1,71 @@
+-- Migration: Per-guild puzzle reset time zone
+-- Each guild's daily puzzle flips at midnight in its own time zone (set with
+-- /bowldem timezone). Puzzle dates are the guild's local day, so the date gates
+-- below move from the database's CURRENT_DATE to the extreme time zones.
+
+CREATE TABLE IF NOT EXISTS guild_settings (
+  guild_id TEXT PRIMARY KEY,
+  reset_timezone TEXT NOT NULL DEFAULT 'UTC',
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+ALTER TABLE guild_settings ENABLE ROW LEVEL SECURITY;
+
+-- Anyone can read a guild's settings; writes go through the API (service role)
+DROP POLICY IF EXISTS "Guild settings are public" ON guild_settings;
+CREATE POLICY "Guild settings are public" ON guild_settings
+  FOR SELECT USING (true);
+
+GRANT SELECT ON guild_settings TO anon, authenticated;
+
+-- Puzzles are visible once their date has started anywhere (UTC+14)
+CREATE OR REPLACE VIEW public_puzzles AS
+SELECT
+  p.id,
+  d.puzzle_date,
+  d.puzzle_number,
+  jsonb_build_object(
+    'venue', p.match_data->'scorecard'->>'venue',
+    'team1Score', p.match_data->'scorecard'->>'team1Score',
+    'team2Score', p.match_data->'scorecard'->>'team2Score'
+  ) AS scorecard,
+  p.match_context
+FROM daily_puzzles d
+JOIN puzzles p ON p.id = d.puzzle_id
+WHERE d.puzzle_date <= (now() AT TIME ZONE 'Etc/GMT-14')::date;
+
+-- Latest puzzle date that has finished everywhere (UTC-12 is the last zone to
+-- leave each date). Archive answers stay hidden until then, so no guild can
+-- look up a puzzle another guild is still playing.
+CREATE OR REPLACE FUNCTION last_finished_puzzle_date()
+RETURNS DATE
+LANGUAGE sql STABLE
+AS $$
+  SELECT (now() AT TIME ZONE 'Etc/GMT+12')::date - 1;
+$$;
+
+CREATE OR REPLACE FUNCTION validate_guess(p_puzzle_id INTEGER, p_guessed_player_id TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF NOT puzzle_is_live(p_puzzle_id, last_finished_puzzle_date()) THEN
+    RETURN jsonb_build_object('error', 'Puzzle not available');
+  END IF;
+
+  RETURN check_guess(p_puzzle_id, p_guessed_player_id);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION reveal_puzzle(p_puzzle_id INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF NOT puzzle_is_live(p_puzzle_id, last_finished_puzzle_date()) THEN
+    RETURN jsonb_build_object('error', 'Puzzle not available');
+  END IF;
+
+  RETURN puzzle_answer(p_puzzle_id);
+END;
+$$;
@@ -0,0 +1,60 @@
+-- Migration: Puzzle packs
+-- Puzzles belong to a pack (see src/utils/packs.js). Each pack has its own
+-- daily schedule, recorded guesses, leaderboard and stats, and guilds choose
+-- which packs they play. Existing rows become the T20 World Cup pack.
+
+ALTER TABLE puzzles
+ADD COLUMN IF NOT EXISTS pack_id TEXT NOT NULL DEFAULT 't20wc';
+
+CREATE INDEX IF NOT EXISTS idx_puzzles_pack ON puzzles(pack_id);
+
+-- One puzzle per pack per day
+ALTER TABLE daily_puzzles
+ADD COLUMN IF NOT EXISTS pack_id TEXT NOT NULL DEFAULT 't20wc';
+
+ALTER TABLE daily_puzzles DROP CONSTRAINT IF EXISTS daily_puzzles_pkey;
+ALTER TABLE daily_puzzles ADD PRIMARY KEY (pack_id, puzzle_date);
+
+-- Same as 006, plus the pack (new view columns have to go last)
+CREATE OR REPLACE VIEW public_puzzles AS
+SELECT
+  p.id,
+  d.puzzle_date,
+  d.puzzle_number,
+  jsonb_build_object(
+    'venue', p.match_data->'scorecard'->>'venue',
+    'team1Score', p.match_data->'scorecard'->>'team1Score',
+    'team2Score', p.match_data->'scorecard'->>'team2Score'
+  ) AS scorecard,
+  p.match_context,
+  d.pack_id
+FROM daily_puzzles d
+JOIN puzzles p ON p.id = d.puzzle_id
+WHERE d.puzzle_date <= (now() AT TIME ZONE 'Etc/GMT-14')::date;
+
+-- Guesses are recorded per pack
+ALTER TABLE puzzle_guesses
+ADD COLUMN IF NOT EXISTS pack_id TEXT NOT NULL DEFAULT 't20wc';
+
+ALTER TABLE puzzle_guesses DROP CONSTRAINT IF EXISTS puzzle_guesses_discord_user_id_puzzle_date_guess_number_key;
+ALTER TABLE puzzle_guesses DROP CONSTRAINT IF EXISTS puzzle_guesses_discord_user_id_puzzle_date_player_id_key;
+ALTER TABLE puzzle_guesses ADD CONSTRAINT puzzle_guesses_user_pack_date_guess_key
+  UNIQUE (discord_user_id, pack_id, puzzle_date, guess_number);
+ALTER TABLE puzzle_guesses ADD CONSTRAINT puzzle_guesses_user_pack_date_player_key
+  UNIQUE (discord_user_id, pack_id, puzzle_date, player_id);
+
+-- One leaderboard per pack
+ALTER TABLE leaderboard_entries
+ADD COLUMN IF NOT EXISTS pack_id TEXT NOT NULL DEFAULT 't20wc';
+
+DROP INDEX IF EXISTS idx_leaderboard_discord_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leaderboard_discord_pack_unique
+ON leaderboard_entries(discord_user_id, pack_id, puzzle_date)
+WHERE discord_user_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_pack_guild
+ON leaderboard_entries(pack_id, guild_id, puzzle_date, won, guesses_used, created_at);
+
+-- Packs a guild plays, in registry order (set with /bowldem packs)
+ALTER TABLE guild_settings
+ADD COLUMN IF NOT EXISTS enabled_packs TEXT[] NOT NULL DEFAULT '{t20wc}';
@@ -0,0 +1,84 @@
+-- Migration: Guild-authored puzzles
+-- Server admins can schedule a puzzle from their own club or league match. It is
+-- played as the guild's own pack ('guild:<guild_id>', see src/utils/packs.js), so
+-- guesses, the leaderboard and stats are kept apart from the global daily puzzle.
+
+-- Club players added by a guild (country holds the club/team name)
+ALTER TABLE players
+ADD COLUMN IF NOT EXISTS guild_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_players_guild ON players(guild_id) WHERE guild_id IS NOT NULL;
+
+-- Club players are only listed to their own guild
+DROP POLICY IF EXISTS "Players are public" ON players;
+CREATE POLICY "Players are public" ON players FOR SELECT
+USING (guild_id IS NULL OR guild_id = session_guild_id());
+
+-- Puzzles written by a guild admin
+ALTER TABLE puzzles
+ADD COLUMN IF NOT EXISTS guild_id TEXT,
+ADD COLUMN IF NOT EXISTS created_by TEXT;
+
+-- Guild puzzles get ids well clear of the bundled and pushed packs
+CREATE SEQUENCE IF NOT EXISTS guild_puzzle_id_seq START 1000000;
+ALTER TABLE puzzles ALTER COLUMN id SET DEFAULT nextval('guild_puzzle_id_seq');
+
+-- A guild's own puzzles are only visible to sessions from that guild
+CREATE OR REPLACE FUNCTION puzzle_visible_to_session(p_puzzle_id INTEGER)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM puzzles
+    WHERE id = p_puzzle_id
+      AND (guild_id IS NULL OR guild_id = session_guild_id())
+  );
+$$;
+
+-- Same as 007, minus other guilds' puzzles
+CREATE OR REPLACE VIEW public_puzzles AS
+SELECT
+  p.id,
+  d.puzzle_date,
+  d.puzzle_number,
+  jsonb_build_object(
+    'venue', p.match_data->'scorecard'->>'venue',
+    'team1Score', p.match_data->'scorecard'->>'team1Score',
+    'team2Score', p.match_data->'scorecard'->>'team2Score'
+  ) AS scorecard,
+  p.match_context,
+  d.pack_id
+FROM daily_puzzles d
+JOIN puzzles p ON p.id = d.puzzle_id
+WHERE d.puzzle_date <= (now() AT TIME ZONE 'Etc/GMT-14')::date
+  AND (p.guild_id IS NULL OR p.guild_id = session_guild_id());
+
+CREATE OR REPLACE FUNCTION validate_guess(p_puzzle_id INTEGER, p_guessed_player_id TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF NOT puzzle_is_live(p_puzzle_id, last_finished_puzzle_date())
+    OR NOT puzzle_visible_to_session(p_puzzle_id) THEN
+    RETURN jsonb_build_object('error', 'Puzzle not available');
+  END IF;
+
+  RETURN check_guess(p_puzzle_id, p_guessed_player_id);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION reveal_puzzle(p_puzzle_id INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF NOT puzzle_is_live(p_puzzle_id, last_finished_puzzle_date())
+    OR NOT puzzle_visible_to_session(p_puzzle_id) THEN
+    RETURN jsonb_build_object('error', 'Puzzle not available');
+  END IF;
+
+  RETURN puzzle_answer(p_puzzle_id);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION puzzle_visible_to_session(INTEGER) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,10 @@
+-- Migration: Hard mode
+-- In hard mode every guess after the first must fit the clues so far
+-- (src/utils/hardMode.js). A game is hard mode if its first guess was made in
+-- hard mode; /api/guess enforces the rules and /api/leaderboard marks the entry.
+
+ALTER TABLE puzzle_guesses
+ADD COLUMN IF NOT EXISTS hard_mode BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE leaderboard_entries
+ADD COLUMN IF NOT EXISTS hard_mode BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,133 @@
+-- Migration: Progressive hints
+-- Players can unlock up to four hints, in order (src/utils/hints.js): the team
+-- names, the player of the match's team, the first letter of their surname and
+-- the match context. Puzzles whose teams can't be worked out skip the first. Hints for today's puzzle go through /api/hint, which
+-- records them so /api/leaderboard can apply the penalty; archive hints come
+-- from reveal_hints.
+
+-- Hints unlocked per Discord user per puzzle
+CREATE TABLE IF NOT EXISTS puzzle_hints (
+  id BIGSERIAL PRIMARY KEY,
+  discord_user_id TEXT NOT NULL,
+  pack_id TEXT NOT NULL,
+  puzzle_date DATE NOT NULL,
+  puzzle_id INTEGER NOT NULL REFERENCES puzzles(id),
+  hint_number SMALLINT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (discord_user_id, pack_id, puzzle_date, hint_number)
+);
+
+ALTER TABLE puzzle_hints ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users read own hints" ON puzzle_hints;
+CREATE POLICY "Users read own hints" ON puzzle_hints
+  FOR SELECT TO authenticated
+  USING (discord_user_id = session_discord_user_id());
+
+GRANT SELECT ON puzzle_hints TO authenticated;
+
+ALTER TABLE leaderboard_entries
+ADD COLUMN IF NOT EXISTS hints_used SMALLINT NOT NULL DEFAULT 0;
+
+-- The two teams in a match, or NULL if they can't be worked out. Older puzzles
+-- don't name them in the scorecard, so they come from the countries of the
+-- players in the match (service role only: it reads every player)
+CREATE OR REPLACE FUNCTION puzzle_team_names(p_match_data JSONB)
+RETURNS TEXT[]
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT CASE
+    WHEN p_match_data->'scorecard'->>'team1Name' IS NOT NULL
+      AND p_match_data->'scorecard'->>'team2Name' IS NOT NULL
+    THEN ARRAY[p_match_data->'scorecard'->>'team1Name', p_match_data->'scorecard'->>'team2Name']
+    ELSE (
+      SELECT CASE WHEN count(DISTINCT country) = 2 THEN array_agg(DISTINCT country ORDER BY country) END
+      FROM players
+      WHERE country IS NOT NULL
+        AND id IN (SELECT jsonb_array_elements_text(COALESCE(p_match_data->'playersInMatch', '[]'::jsonb)))
+    )
+  END;
+$$;
+
+-- The first p_count hints for a puzzle, without any date gate (service role only)
+CREATE OR REPLACE FUNCTION puzzle_hints(p_puzzle_id INTEGER, p_count INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  v_puzzle puzzles%ROWTYPE;
+  v_player players%ROWTYPE;
+  v_surname TEXT;
+  v_teams TEXT[];
+BEGIN
+  SELECT * INTO v_puzzle FROM puzzles WHERE id = p_puzzle_id;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO v_player FROM players WHERE id = v_puzzle.target_player;
+  v_surname := regexp_replace(trim(v_player.full_name), '^.*\s', '');
+  v_teams := puzzle_team_names(v_puzzle.match_data);
+
+  RETURN COALESCE((
+    SELECT jsonb_agg(hint ORDER BY n)
+    FROM (
+      SELECT row_number() OVER (ORDER BY n) AS n, hint
+      FROM (VALUES
+        (1, CASE WHEN v_teams IS NOT NULL THEN jsonb_build_object(
+          'type', 'teams',
+          'team1Name', v_teams[1],
+          'team2Name', v_teams[2]
+        ) END),
+        (2, jsonb_build_object('type', 'country', 'country', v_puzzle.match_data->>'targetPlayerTeam')),
+        (3, jsonb_build_object('type', 'initial', 'initial', upper(left(v_surname, 1)))),
+        (4, jsonb_build_object('type', 'context', 'matchContext', v_puzzle.match_context))
+      ) AS all_hints(n, hint)
+      WHERE hint IS NOT NULL
+    ) AS hints
+    WHERE n <= p_count
+  ), '[]'::jsonb);
+END;
+$$;
+
+-- Hints for past puzzles (archive mode)
+CREATE OR REPLACE FUNCTION reveal_hints(p_puzzle_id INTEGER, p_count INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF NOT puzzle_is_live(p_puzzle_id, last_finished_puzzle_date())
+    OR NOT puzzle_visible_to_session(p_puzzle_id) THEN
+    RETURN jsonb_build_object('error', 'Puzzle not available');
+  END IF;
+
+  RETURN puzzle_hints(p_puzzle_id, p_count);
+END;
+$$;
+
+-- The match context is now a hint, so it stays hidden until unlocked or the
+-- answer is revealed (the column is kept so the view's shape doesn't change).
+-- has_teams_hint tells the client whether the teams hint is offered.
+CREATE OR REPLACE VIEW public_puzzles AS
+SELECT
+  p.id,
+  d.puzzle_date,
+  d.puzzle_number,
+  jsonb_build_object(
+    'venue', p.match_data->'scorecard'->>'venue',
+    'team1Score', p.match_data->'scorecard'->>'team1Score',
+    'team2Score', p.match_data->'scorecard'->>'team2Score'
+  ) AS scorecard,
+  NULL::TEXT AS match_context,
+  d.pack_id,
+  puzzle_team_names(p.match_data) IS NOT NULL AS has_teams_hint
+FROM daily_puzzles d
+JOIN puzzles p ON p.id = d.puzzle_id
+WHERE d.puzzle_date <= (now() AT TIME ZONE 'Etc/GMT-14')::date
+  AND (p.guild_id IS NULL OR p.guild_id = session_guild_id());
+
+REVOKE EXECUTE ON FUNCTION puzzle_team_names(JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION puzzle_hints(INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION puzzle_hints(INTEGER, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION reveal_hints(INTEGER, INTEGER) TO anon, authenticated;
@@ -0,0 +1,24 @@
+-- Migration: Points-based leaderboards
+-- /api/leaderboard stores each entry's points (src/utils/scoring.js) and solve
+-- time, and puzzle leaderboards rank by points instead of guesses used.
+
+ALTER TABLE leaderboard_entries
+ADD COLUMN IF NOT EXISTS points INTEGER,
+ADD COLUMN IF NOT EXISTS solve_seconds INTEGER;
+
+-- Backfill with the same formula as calculatePoints (no solve time, so no speed
+-- bonus). Guess limits per pack are in src/utils/packs.js.
+UPDATE leaderboard_entries
+SET points = CASE
+  WHEN won THEN GREATEST(
+    10,
+    ((CASE WHEN pack_id = 'test' THEN 6 ELSE 5 END) - guesses_used + 1) * 100
+      - hints_used * 50
+      + (CASE WHEN hard_mode THEN 50 ELSE 0 END)
+  )
+  ELSE 0
+END
+WHERE points IS NULL;
+
+ALTER TABLE leaderboard_entries ALTER COLUMN points SET DEFAULT 0;
+ALTER TABLE leaderboard_entries ALTER COLUMN points SET NOT NULL;
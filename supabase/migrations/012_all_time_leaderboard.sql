@@ -0,0 +1,92 @@
+-- Migration: Server-side all-time leaderboard
+-- Aggregates leaderboard_entries per player in the database instead of
+-- downloading every row to the client. Ranked by points (src/utils/scoring.js),
+-- then wins, then average guesses, and paginated. Used by
+-- queryAllTimeLeaderboard in src/lib/leaderboardQueries.js.
+
+CREATE OR REPLACE FUNCTION all_time_leaderboard(
+  p_pack_id TEXT,
+  p_guild_id TEXT DEFAULT NULL,   -- NULL for the global leaderboard
+  p_from DATE DEFAULT NULL,       -- Inclusive puzzle date range, NULL for open-ended
+  p_to DATE DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  rank BIGINT,
+  discord_user_id TEXT,
+  discord_username TEXT,
+  discord_avatar TEXT,
+  games_played INTEGER,
+  total_wins INTEGER,
+  win_rate NUMERIC,
+  avg_guesses NUMERIC,
+  total_points INTEGER,
+  current_streak INTEGER,
+  total_players BIGINT
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH entries AS (
+    SELECT e.discord_user_id, e.discord_username, e.discord_avatar,
+      e.puzzle_date, e.won, e.guesses_used, e.points
+    FROM leaderboard_entries e
+    WHERE e.pack_id = p_pack_id
+      AND e.is_seed = false
+      AND e.discord_user_id IS NOT NULL
+      AND (p_guild_id IS NULL OR e.guild_id = p_guild_id)
+      AND (p_from IS NULL OR e.puzzle_date >= p_from)
+      AND (p_to IS NULL OR e.puzzle_date <= p_to)
+  ),
+  -- Runs of wins on consecutive puzzle dates
+  win_runs AS (
+    SELECT w.discord_user_id, max(w.puzzle_date) AS run_end, count(*)::INTEGER AS run_length
+    FROM (
+      SELECT discord_user_id, puzzle_date,
+        puzzle_date - (row_number() OVER (PARTITION BY discord_user_id ORDER BY puzzle_date))::INTEGER AS run_id
+      FROM entries
+      WHERE won
+    ) w
+    GROUP BY w.discord_user_id, w.run_id
+  ),
+  players AS (
+    SELECT
+      e.discord_user_id,
+      (array_agg(e.discord_username ORDER BY e.puzzle_date DESC))[1] AS discord_username,
+      (array_agg(e.discord_avatar ORDER BY e.puzzle_date DESC))[1] AS discord_avatar,
+      count(*)::INTEGER AS games_played,
+      (count(*) FILTER (WHERE e.won))::INTEGER AS total_wins,
+      round(avg(e.guesses_used) FILTER (WHERE e.won), 2) AS avg_guesses,
+      sum(e.points)::INTEGER AS total_points,
+      max(e.puzzle_date) AS last_played
+    FROM entries e
+    GROUP BY e.discord_user_id
+  )
+  SELECT
+    row_number() OVER ranking AS rank,
+    p.discord_user_id,
+    p.discord_username,
+    p.discord_avatar,
+    p.games_played,
+    p.total_wins,
+    round(p.total_wins * 100.0 / p.games_played, 1) AS win_rate,
+    p.avg_guesses,
+    p.total_points,
+    -- A streak is current if its last win is the player's latest game and no
+    -- finished puzzle date has been missed since (see last_finished_puzzle_date)
+    COALESCE(r.run_length, 0) AS current_streak,
+    count(*) OVER () AS total_players
+  FROM players p
+  LEFT JOIN win_runs r
+    ON r.discord_user_id = p.discord_user_id
+    AND r.run_end = p.last_played
+    AND r.run_end >= LEAST(COALESCE(p_to, last_finished_puzzle_date()), last_finished_puzzle_date())
+  WINDOW ranking AS (
+    ORDER BY p.total_points DESC, p.total_wins DESC, p.avg_guesses ASC NULLS LAST, p.discord_user_id
+  )
+  ORDER BY rank
+  LIMIT LEAST(GREATEST(p_limit, 1), 100)
+  OFFSET GREATEST(p_offset, 0);
+$$;
+
+GRANT EXECUTE ON FUNCTION all_time_leaderboard(TEXT, TEXT, DATE, DATE, INTEGER, INTEGER) TO anon, authenticated, service_role;
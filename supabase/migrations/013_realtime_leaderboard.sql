@@ -0,0 +1,16 @@
+-- Migration: Realtime leaderboard updates
+-- Broadcasts new leaderboard_entries rows over Supabase Realtime so open
+-- leaderboards update as people finish (see useLeaderboard). Rows are already
+-- public to the anon key, so no new policies are needed.
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime'
+      AND schemaname = 'public'
+      AND tablename = 'leaderboard_entries'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE leaderboard_entries;
+  END IF;
+END $$;
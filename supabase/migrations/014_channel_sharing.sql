@@ -0,0 +1,21 @@
+-- Migration: Share results to the launching channel
+-- /api/share posts a player's finished grid into the channel the activity was
+-- launched from, through the bot. Servers can turn this off with
+-- /bowldem sharing (channel_sharing), and each game is posted at most once.
+
+ALTER TABLE guild_settings
+ADD COLUMN IF NOT EXISTS channel_sharing BOOLEAN NOT NULL DEFAULT true;
+
+CREATE TABLE IF NOT EXISTS channel_shares (
+  discord_user_id TEXT NOT NULL,
+  pack_id TEXT NOT NULL,
+  puzzle_date DATE NOT NULL,
+  guild_id TEXT NOT NULL,
+  channel_id TEXT NOT NULL,
+  message_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (discord_user_id, pack_id, puzzle_date)
+);
+
+-- Written and read by the API only (service role)
+ALTER TABLE channel_shares ENABLE ROW LEVEL SECURITY;
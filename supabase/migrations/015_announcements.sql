@@ -0,0 +1,14 @@
+-- Migration: Daily puzzle announcements
+-- Guilds can pick a channel where the bot announces each new puzzle
+-- (/bowldem announce), and a role to ping that players join from the activity's
+-- "Notify Me" button (/api/notify). The announcement cron (/api/announce)
+-- records the puzzle date it last announced, so each day is posted once.
+
+ALTER TABLE guild_settings
+ADD COLUMN IF NOT EXISTS announce_channel_id TEXT,
+ADD COLUMN IF NOT EXISTS reminder_role_id TEXT,
+ADD COLUMN IF NOT EXISTS announced_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_guild_settings_announce
+ON guild_settings(announce_channel_id)
+WHERE announce_channel_id IS NOT NULL;
@@ -0,0 +1,23 @@
+-- Migration: Keep repeated puzzles hidden while they're played
+-- puzzle_is_live only asked whether a puzzle had been scheduled on or before a
+-- date. Once the scheduler repeats a puzzle (src/utils/puzzleScheduler.js), its
+-- earlier date passes that check, so validate_guess, reveal_puzzle and
+-- reveal_hints would check guesses against, or give away, the answer of the
+-- puzzle being played today. A puzzle now also must not be scheduled on any
+-- later date: an archive date whose puzzle comes back stays closed until the
+-- last date it's scheduled on has finished everywhere.
+
+CREATE OR REPLACE FUNCTION puzzle_is_live(p_puzzle_id INTEGER, p_date DATE DEFAULT CURRENT_DATE)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM daily_puzzles
+    WHERE puzzle_id = p_puzzle_id AND puzzle_date <= p_date
+  ) AND NOT EXISTS (
+    SELECT 1 FROM daily_puzzles
+    WHERE puzzle_id = p_puzzle_id AND puzzle_date > p_date
+  );
+$$;
+
+REVOKE EXECUTE ON FUNCTION puzzle_is_live(INTEGER, DATE) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,28 @@
+-- Migration: Keep club players inside their guild
+-- check_guess returns the guessed player's name, team and role. Club players
+-- (players.guild_id, see 008_guild_puzzles.sql) have predictable ids, so
+-- validate_guess now answers guesses of another guild's players the same way as
+-- unknown ids. /api/guess does the same check before calling check_guess.
+
+CREATE OR REPLACE FUNCTION validate_guess(p_puzzle_id INTEGER, p_guessed_player_id TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF NOT puzzle_is_live(p_puzzle_id, last_finished_puzzle_date())
+    OR NOT puzzle_visible_to_session(p_puzzle_id) THEN
+    RETURN jsonb_build_object('error', 'Puzzle not available');
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM players
+    WHERE id = p_guessed_player_id
+      AND guild_id IS NOT NULL
+      AND guild_id IS DISTINCT FROM session_guild_id()
+  ) THEN
+    RETURN jsonb_build_object('error', 'Unknown player');
+  END IF;
+
+  RETURN check_guess(p_puzzle_id, p_guessed_player_id);
+END;
+$$;
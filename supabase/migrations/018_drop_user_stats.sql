@@ -0,0 +1,7 @@
+-- Migration: Drop uploaded stats
+-- Stats used to be uploaded by devices and stored in user_stats. They're now
+-- rebuilt from recorded guesses and leaderboard entries (api/_lib/stats.js),
+-- so nothing reads or writes the table. Drop it, with its policy and grants,
+-- from databases that created it.
+
+DROP TABLE IF EXISTS user_stats;
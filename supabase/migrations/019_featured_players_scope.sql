@@ -0,0 +1,12 @@
+-- Migration: Keep club players out of other guilds' autocomplete
+-- featured_players listed the players of every puzzle, including each guild's
+-- club pack (008_guild_puzzles.sql). It now only covers the default pack and the
+-- caller's own guild pack, the same scope as validate_guess (017).
+
+CREATE OR REPLACE VIEW featured_players AS
+SELECT DISTINCT jsonb_array_elements_text(match_data->'playersInMatch') AS player_id
+FROM puzzles
+WHERE pack_id = 't20wc'
+   OR pack_id = 'guild:' || session_guild_id();
+
+GRANT SELECT ON featured_players TO anon, authenticated;
@@ -0,0 +1,67 @@
+-- A repeated puzzle can't be revealed through its earlier archive date while
+-- the repeat is being played (puzzle_is_live, migration 016).
+-- Run with `supabase test db` (pgTAP); everything is rolled back.
+
+BEGIN;
+SELECT plan(6);
+
+-- A throwaway pack, so the dates don't clash with the real schedule
+INSERT INTO players (id, full_name, country, role)
+VALUES ('gate_test_player', 'Gate Test', 'Nowhere', 'Batter');
+
+INSERT INTO puzzles (id, target_player, match_data, pack_id)
+VALUES (-424242, 'gate_test_player', '{"playersInMatch": ["gate_test_player"], "scorecard": {}}', 'gate_test');
+
+-- Played a month ago, and again today
+INSERT INTO daily_puzzles (pack_id, puzzle_date, puzzle_number, puzzle_id) VALUES
+  ('gate_test', last_finished_puzzle_date() - 30, 1, -424242),
+  ('gate_test', last_finished_puzzle_date() + 1, 31, -424242);
+
+SELECT is(
+  puzzle_is_live(-424242, last_finished_puzzle_date()),
+  false,
+  'a puzzle scheduled again today is not live'
+);
+
+-- The archive RPCs as the client calls them
+SET LOCAL ROLE anon;
+
+SELECT is(
+  reveal_puzzle(-424242)->>'error',
+  'Puzzle not available',
+  'reveal_puzzle refuses a repeated puzzle while it is played'
+);
+
+SELECT is(
+  validate_guess(-424242, 'gate_test_player')->>'error',
+  'Puzzle not available',
+  'validate_guess refuses a repeated puzzle while it is played'
+);
+
+SELECT is(
+  reveal_hints(-424242, 1)->>'error',
+  'Puzzle not available',
+  'reveal_hints refuses a repeated puzzle while it is played'
+);
+
+-- Once the repeat has finished everywhere the archive date opens again
+RESET ROLE;
+UPDATE daily_puzzles SET puzzle_date = last_finished_puzzle_date()
+WHERE pack_id = 'gate_test' AND puzzle_number = 31;
+
+SELECT is(
+  puzzle_is_live(-424242, last_finished_puzzle_date()),
+  true,
+  'a repeated puzzle is live once its last date has finished'
+);
+
+SET LOCAL ROLE anon;
+
+SELECT is(
+  reveal_puzzle(-424242)->>'targetPlayerName',
+  'Gate Test',
+  'reveal_puzzle answers once the repeat has finished'
+);
+
+SELECT * FROM finish();
+ROLLBACK;